@@ -0,0 +1,101 @@
+// npx vitest run __tests__/agent.spec.js
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { runAgent } from '../agent.js';
+import { fakeProviderConfig, startFakeProvider } from './fake-provider.js';
+
+// The tools are described, parsed and answered with the extension's code, from its bundle
+const hasProviderLayer = existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+let tmpDir;
+let codebase;
+let provider;
+
+beforeAll(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-agent-')));
+  codebase = path.join(tmpDir, 'codebase');
+  await fs.mkdir(path.join(codebase, 'src'), { recursive: true });
+  await fs.writeFile(path.join(codebase, 'src', 'session.js'), 'export function expireSessions() {}\n');
+  await fs.writeFile(path.join(codebase, '.gitignore'), '.env\nbuild/\n');
+  await fs.writeFile(path.join(codebase, '.env'), 'API_TOKEN=hunter2\n');
+  await fs.mkdir(path.join(codebase, 'build'));
+  await fs.writeFile(path.join(codebase, 'build', 'bundle.js'), 'const secret = "hunter2";\n');
+  await fs.writeFile(path.join(tmpDir, 'outside.txt'), 'hunter2 from outside\n');
+  await fs.symlink(path.join(tmpDir, 'outside.txt'), path.join(codebase, 'src', 'link.txt'));
+  await fs.symlink(tmpDir, path.join(codebase, 'parent'));
+});
+
+afterAll(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  await provider?.close();
+  provider = null;
+});
+
+// Run the agent with the model using `tool` once and then answering
+async function runTool(tool, options = {}) {
+  provider = await startFakeProvider({ replies: [tool, '<attempt_completion><result>Done.</result></attempt_completion>'] });
+  const result = await runAgent(fakeProviderConfig(provider.baseUrl), [{ role: 'user', content: 'Look around' }], {
+    codebasePath: codebase,
+    systemPrompt: 'You are a test.',
+    ...options
+  });
+  // What the model was sent back with the tool's result
+  const toolResult = JSON.stringify(provider.requests[1].messages.at(-1).content);
+  return { result, toolResult };
+}
+
+const readFile = filePath => `<read_file><args><file><path>${filePath}</path></file></args></read_file>`;
+
+describe.skipIf(!hasProviderLayer)('agent tools', () => {
+  it('reads files in the codebase', async () => {
+    const { result, toolResult } = await runTool(readFile('src/session.js'));
+
+    expect(result.text).toBe('Done.');
+    expect(result.toolCalls[0]).toMatchObject({ tool: 'read_file', files: ['src/session.js'] });
+    expect(toolResult).toContain('expireSessions');
+  });
+
+  it('refuses files .gitignore leaves out, unless they are included', async () => {
+    const { toolResult } = await runTool(readFile('.env'));
+
+    expect(toolResult).toContain('.env is not part of the codebase the CLI reads');
+    expect(toolResult).not.toContain('hunter2');
+
+    const included = await runTool(readFile('.env'), { include: ['.env'] });
+    expect(included.toolResult).toContain('API_TOKEN=hunter2');
+  });
+
+  it('refuses files in folders the listing skips', async () => {
+    const { toolResult } = await runTool(readFile('build/bundle.js'));
+
+    expect(toolResult).toContain('build/bundle.js is not part of the codebase the CLI reads');
+    expect(toolResult).not.toContain('hunter2');
+  });
+
+  it('refuses symlinks that lead out of the codebase', async () => {
+    for (const filePath of ['src/link.txt', 'parent/outside.txt', '../outside.txt']) {
+      const { toolResult } = await runTool(readFile(filePath));
+
+      expect(toolResult).toContain(`${filePath} is outside the codebase`);
+      expect(toolResult).not.toContain('hunter2');
+    }
+  });
+
+  it('keeps searches and listings to what the codebase listing reaches', async () => {
+    const search = await runTool('<search_files><path>.</path><regex>hunter2</regex></search_files>');
+    expect(search.toolResult).toContain('Found 0 results.');
+
+    const skipped = await runTool('<search_files><path>build</path><regex>hunter2</regex></search_files>');
+    expect(skipped.result.toolCalls[0].error).toContain('build is not part of the codebase the CLI reads');
+
+    const outside = await runTool('<list_files><path>parent</path></list_files>');
+    expect(outside.result.toolCalls[0].error).toContain('parent is outside the codebase');
+  });
+});
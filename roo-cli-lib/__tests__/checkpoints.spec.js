@@ -0,0 +1,116 @@
+// npx vitest run __tests__/checkpoints.spec.js
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { getCheckpointDiff, listCheckpoints, restoreCheckpoint, saveCheckpoint } from '../checkpoints.js';
+
+// The shadow repository excludes what the extension's checkpoints exclude, from the provider layer
+const hasProviderLayer = fs.existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+let codebase;
+
+const write = (name, content) => fs.writeFileSync(path.join(codebase, name), content);
+const read = (name) => fs.readFileSync(path.join(codebase, name), 'utf8');
+const exists = (name) => fs.existsSync(path.join(codebase, name));
+const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: codebase, encoding: 'utf8' });
+
+beforeEach(() => {
+  codebase = fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-checkpoints-'));
+  write('a.txt', 'a\n');
+  write('b.txt', 'b\n');
+  git('init', '--quiet');
+  git('add', '.');
+  git('commit', '--quiet', '-m', 'initial');
+});
+
+afterEach(() => {
+  fs.rmSync(codebase, { recursive: true, force: true });
+});
+
+describe.skipIf(!hasProviderLayer)('checkpoints', () => {
+  it('leaves the codebase\'s own repository untouched', async () => {
+    write('a.txt', 'staged\n');
+    git('add', 'a.txt');
+    write('b.txt', 'unstaged\n');
+    const gitDir = path.join(codebase, '.git');
+    const before = {
+      index: fs.readFileSync(path.join(gitDir, 'index')),
+      log: git('log', '--all', '--format=%H %s'),
+      refs: git('for-each-ref'),
+      stashes: git('stash', 'list')
+    };
+
+    await saveCheckpoint(codebase, 'edit: change c', async () => write('c.txt', 'c\n'));
+
+    expect(fs.readFileSync(path.join(gitDir, 'index'))).toEqual(before.index);
+    expect(git('log', '--all', '--format=%H %s')).toBe(before.log);
+    expect(git('for-each-ref')).toBe(before.refs);
+    expect(git('stash', 'list')).toBe(before.stashes);
+    expect(git('status', '--porcelain')).toBe('M  a.txt\n M b.txt\n?? c.txt\n');
+  });
+
+  it('records what a change did, and keeps the checkpoint when the change fails part way', async () => {
+    const id = await saveCheckpoint(codebase, 'edit: first', async () => write('a.txt', 'a2\n'));
+    const failure = await saveCheckpoint(codebase, 'edit: second', async () => {
+      write('b.txt', 'b2\n');
+      throw new Error('disk full');
+    }).catch(error => error);
+
+    expect(failure.message).toBe('disk full');
+    expect(failure.checkpoint).toMatch(/^[0-9a-f]{8}$/);
+    expect(await listCheckpoints(codebase)).toMatchObject([
+      { id: failure.checkpoint, type: 'edit', description: 'second', files: ['b.txt'] },
+      { id, type: 'edit', description: 'first', files: ['a.txt'] }
+    ]);
+    expect(await getCheckpointDiff(codebase, id)).toContain('-a\n+a2\n');
+  });
+
+  it('restores only the files a checkpoint changed and deletes the ones it created', async () => {
+    const id = await saveCheckpoint(codebase, 'edit: change a, add c', async () => {
+      write('a.txt', 'a2\n');
+      write('c.txt', 'c\n');
+    });
+    write('b.txt', 'edited by hand\n');
+
+    const restored = await restoreCheckpoint(codebase, id);
+
+    expect(read('a.txt')).toBe('a\n');
+    expect(exists('c.txt')).toBe(false);
+    expect(read('b.txt')).toBe('edited by hand\n');
+    expect(restored.files.sort()).toEqual(['a.txt', 'c.txt']);
+    expect((await listCheckpoints(codebase))[0]).toMatchObject({ id: restored.id, type: 'restore', description: id });
+
+    // Restoring the restore puts the change back
+    await restoreCheckpoint(codebase, restored.id);
+    expect(read('a.txt')).toBe('a2\n');
+    expect(read('c.txt')).toBe('c\n');
+    expect(read('b.txt')).toBe('edited by hand\n');
+  });
+
+  it('refuses IDs that are not checkpoints', async () => {
+    await expect(restoreCheckpoint(codebase, 'deadbeef')).rejects.toThrow('No checkpoint "deadbeef": there are no checkpoints for this codebase yet');
+
+    await saveCheckpoint(codebase, 'edit: first', async () => write('a.txt', 'a2\n'));
+    await expect(restoreCheckpoint(codebase, 'deadbeef')).rejects.toThrow('No checkpoint "deadbeef" (see --checkpoints)');
+  });
+
+  it('refuses a change to files the checkpoint would leave out, without running it', async () => {
+    write('.gitignore', 'dist/\n');
+    fs.mkdirSync(path.join(codebase, 'dist'));
+    write('dist/app.js', 'built\n');
+    const change = vi.fn();
+
+    await expect(saveCheckpoint(codebase, 'edit: change dist', change, { files: ['a.txt', 'dist/app.js'] })).rejects.toMatchObject({
+      message: expect.stringContaining('Checkpoints leave out dist/app.js'),
+      untrackedFiles: ['dist/app.js']
+    });
+    expect(change).not.toHaveBeenCalled();
+    expect(await listCheckpoints(codebase)).toEqual([]);
+
+    const id = await saveCheckpoint(codebase, 'edit: change a', async () => write('a.txt', 'changed\n'), { files: ['a.txt'] });
+    expect((await listCheckpoints(codebase))[0]).toMatchObject({ id, files: ['a.txt'] });
+  });
+});
@@ -0,0 +1,146 @@
+// npx vitest run __tests__/codebase.spec.js
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createCodebaseFilter, getAllFiles, getDirectoryStructure } from '../codebase.js';
+
+// A word or a line break is a token
+vi.mock('../tokens.js', () => ({
+  countTokens: async (text) => (text.match(/\S+/g) || []).length + (text.match(/\n/g) || []).length
+}));
+
+let tmpDir;
+let repo;
+
+function write(relativePath, content = '') {
+  const fullPath = path.join(repo, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+}
+
+async function listFiles(codebase, options) {
+  const filter = await createCodebaseFilter(codebase, options);
+  return (await getAllFiles(codebase, filter)).map(file => path.relative(codebase, file).split(path.sep).join('/')).sort();
+}
+
+beforeEach(() => {
+  tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-codebase-')));
+  repo = path.join(tmpDir, 'repo');
+  fs.mkdirSync(repo);
+  execFileSync('git', ['init', '--quiet'], { cwd: repo });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('CodebaseFilter', () => {
+  it('honors nested .gitignore files, with the deepest rule winning', async () => {
+    write('.gitignore', '*.log\nbuild/\n');
+    write('app/.gitignore', '!keep.log\n');
+    write('app/main.js');
+    write('app/debug.log');
+    write('app/keep.log');
+    write('build/out.js');
+    write('server.log');
+
+    expect(await listFiles(repo)).toEqual(['app/keep.log', 'app/main.js']);
+  });
+
+  it('leaves out dotfiles unless included, and .rooignore denies whatever is included', async () => {
+    write('.env', 'TOKEN=1');
+    write('.github/workflows/ci.yml');
+    write('.rooignore', 'secrets/\n');
+    write('secrets/key.txt');
+    write('src/a.js');
+    write('src/b.test.js');
+
+    expect(await listFiles(repo)).toEqual(['src/a.js', 'src/b.test.js']);
+    expect(await listFiles(repo, { include: ['.github/**', 'secrets/**'], exclude: ['*.test.js'] }))
+      .toEqual(['.github/workflows/ci.yml', 'src/a.js']);
+  });
+
+  it('applies the repository\'s rules above the codebase and .git/info/exclude', async () => {
+    write('.gitignore', 'package-lock.json\n/lib/generated/\n');
+    write('.git/info/exclude', 'notes.txt\n');
+    write('lib/package.json');
+    write('lib/package-lock.json');
+    write('lib/index.js');
+    write('lib/notes.txt');
+    write('lib/generated/api.js');
+
+    expect(await listFiles(path.join(repo, 'lib'))).toEqual(['index.js', 'package.json']);
+    expect(await listFiles(repo)).toEqual(['lib/index.js', 'lib/package.json']);
+  });
+
+  it('keeps the rules inside a codebase folder the repository ignores', async () => {
+    write('.gitignore', 'vendor/\n');
+    write('vendor/lib/.gitignore', '*.min.js\n');
+    write('vendor/lib/index.js');
+    write('vendor/lib/index.min.js');
+
+    expect(await listFiles(path.join(repo, 'vendor', 'lib'))).toEqual(['index.js']);
+  });
+
+  it('reads .git/info/exclude from a worktree\'s common git directory', async () => {
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '--allow-empty', '-m', 'initial'], { cwd: repo });
+    execFileSync('git', ['worktree', 'add', '--quiet', path.join(tmpDir, 'worktree')], { cwd: repo });
+    write('.git/info/exclude', 'scratch.js\n');
+    fs.writeFileSync(path.join(tmpDir, 'worktree', 'scratch.js'), '');
+    fs.writeFileSync(path.join(tmpDir, 'worktree', 'main.js'), '');
+
+    expect(await listFiles(path.join(tmpDir, 'worktree'))).toEqual(['main.js']);
+  });
+
+  it('does not follow symlinks out of the codebase, or into folders', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'outside.js'), 'outside');
+    fs.mkdirSync(path.join(tmpDir, 'outside-dir'));
+    fs.writeFileSync(path.join(tmpDir, 'outside-dir', 'secret.js'), 'secret');
+    write('src/a.js');
+    fs.symlinkSync(path.join(tmpDir, 'outside.js'), path.join(repo, 'src', 'escape.js'));
+    fs.symlinkSync(path.join(tmpDir, 'outside-dir'), path.join(repo, 'linked-dir'));
+    fs.symlinkSync(path.join(repo, 'src', 'a.js'), path.join(repo, 'alias.js'));
+    fs.symlinkSync(path.join(repo, 'missing.js'), path.join(repo, 'dangling.js'));
+
+    expect(await listFiles(repo)).toEqual(['alias.js', 'src/a.js']);
+
+    const structure = await getDirectoryStructure(repo, await createCodebaseFilter(repo));
+    expect(structure).toBe('📄 alias.js\n📁 src/\n  📄 a.js');
+  });
+
+  it('tells whether a path stays inside the codebase once symlinks are resolved', async () => {
+    write('src/a.js');
+    fs.symlinkSync(tmpDir, path.join(repo, 'parent'));
+    fs.symlinkSync(path.join(tmpDir, 'nowhere.js'), path.join(repo, 'dangling.js'));
+    const filter = await createCodebaseFilter(repo);
+
+    expect(await filter.containsRealPath(path.join(repo, 'src', 'a.js'))).toBe(true);
+    expect(await filter.containsRealPath(path.join(repo, 'src', 'new', 'file.js'))).toBe(true);
+    expect(await filter.containsRealPath(path.join(repo, '..', 'other.js'))).toBe(false);
+    expect(await filter.containsRealPath(path.join(repo, 'parent', 'repo', 'src', 'a.js'))).toBe(true);
+    expect(await filter.containsRealPath(path.join(repo, 'parent', 'new.js'))).toBe(false);
+    expect(await filter.containsRealPath(path.join(repo, 'dangling.js'))).toBe(false);
+  });
+
+  it('tells whether walking the codebase reaches a path', async () => {
+    write('.gitignore', 'build/\n.env\n');
+    write('src/a.js');
+    write('build/out.js');
+    write('.env');
+    const filter = await createCodebaseFilter(repo);
+
+    expect(filter.includesPath(repo, true)).toBe(true);
+    expect(filter.includesPath(path.join(repo, 'src', 'a.js'))).toBe(true);
+    expect(filter.includesPath(path.join(repo, 'build', 'out.js'))).toBe(false);
+    expect(filter.includesPath(path.join(repo, '.env'))).toBe(false);
+    expect(filter.includesPath(path.join(repo, '.git', 'config'))).toBe(false);
+    expect(filter.includesPath(path.join(repo, 'node_modules', 'pkg', 'index.js'))).toBe(false);
+    expect(filter.includesPath(path.join(tmpDir, 'other.js'))).toBe(false);
+
+    const included = await createCodebaseFilter(repo, { include: ['build/**'] });
+    expect(included.includesPath(path.join(repo, 'build', 'out.js'))).toBe(true);
+  });
+});
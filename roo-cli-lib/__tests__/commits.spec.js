@@ -0,0 +1,93 @@
+// npx vitest run __tests__/commits.spec.js
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { formatChangeset, getReleasablePackages, parseChangeset, parseCommitMessage, writeChangeset } from '../commits.js';
+
+describe('parseCommitMessage', () => {
+  it('keeps a header-only message to one line', () => {
+    expect(parseCommitMessage('fix(cli): handle empty prompts  \n')).toEqual({
+      message: 'fix(cli): handle empty prompts\n',
+      header: 'fix(cli): handle empty prompts'
+    });
+  });
+
+  it('takes the message out of a code fence and puts one blank line after the header', () => {
+    const text = '<thinking>A small feature.</thinking>\n```text\nfeat!: drop the old config format\n\n\nBREAKING CHANGE: run --setup again   \n```';
+
+    expect(parseCommitMessage(text)).toEqual({
+      message: 'feat!: drop the old config format\n\nBREAKING CHANGE: run --setup again\n',
+      header: 'feat!: drop the old config format'
+    });
+  });
+
+  it('refuses answers that are not conventional commits', () => {
+    for (const text of ['Fixed the bug', 'feature: add x', 'fix:missing space', 'fix( ): empty scope']) {
+      expect(() => parseCommitMessage(text)).toThrow('The model\'s answer is not a conventional commit message');
+    }
+  });
+});
+
+describe('parseChangeset', () => {
+  const packages = [{ name: '@roo/core' }, { name: 'roo-cli' }];
+
+  it('gives every package a release, patch when the bump is missing or invalid', () => {
+    const text = 'Sure:\n```json\n{ "releases": { "@roo/core": "Minor", "roo-cli": "huge", "extra": "major" }, "summary": " Add retries " }\n```';
+
+    expect(parseChangeset(text, packages)).toEqual({
+      releases: [{ name: '@roo/core', type: 'minor' }, { name: 'roo-cli', type: 'patch' }],
+      summary: 'Add retries'
+    });
+    expect(parseChangeset('{"summary": "Fix"}', packages).releases.map(({ type }) => type)).toEqual(['patch', 'patch']);
+  });
+
+  it('refuses answers without JSON or a summary', () => {
+    expect(() => parseChangeset('no changes needed', packages)).toThrow('The model\'s changeset is not valid JSON');
+    expect(() => parseChangeset('{"releases": {}, "summary": "  "}', packages)).toThrow('The model\'s changeset has no summary');
+  });
+});
+
+describe('changeset files', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-commits-'));
+    await fs.mkdir(path.join(root, '.changeset'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('formats a changeset as `changeset add` does', () => {
+    expect(formatChangeset({ releases: [{ name: '@roo/core', type: 'minor' }, { name: 'roo-cli', type: 'patch' }], summary: 'Add retries' }))
+      .toBe('---\n"@roo/core": minor\n"roo-cli": patch\n---\n\nAdd retries\n');
+  });
+
+  it('names the file after the summary and never overwrites one', async () => {
+    const changeset = { summary: 'Fix the session-expiry check (again!) in the server today', content: 'first\n' };
+
+    expect(await writeChangeset(root, changeset)).toBe('.changeset/fix-the-session-expiry-check-again.md');
+    expect(await writeChangeset(root, { ...changeset, content: 'second\n' })).toBe('.changeset/fix-the-session-expiry-check-again-2.md');
+    expect(await fs.readFile(path.join(root, '.changeset', 'fix-the-session-expiry-check-again.md'), 'utf8')).toBe('first\n');
+    expect(await writeChangeset(root, { summary: '🎉', content: '' })).toBe('.changeset/changeset.md');
+  });
+
+  it('releases the packages with a version that the Changesets config does not ignore', async () => {
+    const packages = [
+      { name: '@roo/core', version: '1.0.0', private: false },
+      { name: '@roo/docs', version: '1.0.0', private: false },
+      { name: '@roo/app', version: '1.0.0', private: true },
+      { name: '@roo/scripts', version: null, private: true }
+    ];
+    await expect(getReleasablePackages(root, packages)).rejects.toThrow('has no .changeset/config.json');
+
+    await fs.writeFile(path.join(root, '.changeset', 'config.json'), JSON.stringify({ ignore: ['@roo/d*'], privatePackages: { version: false } }));
+    expect((await getReleasablePackages(root, packages)).map(({ name }) => name)).toEqual(['@roo/core']);
+
+    await fs.writeFile(path.join(root, '.changeset', 'config.json'), '{}');
+    expect((await getReleasablePackages(root, packages)).map(({ name }) => name)).toEqual(['@roo/core', '@roo/docs', '@roo/app']);
+  });
+});
@@ -0,0 +1,120 @@
+// npx vitest run __tests__/config.spec.js
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let tmpDir;
+let config;
+
+beforeAll(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-config-'));
+  // CONFIG_FILE is fixed when the module loads
+  process.env.ROO_CLI_CONFIG = path.join(tmpDir, 'config.json');
+  config = await import('../config.js');
+});
+
+afterAll(async () => {
+  delete process.env.ROO_CLI_CONFIG;
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  await fs.rm(process.env.ROO_CLI_CONFIG, { force: true });
+});
+
+const writeConfig = (fileConfig) => fs.writeFile(process.env.ROO_CLI_CONFIG, JSON.stringify(fileConfig));
+
+const profiles = {
+  codebasePath: '/shared',
+  temperature: 0.5,
+  defaultProfile: 'work',
+  profiles: {
+    work: { provider: 'anthropic', apiKey: 'sk-work', model: 'claude-sonnet' },
+    local: { provider: 'ollama', baseUrl: 'http://localhost:11434', model: 'llama3', temperature: 0.1 }
+  }
+};
+
+describe('loadConfig', () => {
+  it('uses the defaults only when there is no config file', async () => {
+    expect(await config.loadConfig(null, { provider: 'anthropic', maxTokens: 4096 }, { env: {} }))
+      .toEqual({ provider: 'anthropic', maxTokens: 4096, profile: null });
+
+    await writeConfig({ provider: 'openai', apiKey: 'sk-file' });
+    expect(await config.loadConfig(null, { maxTokens: 4096 }, { env: {} }))
+      .toEqual({ provider: 'openai', apiKey: 'sk-file', profile: null });
+  });
+
+  it('puts the profile over the shared settings, and the environment over both', async () => {
+    await writeConfig(profiles);
+
+    expect(await config.loadConfig(null, {}, { env: {} })).toEqual({
+      codebasePath: '/shared', temperature: 0.5, provider: 'anthropic', apiKey: 'sk-work', model: 'claude-sonnet', profile: 'work'
+    });
+    expect(await config.loadConfig('local', {}, { env: {} })).toMatchObject({ temperature: 0.1, model: 'llama3', profile: 'local' });
+    expect(await config.loadConfig('local', {}, { env: { ROO_CLI_TEMPERATURE: '0.9', ROO_CLI_CODEBASE: '/env' } }))
+      .toMatchObject({ temperature: 0.9, codebasePath: '/env', model: 'llama3' });
+  });
+
+  it('takes the profile from ROO_CLI_PROFILE unless one is named', async () => {
+    await writeConfig(profiles);
+
+    expect((await config.loadConfig(null, {}, { env: { ROO_CLI_PROFILE: 'local' } })).profile).toBe('local');
+    expect((await config.loadConfig('work', {}, { env: { ROO_CLI_PROFILE: 'local' } })).profile).toBe('work');
+  });
+
+  it('drops the profile\'s key and model when the environment switches provider', async () => {
+    await writeConfig(profiles);
+
+    const loaded = await config.loadConfig('work', {}, { env: { ROO_CLI_PROVIDER: 'openai', ROO_CLI_API_KEY: 'sk-env' } });
+    expect(loaded).toMatchObject({ provider: 'openai', apiKey: 'sk-env', profile: 'work' });
+    expect(loaded.model).toBeUndefined();
+  });
+
+  it('fails for an unknown profile and for bad numbers in the environment', async () => {
+    await writeConfig(profiles);
+
+    await expect(config.loadConfig('nope', {}, { env: {} })).rejects.toThrow('Unknown profile "nope". Available profiles: work, local');
+    await expect(config.loadConfig(null, {}, { env: { ROO_CLI_MAX_TOKENS: '0' } }))
+      .rejects.toThrow('ROO_CLI_MAX_TOKENS must be a positive whole number, not "0"');
+  });
+
+  it('turns a provider profile exported from the extension into providerSettings', async () => {
+    await writeConfig({ profiles: { bedrock: { apiProvider: 'bedrock', awsRegion: 'us-east-1', temperature: 0.2 } } });
+
+    expect(await config.loadConfig(null, {}, { env: {} })).toEqual({
+      temperature: 0.2,
+      providerSettings: { apiProvider: 'bedrock', awsRegion: 'us-east-1' },
+      profile: 'bedrock'
+    });
+  });
+});
+
+describe('getEnvironmentSettings', () => {
+  it('parses typed variables and skips empty ones', () => {
+    expect(config.getEnvironmentSettings({
+      ROO_CLI_MODEL: 'gpt-4o',
+      ROO_CLI_MAX_RETRIES: '0',
+      ROO_CLI_FALLBACK_PROFILES: 'openrouter, local,',
+      ROO_CLI_BASE_URL: ''
+    })).toEqual({ model: 'gpt-4o', maxRetries: 0, fallbackProfiles: ['openrouter', 'local'] });
+  });
+});
+
+describe('applyOverrides', () => {
+  const base = { provider: 'anthropic', apiKey: 'sk-a', baseUrl: 'https://proxy', model: 'claude', temperature: 0.7, codebasePath: '/code' };
+
+  it('keeps the key, server and model when the provider stays the same', () => {
+    expect(config.applyOverrides(base, { provider: 'anthropic', model: 'claude-opus' }))
+      .toEqual({ ...base, model: 'claude-opus' });
+  });
+
+  it('drops the key, server, model and provider profile of the previous provider', () => {
+    expect(config.applyOverrides({ ...base, providerSettings: { apiProvider: 'anthropic' } }, { provider: 'openai' }))
+      .toEqual({ provider: 'openai', temperature: 0.7, codebasePath: '/code' });
+  });
+
+  it('leaves out overrides that are undefined', () => {
+    expect(config.applyOverrides(base, { model: undefined, temperature: 0 })).toEqual({ ...base, temperature: 0 });
+  });
+});
@@ -0,0 +1,142 @@
+// npx vitest run __tests__/edits.spec.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { applyEdits, proposeEdits } from '../edits.js';
+import { sendMessage } from '../provider.js';
+
+// Only the model's reply is faked; the edits are worked out by the extension's own strategy
+vi.mock('../provider.js', async (importOriginal) => ({ ...await importOriginal(), sendMessage: vi.fn() }));
+
+const hasProviderLayer = fs.existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+function applyDiff(filePath, ...blocks) {
+  const diff = blocks.map(([search, replace]) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}\n>>>>>>> REPLACE`).join('\n\n');
+  return `<apply_diff>\n<path>${filePath}</path>\n<diff>\n${diff}\n</diff>\n</apply_diff>`;
+}
+
+let codebase;
+
+beforeEach(() => {
+  codebase = fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-edits-'));
+  fs.writeFileSync(path.join(codebase, 'a.js'), 'const a = 1;\nconsole.log(a);\n');
+  fs.writeFileSync(path.join(codebase, 'b.js'), 'const b = 1;\nconst c = 2;\n');
+});
+
+afterEach(() => {
+  fs.rmSync(codebase, { recursive: true, force: true });
+});
+
+const read = (name) => fs.readFileSync(path.join(codebase, name), 'utf8');
+
+async function propose(reply, options = {}) {
+  sendMessage.mockResolvedValueOnce({ text: reply, usage: {} });
+  return proposeEdits({ provider: 'anthropic' }, [{ role: 'user', content: 'edit' }], { codebasePath: codebase, systemPrompt: 'You are Roo.', ...options });
+}
+
+describe.skipIf(!hasProviderLayer)('proposeEdits / applyEdits', () => {
+  it('works out the edits without writing, then writes the ones that are ready', async () => {
+    const { text, edits } = await propose(`Renaming a.\n\n${applyDiff('a.js', ['const a = 1;', 'const answer = 1;'], ['console.log(a);', 'console.log(answer);'])}`);
+
+    expect(text).toBe('Renaming a.');
+    expect(edits).toMatchObject([{ path: 'a.js', status: 'ready', content: 'const answer = 1;\nconsole.log(answer);\n' }]);
+    expect(edits[0].diff).toBe('--- a/a.js\n+++ b/a.js\n@@ -1,2 +1,2 @@\n-const a = 1;\n-console.log(a);\n+const answer = 1;\n+console.log(answer);\n');
+    expect(read('a.js')).toBe('const a = 1;\nconsole.log(a);\n');
+
+    await applyEdits(edits);
+    expect(edits[0].status).toBe('applied');
+    expect(read('a.js')).toBe('const answer = 1;\nconsole.log(answer);\n');
+  });
+
+  it('fails the whole file when any of its blocks does not apply, and writes nothing to it', async () => {
+    const { edits } = await propose([
+      applyDiff('a.js', ['const a = 1;', 'const a = 2;']),
+      applyDiff('b.js', ['const b = 1;', 'const b = 10;']),
+      applyDiff('b.js', ['const missing = 3;', 'const found = 3;'])
+    ].join('\n\n'));
+
+    expect(edits.map(({ path: filePath, status }) => [filePath, status])).toEqual([['a.js', 'ready'], ['b.js', 'failed']]);
+    expect(edits[1].error).toMatch(/^apply_diff 2 of 2: /);
+
+    await applyEdits(edits);
+    expect(read('a.js')).toBe('const a = 2;\nconsole.log(a);\n');
+    expect(read('b.js')).toBe('const b = 1;\nconst c = 2;\n');
+  });
+
+  it('refuses files outside the codebase and files that do not exist', async () => {
+    const { edits } = await propose(`${applyDiff('../outside.js', ['x', 'y'])}\n\n${applyDiff('new.js', ['x', 'y'])}`);
+
+    expect(edits.map(({ status }) => status)).toEqual(['failed', 'failed']);
+    expect(edits[1].error).toBe('File does not exist');
+  });
+
+  it('writes nothing if a file changed after the edits were worked out', async () => {
+    const { edits } = await propose(`${applyDiff('a.js', ['const a = 1;', 'const a = 2;'])}\n\n${applyDiff('b.js', ['const b = 1;', 'const b = 2;'])}`);
+    fs.writeFileSync(path.join(codebase, 'b.js'), 'const b = 1;\nconst c = 3;\n');
+
+    await expect(applyEdits(edits)).rejects.toThrow('b.js changed while the edits were prepared; nothing was written');
+    expect(read('a.js')).toBe('const a = 1;\nconsole.log(a);\n');
+    expect(edits.map(({ status }) => status)).toEqual(['ready', 'ready']);
+  });
+
+  it('never edits files in .git or node_modules, even when they are included', async () => {
+    fs.mkdirSync(path.join(codebase, '.git'));
+    fs.writeFileSync(path.join(codebase, '.git', 'config'), '[core]\n');
+    fs.mkdirSync(path.join(codebase, 'node_modules', 'pkg'), { recursive: true });
+    fs.writeFileSync(path.join(codebase, 'node_modules', 'pkg', 'index.js'), 'module.exports = 1;\n');
+
+    const { edits } = await propose([
+      applyDiff('.git/config', ['[core]', '[core]\n\tfsmonitor = touch pwned']),
+      applyDiff('node_modules/pkg/index.js', ['module.exports = 1;', 'module.exports = 2;'])
+    ].join('\n\n'), { include: ['.git/**', 'node_modules/**'] });
+
+    expect(edits.map(({ status, error }) => [status, error])).toEqual([
+      ['failed', 'Files in .git/ can\'t be edited'],
+      ['failed', 'Files in node_modules/ can\'t be edited']
+    ]);
+    await applyEdits(edits);
+    expect(read('.git/config')).toBe('[core]\n');
+  });
+
+  it('refuses files the codebase listing leaves out', async () => {
+    fs.writeFileSync(path.join(codebase, '.gitignore'), 'generated.js\n');
+    fs.writeFileSync(path.join(codebase, 'generated.js'), 'const g = 1;\n');
+    fs.writeFileSync(path.join(codebase, '.env'), 'TOKEN=1\n');
+
+    const { edits } = await propose(`${applyDiff('generated.js', ['const g = 1;', 'const g = 2;'])}\n\n${applyDiff('.env', ['TOKEN=1', 'TOKEN=2'])}`);
+
+    expect(edits.map(({ status }) => status)).toEqual(['failed', 'failed']);
+    expect(edits[0].error).toMatch(/^generated\.js is not part of the codebase the CLI reads/);
+    expect(edits[1].error).toMatch(/^\.env is not part of the codebase the CLI reads/);
+  });
+
+  it('refuses symlinks that lead out of the codebase', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-outside-'));
+    fs.writeFileSync(path.join(outside, 'target.txt'), 'keep me\n');
+    fs.symlinkSync(path.join(outside, 'target.txt'), path.join(codebase, 'link.txt'));
+    fs.symlinkSync(outside, path.join(codebase, 'linked'));
+
+    const { edits } = await propose(`${applyDiff('link.txt', ['keep me', 'changed'])}\n\n${applyDiff('linked/target.txt', ['keep me', 'changed'])}`);
+
+    expect(edits.map(({ status, error }) => [status, error])).toEqual([
+      ['failed', `link.txt is outside the codebase (${codebase})`],
+      ['failed', `linked/target.txt is outside the codebase (${codebase})`]
+    ]);
+    expect(fs.readFileSync(path.join(outside, 'target.txt'), 'utf8')).toBe('keep me\n');
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  it('writes nothing if a file was swapped for a symlink after the edits were worked out', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-outside-'));
+    fs.writeFileSync(path.join(outside, 'a.js'), 'const a = 1;\nconsole.log(a);\n');
+    const { edits } = await propose(applyDiff('a.js', ['const a = 1;', 'const a = 2;']));
+    fs.rmSync(path.join(codebase, 'a.js'));
+    fs.symlinkSync(path.join(outside, 'a.js'), path.join(codebase, 'a.js'));
+
+    await expect(applyEdits(edits)).rejects.toThrow('a.js changed while the edits were prepared; nothing was written');
+    expect(fs.readFileSync(path.join(outside, 'a.js'), 'utf8')).toBe('const a = 1;\nconsole.log(a);\n');
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+});
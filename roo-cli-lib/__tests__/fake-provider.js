@@ -0,0 +1,67 @@
+import http from 'http';
+
+// A stand-in for the Anthropic Messages API on a local port, for tests that go through the
+// provider layer. Each reply is streamed a word at a time, `delay` ms apart. `fail(body, index)`
+// can answer a request (index counts from 0) with an error status instead.
+// Resolves to { baseUrl, requests, close }; requests lists the parsed body of every request.
+export async function startFakeProvider({ replies = ['Hello from the fake model.'], fail = () => null, delay = 0 } = {}) {
+  const requests = [];
+  let answered = 0;
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const json = JSON.parse(body || '{}');
+    const index = requests.push(json) - 1;
+
+    const status = fail(json, index);
+    if (status) {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: `Failed with ${status}` } }));
+      return;
+    }
+
+    const reply = replies[Math.min(answered++, replies.length - 1)];
+    const usage = { input_tokens: 100, output_tokens: 1, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    send('message_start', { message: { id: 'msg', type: 'message', role: 'assistant', model: json.model, content: [], usage } });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    for (const word of reply.match(/\S+\s*/g) || []) {
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      if (res.destroyed) {
+        return;
+      }
+      send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: word } });
+    }
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 10 } });
+    send('message_stop', {});
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// A config for the fake provider
+export function fakeProviderConfig(baseUrl, overrides = {}) {
+  return {
+    provider: 'anthropic',
+    apiKey: 'sk-ant-test',
+    model: 'claude-3-5-sonnet-20241022',
+    providerSettings: { anthropicBaseUrl: baseUrl },
+    retryBaseDelay: 0.01,
+    ...overrides
+  };
+}
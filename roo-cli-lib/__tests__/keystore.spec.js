@@ -0,0 +1,154 @@
+// npx vitest run __tests__/keystore.spec.js
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let tmpDir;
+
+// KEYSTORE_FILE and the unlocked passphrase live in the module, so each test loads a fresh copy
+async function loadKeystore(passphrase) {
+  process.env.ROO_CLI_KEYSTORE_PASSPHRASE = passphrase;
+  vi.resetModules();
+  return import('../keystore.js');
+}
+
+beforeAll(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-keystore-'));
+  process.env.ROO_CLI_KEYSTORE = path.join(tmpDir, 'keystore.json');
+});
+
+afterAll(async () => {
+  delete process.env.ROO_CLI_KEYSTORE;
+  delete process.env.ROO_CLI_KEYSTORE_PASSPHRASE;
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  await fs.rm(process.env.ROO_CLI_KEYSTORE, { force: true });
+});
+
+describe('readKeystore / writeKeystore', () => {
+  it('reads back what it wrote, without the keys in plain text on disk', async () => {
+    const keystore = await loadKeystore('correct horse');
+    await keystore.writeKeystore({ a1: 'sk-ant-secret-value' });
+
+    const stored = await fs.readFile(process.env.ROO_CLI_KEYSTORE, 'utf8');
+    expect(stored).not.toContain('sk-ant-secret-value');
+    expect(JSON.parse(stored)).toMatchObject({ version: 1, cipher: 'aes-256-gcm', kdf: 'scrypt' });
+    expect((await fs.stat(process.env.ROO_CLI_KEYSTORE)).mode & 0o777).toBe(0o600);
+
+    expect(await (await loadKeystore('correct horse')).readKeystore()).toEqual({ a1: 'sk-ant-secret-value' });
+  });
+
+  it('refuses the wrong passphrase', async () => {
+    await (await loadKeystore('correct horse')).writeKeystore({ a1: 'sk-ant-secret-value' });
+
+    await expect((await loadKeystore('battery staple')).readKeystore())
+      .rejects.toThrow('Could not unlock the keystore: wrong passphrase or key file.');
+  });
+
+  it('is empty when there is no keystore file yet', async () => {
+    expect(await (await loadKeystore('correct horse')).readKeystore()).toEqual({});
+  });
+
+  it('is locked without a passphrase, key file or prompt', async () => {
+    delete process.env.ROO_CLI_KEYSTORE_PASSPHRASE;
+    vi.resetModules();
+    const keystore = await import('../keystore.js');
+
+    await expect(keystore.writeKeystore({})).rejects.toThrow('The keystore is locked.');
+  });
+});
+
+describe('extractSecrets / insertSecrets', () => {
+  it('swaps keys, nested ones included, for placeholders and back', async () => {
+    const { extractSecrets, insertSecrets, hasPlaceholders } = await loadKeystore('correct horse');
+    const fileConfig = {
+      provider: 'anthropic',
+      apiKey: 'sk-ant-1234567890',
+      profiles: { bedrock: { providerSettings: { apiProvider: 'bedrock', awsSecretKey: 'aws-secret' } } }
+    };
+
+    const { config, secrets, ids } = extractSecrets(fileConfig);
+    expect(config.provider).toBe('anthropic');
+    expect(config.apiKey).toMatch(/^@keystore:[0-9a-f]{12}$/);
+    expect(config.profiles.bedrock.providerSettings.awsSecretKey).toMatch(/^@keystore:/);
+    expect(Object.values(secrets).sort()).toEqual(['aws-secret', 'sk-ant-1234567890']);
+    expect(ids).toHaveLength(2);
+    expect(hasPlaceholders(config)).toBe(true);
+    expect(hasPlaceholders(fileConfig)).toBe(false);
+
+    expect(insertSecrets(config, secrets)).toEqual(fileConfig);
+    expect(extractSecrets(config)).toEqual({ config, secrets: {}, ids });
+  });
+});
+
+describe('maskSecrets', () => {
+  it('keeps the last four characters of long keys only', async () => {
+    const { maskSecrets } = await loadKeystore('correct horse');
+
+    expect(maskSecrets({
+      provider: 'openai',
+      apiKey: 'sk-proj-abcdef1234',
+      providerSettings: { openRouterApiKey: 'short', awsSessionToken: '@keystore:abc123' },
+      model: 'gpt-4o'
+    })).toEqual({
+      provider: 'openai',
+      apiKey: '********1234',
+      providerSettings: { openRouterApiKey: '********', awsSessionToken: '(in keystore)' },
+      model: 'gpt-4o'
+    });
+  });
+});
+
+describe('header settings', () => {
+  const fileConfig = {
+    providerSettings: {
+      apiProvider: 'openai',
+      openAiHeaders: { Authorization: 'Bearer sk-proxy-abcdef1234', 'X-Team': 'platform' }
+    }
+  };
+
+  it('masks every header value', async () => {
+    const { maskSecrets } = await loadKeystore('correct horse');
+
+    expect(maskSecrets(fileConfig).providerSettings.openAiHeaders).toEqual({ Authorization: '********1234', 'X-Team': '********' });
+  });
+
+  it('moves every header value into the keystore', async () => {
+    const { extractSecrets, insertSecrets } = await loadKeystore('correct horse');
+
+    const { config, secrets } = extractSecrets(fileConfig);
+    expect(JSON.stringify(config)).not.toContain('sk-proxy');
+    expect(Object.values(secrets).sort()).toEqual(['Bearer sk-proxy-abcdef1234', 'platform']);
+    expect(insertSecrets(config, secrets)).toEqual(fileConfig);
+  });
+});
+
+describe('writePrivateFile', () => {
+  it('replaces a file readable by others with an owner-only one', async () => {
+    const { writePrivateFile } = await loadKeystore('correct horse');
+    const file = path.join(tmpDir, 'config.json');
+    await fs.writeFile(file, '{}', { mode: 0o644 });
+
+    await writePrivateFile(file, '{"apiKey":"sk-ant-secret"}');
+
+    expect(await fs.readFile(file, 'utf8')).toBe('{"apiKey":"sk-ant-secret"}');
+    expect((await fs.stat(file)).mode & 0o777).toBe(0o600);
+    expect((await fs.readdir(tmpDir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('writes through a symlink to the file it points to', async () => {
+    const { writePrivateFile } = await loadKeystore('correct horse');
+    const target = path.join(tmpDir, 'dotfiles-config.json');
+    const link = path.join(tmpDir, 'linked-config.json');
+    await fs.writeFile(target, '{}');
+    await fs.symlink(target, link);
+
+    await writePrivateFile(link, '{"model":"new"}');
+
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readFile(target, 'utf8')).toBe('{"model":"new"}');
+  });
+});
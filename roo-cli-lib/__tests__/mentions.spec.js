@@ -0,0 +1,106 @@
+// npx vitest run __tests__/mentions.spec.js
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { parseMentions } from '../mentions.js';
+
+let tmpDir;
+let codebase;
+
+beforeAll(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-mentions-')));
+  codebase = path.join(tmpDir, 'codebase');
+  await fs.mkdir(path.join(codebase, 'src', 'lib'), { recursive: true });
+  await fs.writeFile(path.join(codebase, 'src', 'app.js'), 'const a = 1;\nexport default a;\n');
+  await fs.writeFile(path.join(codebase, 'src', 'secret.env'), 'TOKEN=1\n');
+  await fs.writeFile(path.join(codebase, 'my notes.md'), 'hello\n');
+  await fs.writeFile(path.join(codebase, '.rooignore'), '*.env\n');
+  await fs.writeFile(path.join(tmpDir, 'outside.txt'), 'not for the server\n');
+  await fs.symlink(path.join(tmpDir, 'outside.txt'), path.join(codebase, 'link.txt'));
+  await fs.symlink(tmpDir, path.join(codebase, 'parent'));
+});
+
+afterAll(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('parseMentions', () => {
+  it('leaves text without mentions alone', async () => {
+    expect(await parseMentions('email me at someone@example.com', codebase)).toEqual({
+      text: 'email me at someone@example.com',
+      mentions: []
+    });
+  });
+
+  it('inlines a mentioned file with line numbers', async () => {
+    const { text, mentions } = await parseMentions('Explain @/src/app.js.', codebase);
+
+    expect(text).toBe(
+      "Explain 'src/app.js' (see below for file content).\n\n" +
+      '<file_content path="src/app.js">\n1 | const a = 1;\n2 | export default a;\n\n</file_content>'
+    );
+    expect(mentions).toEqual([{ mention: '/src/app.js', error: null }]);
+  });
+
+  it('lists a folder and inlines the files in it that .rooignore allows', async () => {
+    const { text } = await parseMentions('Look at @/src/', codebase);
+
+    expect(text).toContain("Look at 'src/' (see below for folder content)");
+    expect(text).toContain('<folder_content path="src/">\n├── app.js\n├── lib/\n└── 🔒 secret.env\n\n<file_content path="src/app.js">');
+    expect(text).not.toContain('TOKEN=1');
+  });
+
+  it('reads escaped spaces and mentions each path once', async () => {
+    const { text, mentions } = await parseMentions('@/my\\ notes.md and again @/my\\ notes.md', codebase);
+
+    expect(mentions).toEqual([{ mention: '/my\\ notes.md', error: null }]);
+    expect(text.match(/<file_content/g)).toHaveLength(1);
+    expect(text).toContain('1 | hello');
+  });
+
+  it('reports paths that do not exist', async () => {
+    const { mentions } = await parseMentions('@/missing.js', codebase);
+
+    expect(mentions[0].error).toMatch(/^Failed to access path "missing.js"/);
+  });
+
+  describe('with confine', () => {
+    it('still reads paths inside the codebase', async () => {
+      const { mentions } = await parseMentions('@/src/app.js', codebase, { confine: true });
+
+      expect(mentions).toEqual([{ mention: '/src/app.js', error: null }]);
+    });
+
+    it('refuses paths that lead out of the codebase', async () => {
+      const { text, mentions } = await parseMentions('@/../outside.txt', codebase, { confine: true });
+
+      expect(mentions).toEqual([{ mention: '/../outside.txt', error: 'Path "../outside.txt" is outside the codebase' }]);
+      expect(text).not.toContain('not for the server');
+      expect((await parseMentions('@/../outside.txt', codebase)).text).toContain('not for the server');
+    });
+
+    it('refuses symlinks that lead out of the codebase', async () => {
+      const { text, mentions } = await parseMentions('@/link.txt @/parent/outside.txt @/parent/', codebase, { confine: true });
+
+      expect(mentions.map(({ error }) => error)).toEqual([
+        'Path "link.txt" is outside the codebase',
+        'Path "parent/outside.txt" is outside the codebase',
+        'Path "parent/" is outside the codebase'
+      ]);
+      expect(text).not.toContain('not for the server');
+    });
+
+    it('refuses URL and commit mentions', async () => {
+      const { text, mentions } = await parseMentions('@https://example.com @abc1234', codebase, { confine: true });
+
+      expect(mentions).toEqual([
+        { mention: 'https://example.com', error: 'URL and commit mentions are not available through the server' },
+        { mention: 'abc1234', error: 'URL and commit mentions are not available through the server' }
+      ]);
+      expect(text).toContain('<url_content url="https://example.com">\nURL and commit mentions are not available through the server\n</url_content>');
+      expect(text).toContain('<git_commit hash="abc1234">\nURL and commit mentions are not available through the server\n</git_commit>');
+    });
+  });
+});
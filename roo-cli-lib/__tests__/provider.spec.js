@@ -0,0 +1,107 @@
+// npx vitest run __tests__/provider.spec.js
+
+import fs from 'fs';
+
+import { loadProviderLayer, sendMessage, toProviderSettings } from '../provider.js';
+import { fakeProviderConfig, startFakeProvider } from './fake-provider.js';
+
+// The provider layer is the extension's bundle
+const hasProviderLayer = fs.existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+let provider;
+
+afterEach(async () => {
+  await provider?.close();
+  provider = null;
+});
+
+describe('toProviderSettings', () => {
+  it('maps the CLI providers to the extension\'s settings fields', () => {
+    expect(toProviderSettings({ provider: 'anthropic', apiKey: 'sk-ant', model: 'claude-3-5-sonnet-20241022', maxTokens: 1000 })).toEqual({
+      apiProvider: 'anthropic',
+      apiKey: 'sk-ant',
+      apiModelId: 'claude-3-5-sonnet-20241022',
+      modelMaxTokens: 1000,
+      modelTemperature: undefined
+    });
+    expect(toProviderSettings({ provider: 'ollama', baseUrl: 'http://localhost:11434', model: 'llama3' })).toMatchObject({
+      apiProvider: 'ollama',
+      ollamaBaseUrl: 'http://localhost:11434',
+      ollamaModelId: 'llama3'
+    });
+  });
+
+  it('puts the model in the model field of a provider profile', () => {
+    expect(toProviderSettings({ providerSettings: { apiProvider: 'openrouter', openRouterApiKey: 'key', openRouterModelId: 'old' }, model: 'new' }))
+      .toMatchObject({ apiProvider: 'openrouter', openRouterModelId: 'new' });
+  });
+});
+
+describe.skipIf(!hasProviderLayer)('loadProviderLayer', () => {
+  it('leaves console as it found it', async () => {
+    const { log, info } = console;
+
+    const layer = await loadProviderLayer();
+
+    expect(typeof layer.buildApiHandler).toBe('function');
+    expect(console.log).toBe(log);
+    expect(console.info).toBe(info);
+  });
+});
+
+describe.skipIf(!hasProviderLayer)('retries', () => {
+  it('sends one request per attempt, without the SDK\'s own retries', async () => {
+    provider = await startFakeProvider({ fail: (body, index) => index < 2 ? 429 : null });
+
+    await expect(sendMessage(fakeProviderConfig(provider.baseUrl, { maxRetries: 0 }), messages)).rejects.toMatchObject({
+      attempts: [{ provider: 'anthropic', error: expect.stringContaining('429') }]
+    });
+    expect(provider.requests).toHaveLength(1);
+  });
+
+  it('retries failed requests up to maxRetries times', async () => {
+    provider = await startFakeProvider({ replies: ['Third time lucky.'], fail: (body, index) => index < 2 ? 429 : null });
+    const retries = [];
+
+    const response = await sendMessage(fakeProviderConfig(provider.baseUrl, { maxRetries: 2 }), messages, {
+      onRetry: ({ retry }) => retries.push(retry)
+    });
+
+    expect(response.text).toBe('Third time lucky.');
+    expect(response.attempts.map(attempt => attempt.error === null)).toEqual([false, false, true]);
+    expect(retries).toEqual([1, 2]);
+    expect(provider.requests).toHaveLength(3);
+  });
+
+  it('doesn\'t retry requests the provider refuses', async () => {
+    provider = await startFakeProvider({ fail: () => 400 });
+
+    await expect(sendMessage(fakeProviderConfig(provider.baseUrl, { maxRetries: 2 }), messages)).rejects.toMatchObject({
+      attempts: [expect.anything()]
+    });
+    expect(provider.requests).toHaveLength(1);
+  });
+
+  it('falls back to the next profile once retries run out', async () => {
+    provider = await startFakeProvider({ replies: ['From the fallback.'], fail: body => body.model === 'claude-3-5-sonnet-20241022' ? 503 : null });
+    const fallback = fakeProviderConfig(provider.baseUrl, { profile: 'backup', model: 'claude-3-5-haiku-20241022' });
+    const fallbacks = [];
+
+    const response = await sendMessage(fakeProviderConfig(provider.baseUrl, { profile: 'main', maxRetries: 1 }), messages, {
+      fallbacks: [fallback],
+      onFallback: ({ config }) => fallbacks.push(config.profile)
+    });
+
+    expect(response.text).toBe('From the fallback.');
+    expect(response.config).toBe(fallback);
+    expect(fallbacks).toEqual(['backup']);
+    expect(response.attempts.map(({ profile, model, error }) => [profile, model, error === null])).toEqual([
+      ['main', 'claude-3-5-sonnet-20241022', false],
+      ['main', 'claude-3-5-sonnet-20241022', false],
+      ['backup', 'claude-3-5-haiku-20241022', true]
+    ]);
+    expect(provider.requests).toHaveLength(3);
+  });
+});
@@ -0,0 +1,135 @@
+// npx vitest run __tests__/ranking.spec.js
+
+import { selectCodeFiles } from '../codebase.js';
+import { rankFiles, selectSnippet, tokenize } from '../ranking.js';
+
+// One token per word and one per line break keeps the budgets below easy to follow
+vi.mock('../tokens.js', () => ({
+  countTokens: async (text) => (text.match(/\S+/g) || []).length + (text.match(/\n/g) || []).length
+}));
+
+describe('tokenize', () => {
+  it('splits camelCase, snake_case and kebab-case, drops stop words and stems', () => {
+    expect(tokenize('How does parseConfigFile handle user_settings and cache-keys?'))
+      .toEqual(['pars', 'config', 'handl', 'user', 'setting', 'cach', 'key']);
+  });
+});
+
+describe('rankFiles', () => {
+  it('ranks the file that mentions the query terms first', () => {
+    const ranked = rankFiles([
+      { path: 'src/a.js', content: 'render the page layout' },
+      { path: 'src/b.js', content: 'retry the request after a timeout, then retry again' },
+      { path: 'src/c.js', content: 'log the page title' }
+    ], 'retry timeout');
+
+    expect(ranked.map(file => file.path)).toEqual(['src/b.js', 'src/a.js', 'src/c.js']);
+    expect(ranked[0].reasons).toContain('3 keyword hits');
+    expect(ranked[1].score).toBe(0);
+  });
+
+  it('weighs rare terms over common ones', () => {
+    const ranked = rankFiles([
+      { path: 'one.js', content: 'cache cache' },
+      { path: 'two.js', content: 'token cache' },
+      { path: 'three.js', content: 'cache' }
+    ], 'cache token');
+
+    expect(ranked[0].path).toBe('two.js');
+  });
+
+  it('favours shorter files for the same number of hits', () => {
+    const filler = Array.from({ length: 50 }, (_, index) => `word${index}`).join(' ');
+    const ranked = rankFiles([
+      { path: 'long.js', content: `session ${filler}` },
+      { path: 'short.js', content: 'session' }
+    ], 'session');
+
+    expect(ranked.map(file => file.path)).toEqual(['short.js', 'long.js']);
+  });
+
+  it('boosts path and identifier matches and says why', () => {
+    const ranked = rankFiles([
+      { path: 'src/render.js', content: 'nothing relevant' },
+      { path: 'src/auth/login.js', content: 'export function validateSession() {}' }
+    ], 'auth session validation');
+
+    expect(ranked[0].path).toBe('src/auth/login.js');
+    expect(ranked[0].reasons).toEqual(['path matches "auth"', 'defines validateSession', '1 keyword hit']);
+  });
+
+  it('keeps the original order when the query has no usable terms', () => {
+    const documents = [{ path: 'b.js', content: 'b' }, { path: 'a.js', content: 'a' }];
+    expect(rankFiles(documents, 'how does it work?').map(file => file.path)).toEqual(['b.js', 'a.js']);
+  });
+});
+
+describe('selectSnippet', () => {
+  const content = [
+    'import helpers from "./helpers";',
+    '',
+    'function alpha() {',
+    '  const first = one + two;',
+    '  const second = three + four;',
+    '  return first + second;',
+    '}',
+    '',
+    '/** Reads the session token */',
+    'function parseToken(header) {',
+    '  const token = header.split(" ")[1];',
+    '  return decode(token);',
+    '}',
+    '',
+    'function gamma() {',
+    '  const value = compute(five, six);',
+    '  return value * seven;',
+    '}'
+  ].join('\n');
+
+  it('returns a file that fits whole', async () => {
+    const snippet = await selectSnippet(content, 'token', 1000);
+    expect(snippet).toMatchObject({ text: content, startLine: 1, endLine: 18, truncated: false });
+  });
+
+  it('starts at the matching function, doc comment included, and never cuts into the next one', async () => {
+    const snippet = await selectSnippet(content, 'parse token', 26);
+
+    expect(snippet.truncated).toBe(true);
+    expect(snippet.startLine).toBe(9);
+    expect(snippet.endLine).toBe(13);
+    expect(snippet.text.split('\n')[0]).toBe('/** Reads the session token */');
+    expect(snippet.text.endsWith('}')).toBe(true);
+    expect(snippet.tokens).toBeLessThanOrEqual(26);
+  });
+
+  it('returns nothing when not even one line fits', async () => {
+    const snippet = await selectSnippet(content, 'token', 0);
+    expect(snippet).toMatchObject({ text: '', endLine: 0, truncated: true });
+  });
+});
+
+describe('selectCodeFiles', () => {
+  const documents = [
+    { path: 'src/render.js', content: 'draw the page' },
+    { path: 'src/session.js', content: 'expire the session after a timeout' },
+    { path: 'src/log.js', content: 'write the log' },
+    { path: 'src/retry.js', content: 'retry after a timeout' }
+  ];
+
+  it('picks only the files that match the query, best first', async () => {
+    const selected = await selectCodeFiles(rankFiles(documents, 'session timeout'), 'session timeout', { maxFiles: 10, budget: 1000 });
+
+    expect(selected.map(file => file.path)).toEqual(['src/session.js', 'src/retry.js']);
+    expect(selected.every(file => file.score > 0 && file.reasons.length > 0)).toBe(true);
+  });
+
+  it('picks nothing when no file matches', async () => {
+    expect(await selectCodeFiles(rankFiles(documents, 'database migration'), 'database migration', { maxFiles: 10, budget: 1000 })).toEqual([]);
+  });
+
+  it('stops at maxFiles', async () => {
+    const selected = await selectCodeFiles(rankFiles(documents, 'session timeout'), 'session timeout', { maxFiles: 1, budget: 1000 });
+
+    expect(selected.map(file => file.path)).toEqual(['src/session.js']);
+  });
+});
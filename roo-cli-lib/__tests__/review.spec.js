@@ -0,0 +1,127 @@
+// npx vitest run __tests__/review.spec.js
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { collectReviewChanges, formatSarif, parseReview } from '../review.js';
+
+// A word or a line break is a token
+vi.mock('../tokens.js', () => ({
+  countTokens: async (text) => (text.match(/\S+/g) || []).length + (text.match(/\n/g) || []).length
+}));
+
+describe('parseReview', () => {
+  it('takes the JSON out of a code fence and normalizes the findings', () => {
+    const text = `Here is my review:
+
+\`\`\`json
+{
+  "summary": "  One bug, one nit. ",
+  "findings": [
+    { "file": "./src/b.js", "line": "7", "severity": "Nit", "category": "Code Style", "message": "Unused import" },
+    { "file": "a/src/a.js", "line": 12, "endLine": 14, "severity": "critical", "category": "bug", "message": "Off by one", "suggestion": "Use <=" },
+    { "file": "src\\\\a.js", "line": 3, "endLine": 2, "severity": "whatever", "message": "Shadowed variable" },
+    { "file": "src/c.js", "severity": "error" },
+    { "message": "No file" }
+  ]
+}
+\`\`\``;
+
+    expect(parseReview(text)).toEqual({
+      summary: 'One bug, one nit.',
+      findings: [
+        { file: 'src/a.js', line: 12, endLine: 14, severity: 'error', category: 'bug', message: 'Off by one', suggestion: 'Use <=' },
+        { file: 'src/a.js', line: 3, endLine: null, severity: 'warning', category: 'general', message: 'Shadowed variable', suggestion: null },
+        { file: 'src/b.js', line: 7, endLine: null, severity: 'note', category: 'code-style', message: 'Unused import', suggestion: null }
+      ]
+    });
+  });
+
+  it('accepts a review without findings or summary', () => {
+    expect(parseReview('{"findings": null}')).toEqual({ summary: '', findings: [] });
+  });
+
+  it('fails when there is no JSON object', () => {
+    expect(() => parseReview('Looks good to me!')).toThrow('The model\'s review is not valid JSON');
+    expect(() => parseReview('{ "summary": "cut off')).toThrow('The model\'s review is not valid JSON');
+  });
+});
+
+describe('formatSarif', () => {
+  const findings = [
+    { file: 'src/a.js', line: 12, endLine: 14, severity: 'error', category: 'bug', message: 'Off by one', suggestion: 'Use <=' },
+    { file: 'src/b.js', line: 7, endLine: null, severity: 'note', category: 'style', message: 'Unused import', suggestion: null },
+    { file: 'README.md', line: null, endLine: null, severity: 'warning', category: 'bug', message: 'Outdated', suggestion: null }
+  ];
+
+  it('makes each category a rule and each finding a result', () => {
+    const [run] = formatSarif({ findings }, { root: '/work/repo' }).runs;
+
+    expect(run.tool.driver).toEqual({
+      name: 'roo-cli review',
+      rules: [
+        { id: 'bug', name: 'bug', shortDescription: { text: 'Review finding: bug' } },
+        { id: 'style', name: 'style', shortDescription: { text: 'Review finding: style' } }
+      ]
+    });
+    expect(run.originalUriBaseIds).toEqual({ SRCROOT: { uri: 'file:///work/repo/' } });
+    expect(run.results.map(({ ruleId, ruleIndex, level }) => [ruleId, ruleIndex, level]))
+      .toEqual([['bug', 0, 'error'], ['style', 1, 'note'], ['bug', 0, 'warning']]);
+  });
+
+  it('gives line regions only for findings with lines, and adds suggestions to the message', () => {
+    const { results } = formatSarif({ findings }, { root: '/work/repo' }).runs[0];
+
+    expect(results[0].message.text).toBe('Off by one\n\nSuggestion: Use <=');
+    expect(results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/a.js', uriBaseId: 'SRCROOT' },
+      region: { startLine: 12, endLine: 14 }
+    });
+    expect(results[1].locations[0].physicalLocation.region).toEqual({ startLine: 7 });
+    expect(results[2].locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'README.md', uriBaseId: 'SRCROOT' } });
+  });
+
+  it('is a valid log without findings', () => {
+    expect(formatSarif({ findings: [] }, { root: '/work/repo' })).toMatchObject({
+      version: '2.1.0',
+      runs: [{ tool: { driver: { rules: [] } }, results: [] }]
+    });
+  });
+});
+
+describe('collectReviewChanges', () => {
+  let repo;
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf8' });
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-review-')));
+    git('init', '--quiet', '--initial-branch=main');
+    fs.writeFileSync(path.join(repo, 'a.js'), 'const a = 1;\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'initial');
+    git('checkout', '--quiet', '-b', 'feature');
+    fs.writeFileSync(path.join(repo, 'a.js'), 'const a = 2;\n');
+    git('commit', '--quiet', '-am', 'change a');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('collects the branch\'s changes since --base', async () => {
+    const changes = await collectReviewChanges(repo, { base: 'main', budget: 1000 });
+
+    expect(changes.files).toEqual([{ path: 'a.js', status: 'M', included: true }]);
+  });
+
+  it('refuses a --base that git would take for an option', async () => {
+    const output = path.join(repo, 'written.txt');
+
+    for (const base of [`--output=${output}`, '-p']) {
+      await expect(collectReviewChanges(repo, { base, budget: 1000 })).rejects.toThrow(`"${base}" is not a branch, tag or commit in ${repo}`);
+    }
+    expect(fs.existsSync(output)).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+// npx vitest run __tests__/server.spec.js
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { fakeProviderConfig, startFakeProvider } from './fake-provider.js';
+
+// The server answers through the provider layer, from the extension's bundle
+const hasProviderLayer = fs.existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+const SERVER = fileURLToPath(new URL('../../roo-cli-server/roo-cli-server.js', import.meta.url));
+
+let provider;
+let server;
+
+afterEach(async () => {
+  if (server) {
+    server.child.kill();
+    await new Promise(resolve => server.child.on('close', resolve));
+  }
+  await provider?.close();
+  provider = server = null;
+});
+
+async function getFreePort() {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+// Start the server with `config` as its config file; resolves once it listens
+async function startServer(config) {
+  const configFile = path.join(process.env.HOME, 'server-config.json');
+  fs.writeFileSync(configFile, JSON.stringify(config));
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), ROO_CLI_CONFIG: configFile },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', data => data.includes('running on') && resolve());
+    child.on('close', code => reject(new Error(`The server exited with ${code}`)));
+  });
+  const request = async (route, body) => {
+    const response = await fetch(`http://127.0.0.1:${port}${route}`, body ? {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    } : {});
+    return { status: response.status, body: await response.json() };
+  };
+  return { child, request };
+}
+
+describe.skipIf(!hasProviderLayer)('daily budget', () => {
+  // Each request is estimated at up to ~$0.018 (1000 context tokens in, maxTokens out)
+  const budgetConfig = baseUrl => fakeProviderConfig(baseUrl, { maxTokens: 1000, contextBudget: 1000, dailyBudget: 0.03 });
+
+  it('refuses a request the budget can\'t cover alongside one in progress', async () => {
+    provider = await startFakeProvider({ replies: ['one two three four five'], delay: 100 });
+    server = await startServer(budgetConfig(provider.baseUrl));
+
+    const responses = await Promise.all([
+      server.request('/chat', { prompt: 'First question' }),
+      server.request('/chat', { prompt: 'Second question' })
+    ]);
+
+    // Whichever reserves first is answered
+    expect(responses.map(response => response.status).sort()).toEqual([200, 429]);
+    expect(responses.find(response => response.status === 429).body.error).toMatch(/reserved for requests in progress/);
+    expect(provider.requests).toHaveLength(1);
+
+    // Once the answered one is done only its real cost counts
+    const third = await server.request('/chat', { prompt: 'Third question' });
+    expect(third.status).toBe(200);
+
+    const usage = await server.request('/usage');
+    expect(usage.body.profiles.default).toMatchObject({ requests: 2, dailyBudget: 0.03 });
+    expect(usage.body.profiles.default.cost).toBeLessThan(0.01);
+  });
+
+  it('gives the reservation back when the request fails', async () => {
+    provider = await startFakeProvider({ fail: (body, index) => index === 0 ? 400 : null });
+    server = await startServer(budgetConfig(provider.baseUrl));
+
+    expect((await server.request('/chat', { prompt: 'First question' })).status).toBe(500);
+    expect((await server.request('/chat', { prompt: 'Second question' })).status).toBe(200);
+    expect((await server.request('/chat', { prompt: 'Third question' })).status).toBe(200);
+  });
+});
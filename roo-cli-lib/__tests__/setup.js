@@ -0,0 +1,11 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Every test file gets a home of its own, so the provider layer's model caches, checkpoints and
+// config stay out of the real ~/.roo-cli
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'roo-cli-home-'));
+
+afterAll(() => {
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+});
@@ -0,0 +1,112 @@
+// npx vitest run __tests__/streaming.spec.js
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { sendMessage } from '../provider.js';
+import { fakeProviderConfig, startFakeProvider } from './fake-provider.js';
+
+// Requests go through the provider layer's Anthropic handler, from the extension's bundle
+const hasProviderLayer = fs.existsSync(new URL('../../src/dist/standalone.js', import.meta.url));
+
+const CLI = fileURLToPath(new URL('../../roo-cli.js', import.meta.url));
+
+let provider;
+
+afterEach(async () => {
+  await provider?.close();
+  provider = null;
+});
+
+// Run the CLI against the fake provider, calling onStdout(output so far, child) as the answer arrives
+function runCli(args, onStdout = () => {}) {
+  const child = spawn(process.execPath, [CLI, ...args], {
+    env: {
+      ...process.env,
+      ROO_CLI_CONFIG: `${process.env.HOME}/config.json`,
+      ROO_CLI_PROVIDER: 'anthropic',
+      ROO_CLI_API_KEY: 'sk-ant-test',
+      ROO_CLI_MODEL: 'claude-3-5-sonnet-20241022',
+      ANTHROPIC_BASE_URL: provider.baseUrl
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (data) => {
+    stdout += data;
+    onStdout(stdout, child);
+  });
+  child.stderr.on('data', (data) => {
+    stderr += data;
+  });
+  return new Promise(resolve => child.on('close', code => resolve({ code, stdout, stderr })));
+}
+
+describe.skipIf(!hasProviderLayer)('streaming', () => {
+  it('passes the answer on as it arrives', async () => {
+    provider = await startFakeProvider({ replies: ['Streaming one word at a time.'], delay: 5 });
+    const chunks = [];
+
+    const response = await sendMessage(fakeProviderConfig(provider.baseUrl), [{ role: 'user', content: 'Hi' }], {
+      onText: text => chunks.push(text)
+    });
+
+    // The handler passes on the empty text that opens the content block too
+    expect(chunks.filter(Boolean)).toEqual(['Streaming ', 'one ', 'word ', 'at ', 'a ', 'time.']);
+    expect(response.text).toBe('Streaming one word at a time.');
+    expect(response.usage).toMatchObject({ inputTokens: 100, outputTokens: 11 });
+    expect(provider.requests[0].stream).toBe(true);
+  });
+
+  it('stops reading when the request is cancelled mid-answer', async () => {
+    provider = await startFakeProvider({ replies: ['one two three four five six seven eight nine ten'], delay: 50 });
+    const controller = new AbortController();
+    const chunks = [];
+
+    const request = sendMessage(fakeProviderConfig(provider.baseUrl), [{ role: 'user', content: 'Hi' }], {
+      signal: controller.signal,
+      onText: (text) => {
+        if (text) {
+          chunks.push(text);
+        }
+        if (chunks.length === 2) {
+          controller.abort();
+        }
+      }
+    });
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError', message: 'Request cancelled' });
+    expect(chunks).toEqual(['one ', 'two ']);
+    expect(provider.requests).toHaveLength(1);
+  });
+
+  it('prints the answer token by token from the command line', async () => {
+    provider = await startFakeProvider({ replies: ['Hello from the fake model.'] });
+
+    const { code, stdout, stderr } = await runCli(['Say hello']);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('Hello from the fake model.\n');
+    expect(stderr).toContain('AI Response:');
+  });
+
+  it('cancels the answer on Ctrl-C and exits with 130', async () => {
+    provider = await startFakeProvider({ replies: ['one two three four five six seven eight nine ten'], delay: 100 });
+
+    let interrupted = false;
+    const { code, stdout, stderr } = await runCli(['Count to ten'], (output, child) => {
+      if (!interrupted && output.includes('two')) {
+        interrupted = true;
+        child.kill('SIGINT');
+      }
+    });
+
+    expect(code).toBe(130);
+    expect(stdout).toMatch(/^one two /);
+    expect(stdout).not.toContain('ten');
+    expect(stdout.endsWith('\n')).toBe(true);
+    expect(stderr).toContain('Response interrupted.');
+  });
+});
@@ -0,0 +1,462 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ignore from 'ignore';
+
+import { addLineNumbers, createCodebaseFilter, getAllFiles } from './codebase.js';
+import { getFileDefinitions } from './codemap.js';
+import { isBinaryFile } from './mentions.js';
+import { loadProviderLayer, sendMessage } from './provider.js';
+
+// Agent mode: rather than answering from files picked up front, the model explores the codebase
+// with the extension's read-only tools (src/core/tools: read_file, search_files, list_files and
+// list_code_definition_names), one call per reply, until it answers with attempt_completion.
+// Tools are described to the model, parsed and answered in the extension's formats; they only
+// see what listing the codebase reaches (see CodebaseFilter), nothing .rooignore denies and
+// nothing outside the codebase, through symlinks included.
+
+export const DEFAULT_AGENT_MAX_STEPS = 10;
+
+const AGENT_TOOLS = ['read_file', 'search_files', 'list_files', 'list_code_definition_names'];
+
+// Parameters each tool can't do without (read_file takes `args` or the older `path`)
+const REQUIRED_PARAMS = {
+  read_file: [],
+  search_files: ['path', 'regex'],
+  list_files: ['path'],
+  list_code_definition_names: ['path']
+};
+
+// Limits of the extension's tools: entries listed, search results, characters per result line
+// and files parsed for a directory's definitions
+const LIST_FILES_LIMIT = 200;
+const MAX_SEARCH_RESULTS = 300;
+const MAX_SEARCH_LINE_LENGTH = 500;
+const MAX_DEFINITION_FILES = 50;
+
+// Longer files are read in part, along with their definitions (the extension's maxReadFileLine)
+const MAX_READ_FILE_LINES = 500;
+
+// Files bigger than this are not searched
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024;
+
+// Ground rules on top of the persona's system prompt and the tool descriptions
+function getAgentRules(maxSteps) {
+  return `====
+
+AGENT MODE
+
+Only the read-only tools above are available: you can look at the codebase but not change it or run commands. The <codebase_context> block is just an overview, so read the files that matter before answering. Base your answer on what the tools returned and refer to files by their paths and line numbers.
+
+You can use at most ${maxSteps} tools for a question. Once you have what you need, answer with attempt_completion and put your whole answer, formatted as asked, in its result.`;
+}
+
+// Told to the model along with the result of its last allowed tool use
+const STEP_LIMIT_NOTICE = 'You have used all the tools you can for this question. Answer now with attempt_completion, based on what you have read so far.';
+
+// The system prompt for agent mode: the persona's system prompt, then the tools as the extension describes them
+async function getAgentSystemPrompt(systemPrompt, codebasePath, maxSteps) {
+  const layer = await loadProviderLayer();
+  const args = { cwd: codebasePath, supportsComputerUse: false, partialReadsEnabled: true };
+  const tools = [
+    layer.getReadFileDescription(args),
+    layer.getSearchFilesDescription(args),
+    layer.getListFilesDescription(args),
+    layer.getListCodeDefinitionNamesDescription(args),
+    layer.getAttemptCompletionDescription(args)
+  ];
+  return `${systemPrompt}\n\n${layer.getSharedToolUseSection()}\n\n# Tools\n\n${tools.join('\n\n')}\n\n${getAgentRules(maxSteps)}`;
+}
+
+// Resolve a tool's path against the codebase. Paths outside it are refused, symlinks
+// that lead out of it included.
+export async function resolveToolPath(filter, toolPath) {
+  const fullPath = path.resolve(filter.rootPath, toolPath);
+  const relativePath = path.relative(filter.rootPath, fullPath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || !(await filter.containsRealPath(fullPath))) {
+    throw new Error(`${toolPath} is outside the codebase (${filter.rootPath})`);
+  }
+  // The .gitignore files on the way down apply to what is inside
+  let dir = filter.rootPath;
+  for (const part of relativePath.split(path.sep).filter(Boolean)) {
+    await filter.loadDirectory(dir);
+    dir = path.join(dir, part);
+  }
+  return fullPath;
+}
+
+// Why a tool can't use a path the codebase listing leaves out
+export function getSkippedPathError(toolPath) {
+  return `${toolPath} is not part of the codebase the CLI reads: it is ignored by .gitignore, in a hidden or skipped folder, or left out with --exclude. Run the CLI with --include to add it.`;
+}
+
+// read_file's files as [{ path, lineRanges: [{ start, end }] }], from `args` or the older path/start_line/end_line
+function getReadFileEntries(layer, params) {
+  if (!params.args) {
+    const start = parseInt(params.start_line, 10);
+    const end = parseInt(params.end_line, 10);
+    return params.path ? [{ path: params.path, lineRanges: start > 0 && end > 0 ? [{ start, end }] : [] }] : [];
+  }
+
+  const parsed = layer.parseXml(params.args);
+  return [].concat(parsed.file || []).filter(file => file?.path).map(file => ({
+    path: String(file.path),
+    lineRanges: [].concat(file.line_range || []).flatMap(range => {
+      const match = String(range).match(/(\d+)-(\d+)/);
+      return match ? [{ start: Number(match[1]), end: Number(match[2]) }] : [];
+    })
+  }));
+}
+
+// The definitions in a file in list_code_definition_names format, or null if it has none
+async function formatFileDefinitions(fullPath, content, heading) {
+  const definitions = await getFileDefinitions(fullPath, content);
+  return definitions.length > 0 ? `# ${heading}\n${definitions.join('\n')}` : null;
+}
+
+// One <file> of read_file's result, with the lines read ("path:start-end") for the transcript
+async function readFileEntry(layer, filter, { path: filePath, lineRanges }) {
+  const error = (message) => ({ xml: `<file><path>${filePath}</path><error>${message}</error></file>`, read: [] });
+
+  let fullPath;
+  try {
+    fullPath = await resolveToolPath(filter, filePath);
+  } catch (resolveError) {
+    return error(`Error reading file: ${resolveError.message}`);
+  }
+  if (filter.isRooIgnored(fullPath)) {
+    return error(layer.formatResponse.rooIgnoreError(filePath));
+  }
+  if (!filter.includesPath(fullPath)) {
+    return error(`Error reading file: ${getSkippedPathError(filePath)}`);
+  }
+
+  try {
+    if (await isBinaryFile(fullPath)) {
+      return { xml: `<file><path>${filePath}</path>\n<notice>Binary file</notice>\n</file>`, read: [] };
+    }
+    const content = await fs.readFile(fullPath, 'utf8');
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    if (lineRanges.length > 0) {
+      const ranges = lineRanges.map(({ start, end }) => `<content lines="${start}-${end}">\n${addLineNumbers(lines.slice(start - 1, end).join('\n'), start)}</content>`);
+      return {
+        xml: `<file><path>${filePath}</path>\n${ranges.join('\n')}\n</file>`,
+        read: lineRanges.map(({ start, end }) => `${filePath}:${start}-${Math.min(end, lines.length)}`)
+      };
+    }
+
+    if (lines.length > MAX_READ_FILE_LINES) {
+      let xml = `<content lines="1-${MAX_READ_FILE_LINES}">\n${addLineNumbers(lines.slice(0, MAX_READ_FILE_LINES).join('\n'))}</content>\n`;
+      const definitions = await formatFileDefinitions(fullPath, content, path.basename(fullPath));
+      if (definitions) {
+        xml += `<list_code_definition_names>${definitions}</list_code_definition_names>\n`;
+      }
+      xml += `<notice>Showing only ${MAX_READ_FILE_LINES} of ${lines.length} total lines. Use line_range if you need to read more lines</notice>\n`;
+      return { xml: `<file><path>${filePath}</path>\n${xml}</file>`, read: [`${filePath}:1-${MAX_READ_FILE_LINES}`] };
+    }
+
+    const xml = lines.length > 0
+      ? `<content lines="1-${lines.length}">\n${addLineNumbers(content)}</content>\n`
+      : '<content/><notice>File is empty</notice>\n';
+    return { xml: `<file><path>${filePath}</path>\n${xml}</file>`, read: [filePath] };
+  } catch (readError) {
+    return error(`Error reading file: ${readError.message}`);
+  }
+}
+
+// read_file: line-numbered content of one or more files, whole or in line ranges
+async function readFiles(layer, filter, entries) {
+  const results = [];
+  for (const entry of entries) {
+    results.push(await readFileEntry(layer, filter, entry));
+  }
+  return {
+    result: `<files>\n${results.map(({ xml }) => xml).join('\n')}\n</files>`,
+    files: results.flatMap(({ read }) => read)
+  };
+}
+
+// list_files: a directory's entries (directories end in "/"), breadth-first when recursive
+async function listFiles(layer, filter, dirPath, recursive) {
+  const files = [];
+  const queue = [dirPath];
+  let didHitLimit = false;
+
+  while (queue.length > 0 && !didHitLimit) {
+    const current = queue.shift();
+    await filter.loadDirectory(current);
+    const entries = (await fs.readdir(current, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory() && filter.includesDirectory(fullPath)) {
+        files.push(`${fullPath}/`);
+        if (recursive) {
+          queue.push(fullPath);
+        }
+      } else if (entry.isFile() && filter.includesFile(fullPath)) {
+        files.push(fullPath);
+      }
+      if (files.length >= LIST_FILES_LIMIT) {
+        didHitLimit = true;
+        break;
+      }
+    }
+  }
+
+  return { result: layer.formatResponse.formatFilesList(dirPath, files, didHitLimit, undefined, false), files: [] };
+}
+
+// search_files: regex matches with a line of context either side, in the extension's ripgrep format
+async function searchFiles(layer, filter, searchPath, regex, filePattern) {
+  let pattern;
+  try {
+    pattern = new RegExp(regex);
+  } catch (error) {
+    throw new Error(`Invalid regex "${regex}": ${error.message}`);
+  }
+  const glob = ignore().add(filePattern || '*');
+  const isDirectory = (await fs.stat(searchPath)).isDirectory();
+  const files = isDirectory ? (await getAllFiles(searchPath, filter)).sort() : [searchPath];
+
+  const sections = [];
+  const matchedFiles = [];
+  let total = 0;
+  for (const file of files) {
+    if (total >= MAX_SEARCH_RESULTS) {
+      break;
+    }
+    const stats = await fs.stat(file);
+    if (!glob.ignores(isDirectory ? path.relative(searchPath, file) : path.basename(file)) || stats.size > MAX_SEARCH_FILE_SIZE || await isBinaryFile(file)) {
+      continue;
+    }
+
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    const matches = new Set(lines.flatMap((line, index) => pattern.test(line) ? [index] : []));
+    if (matches.size === 0) {
+      continue;
+    }
+
+    // Matches and the lines around them, in runs of consecutive lines
+    const shown = [...new Set([...matches].flatMap(index => [index - 1, index, index + 1]))]
+      .filter(index => index >= 0 && index < lines.length)
+      .sort((a, b) => a - b);
+    const results = [];
+    for (const index of shown) {
+      const run = results[results.length - 1];
+      if (run && run[run.length - 1] === index - 1) {
+        run.push(index);
+      } else {
+        results.push([index]);
+      }
+    }
+
+    const kept = results.slice(0, MAX_SEARCH_RESULTS - total);
+    total += kept.length;
+    const relativePath = filter.relative(file);
+    matchedFiles.push(relativePath);
+    sections.push(`# ${relativePath}\n${kept.map(run => `${run.map(index => {
+      const text = lines[index].length > MAX_SEARCH_LINE_LENGTH ? `${lines[index].slice(0, MAX_SEARCH_LINE_LENGTH)} [truncated...]` : lines[index];
+      return `${String(index + 1).padStart(3, ' ')} | ${text.trimEnd()}`;
+    }).join('\n')}\n----`).join('\n')}`);
+  }
+
+  const header = total >= MAX_SEARCH_RESULTS
+    ? `Showing first ${MAX_SEARCH_RESULTS} of ${MAX_SEARCH_RESULTS}+ results. Use a more specific search if necessary.`
+    : `Found ${total === 1 ? '1 result' : `${total.toLocaleString()} results`}.`;
+  return { result: [header, ...sections].join('\n\n'), files: matchedFiles };
+}
+
+// list_code_definition_names: the definitions in a file, or in the files directly inside a directory
+async function listCodeDefinitions(layer, filter, fullPath) {
+  const stats = await fs.stat(fullPath);
+  if (stats.isFile()) {
+    const definitions = await formatFileDefinitions(fullPath, await fs.readFile(fullPath, 'utf8'), path.basename(fullPath));
+    return { result: definitions || 'No source code definitions found.', files: definitions ? [filter.relative(fullPath)] : [] };
+  }
+  if (!stats.isDirectory()) {
+    return { result: 'The specified path is neither a file nor a directory.', files: [] };
+  }
+
+  const entries = (await fs.readdir(fullPath, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  const sections = [];
+  const files = [];
+  for (const entry of entries.filter(entry => entry.isFile()).slice(0, MAX_DEFINITION_FILES)) {
+    const filePath = path.join(fullPath, entry.name);
+    if (!filter.includesFile(filePath)) {
+      continue;
+    }
+    const definitions = await formatFileDefinitions(filePath, await fs.readFile(filePath, 'utf8'), entry.name);
+    if (definitions) {
+      sections.push(definitions);
+      files.push(filter.relative(filePath));
+    }
+  }
+  return { result: sections.length > 0 ? sections.join('\n') : 'No source code definitions found.', files };
+}
+
+// How a tool use is introduced in the message carrying its result, as in the extension
+function describeToolUse(name, params, entries) {
+  switch (name) {
+    case 'read_file': {
+      const paths = entries.map(entry => entry.path);
+      if (paths.length === 0) {
+        return '[read_file with no valid paths]';
+      }
+      if (paths.length === 1) {
+        return `[read_file for '${paths[0]}'. Reading multiple files at once is more efficient for the LLM. If other files are relevant to your current task, please read them simultaneously.]`;
+      }
+      return paths.length <= 3 ? `[read_file for ${paths.map(p => `'${p}'`).join(', ')}]` : `[read_file for ${paths.length} files]`;
+    }
+    case 'search_files':
+      return `[search_files for '${params.regex}'${params.file_pattern ? ` in '${params.file_pattern}'` : ''}]`;
+    case 'list_files':
+    case 'list_code_definition_names':
+      return `[${name} for '${params.path}']`;
+    default:
+      return `[${name}]`;
+  }
+}
+
+// A short description of a tool use for status lines and the transcript
+function summarizeToolUse(name, params, entries) {
+  switch (name) {
+    case 'read_file':
+      return entries.map(({ path: filePath, lineRanges }) => lineRanges.length > 0
+        ? lineRanges.map(({ start, end }) => `${filePath}:${start}-${end}`).join(', ')
+        : filePath).join(', ');
+    case 'search_files':
+      return `/${params.regex}/ in ${params.path}${params.file_pattern ? ` (${params.file_pattern})` : ''}`;
+    case 'list_files':
+      return `${params.path}${params.recursive?.toLowerCase() === 'true' ? ' (recursive)' : ''}`;
+    default:
+      return params.path || '';
+  }
+}
+
+// Run one tool use. Resolves to { summary, result, files, error }: the result goes back to the model
+// (failures included, in the extension's wording) and files lists what it showed from the codebase.
+async function runTool(layer, filter, { name, params }) {
+  let entries = [];
+  try {
+    entries = name === 'read_file' ? getReadFileEntries(layer, params) : [];
+  } catch (error) {
+    const message = `Failed to parse read_file XML args: ${error.message}`;
+    return { summary: '', header: describeToolUse(name, params, entries), result: `<files><error>${message}</error></files>`, files: [], error: message };
+  }
+  const call = { summary: summarizeToolUse(name, params, entries), header: describeToolUse(name, params, entries) };
+
+  if (!AGENT_TOOLS.includes(name)) {
+    const message = `The ${name} tool is not available here. Use ${AGENT_TOOLS.join(', ')} or attempt_completion.`;
+    return { ...call, result: layer.formatResponse.toolError(message), files: [], error: message };
+  }
+  const missing = name === 'read_file' && entries.length === 0 ? 'args' : REQUIRED_PARAMS[name].find(param => !params[param]);
+  if (missing) {
+    return { ...call, result: layer.formatResponse.missingToolParameterError(missing), files: [], error: `Missing value for required parameter '${missing}'` };
+  }
+
+  try {
+    if (name === 'read_file') {
+      return { ...call, ...await readFiles(layer, filter, entries), error: null };
+    }
+    const fullPath = await resolveToolPath(filter, params.path);
+    if (filter.isRooIgnored(fullPath)) {
+      return { ...call, result: layer.formatResponse.rooIgnoreError(params.path), files: [], error: `${params.path} is ignored by .rooignore` };
+    }
+    if (!filter.includesPath(fullPath, (await fs.stat(fullPath)).isDirectory())) {
+      throw new Error(getSkippedPathError(params.path));
+    }
+    let output;
+    if (name === 'search_files') {
+      output = await searchFiles(layer, filter, fullPath, params.regex, params.file_pattern);
+    } else if (name === 'list_files') {
+      output = await listFiles(layer, filter, fullPath, params.recursive?.toLowerCase() === 'true');
+    } else {
+      output = await listCodeDefinitions(layer, filter, fullPath);
+    }
+    return { ...call, ...output, error: null };
+  } catch (error) {
+    return { ...call, result: layer.formatResponse.toolError(error.message), files: [], error: error.message };
+  }
+}
+
+// The answer in a reply without a tool use: its text, less any <thinking> block
+function getReplyText(blocks) {
+  return blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.content.replace(/<thinking>[\s\S]*?(?:<\/thinking>|$)/g, '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function addUsage(total, usage) {
+  for (const key of ['inputTokens', 'outputTokens', 'cacheWriteTokens', 'cacheReadTokens', 'reasoningTokens']) {
+    total[key] += usage[key] || 0;
+  }
+  if (usage.totalCost !== undefined) {
+    total.totalCost = (total.totalCost || 0) + usage.totalCost;
+  }
+}
+
+/**
+ * Answer the last question in `messages` by letting the model use the read-only tools on the
+ * codebase at `codebasePath` (within the include/exclude globs), at most maxSteps times, until it
+ * answers with attempt_completion. A reply without a tool use is taken as the answer too. After
+ * the last allowed tool use the model is told to answer with what it has.
+ * systemPrompt is the persona's (see getSystemPrompt); the tools are described after it. Other
+ * options (fallbacks, signal, onRetry, onFallback) go to sendMessage with every request, and
+ * onToolCall(call) is called after each tool use.
+ * Resolves to the answer, the usage of all requests added up, every request attempt, the config
+ * that answered last, the tool calls ([{ step, tool, params, summary, files, error }], files being
+ * what the result showed from the codebase: "path" or "path:start-end" for read_file) and the
+ * files the model read or found matches in (inspectedFiles).
+ */
+export async function runAgent(config, messages, { codebasePath, include = [], exclude = [], systemPrompt, maxSteps = DEFAULT_AGENT_MAX_STEPS, onToolCall = () => {}, ...requestOptions }) {
+  const layer = await loadProviderLayer();
+  const filter = await createCodebaseFilter(codebasePath, { include, exclude });
+  const agentSystemPrompt = await getAgentSystemPrompt(systemPrompt, filter.rootPath, maxSteps);
+  const conversation = [...messages];
+  const usage = { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, reasoningTokens: 0, totalCost: undefined };
+  const attempts = [];
+  const toolCalls = [];
+  const result = (text, answeredBy) => ({
+    text,
+    usage,
+    attempts,
+    config: answeredBy,
+    toolCalls,
+    inspectedFiles: [...new Set(toolCalls.flatMap(call => call.files.map(file => file.replace(/:\d+-\d+$/, ''))))]
+  });
+
+  for (let step = 1; ; step++) {
+    const response = await sendMessage(config, conversation, { ...requestOptions, systemPrompt: agentSystemPrompt });
+    addUsage(usage, response.usage);
+    attempts.push(...response.attempts);
+
+    // Only the first tool use of a reply is run, as in the extension
+    const blocks = layer.parseAssistantMessage(response.text);
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    if (toolUse?.name === 'attempt_completion' && toolUse.params.result) {
+      return result(toolUse.params.result.trim(), response.config);
+    }
+    if (!toolUse || step > maxSteps) {
+      const text = getReplyText(blocks);
+      if (!text) {
+        throw Object.assign(new Error(`The model did not answer within ${maxSteps} tool uses`), { attempts });
+      }
+      return result(text, response.config);
+    }
+
+    const { header, ...call } = await runTool(layer, filter, toolUse);
+    toolCalls.push({ step, tool: toolUse.name, params: toolUse.params, summary: call.summary, files: call.files, error: call.error });
+    onToolCall({ ...toolCalls[toolCalls.length - 1], maxSteps });
+
+    const notice = step === maxSteps ? `\n\n${STEP_LIMIT_NOTICE}` : '';
+    conversation.push(
+      { role: 'assistant', content: response.text },
+      { role: 'user', content: `${header} Result:\n${call.result}${notice}` }
+    );
+  }
+}
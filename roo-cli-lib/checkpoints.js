@@ -0,0 +1,215 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+import { loadProviderLayer } from './provider.js';
+
+const execFileAsync = promisify(execFile);
+
+// Checkpoints: before --edit writes to a codebase, the codebase is snapshotted into a shadow git
+// repository, like the extension's ShadowCheckpointService (src/services/checkpoints) does for a
+// task. There is one shadow repository per codebase, in ~/.roo-cli/checkpoints/<hash of its path>,
+// with the codebase as its work tree. Every git command is given the shadow repository's --git-dir,
+// so the codebase's own .git (history, staging area, stash) is never read or written.
+//
+// A checkpoint is a commit on top of a "snapshot" commit of the codebase as it was just before:
+// "edit: <prompt>" after edits were written, "restore: <id>" after a restore. Restoring a
+// checkpoint brings back the files it changed as its snapshot has them, and is a checkpoint
+// itself, so nothing is ever lost.
+
+export const CHECKPOINTS_DIR = path.join(os.homedir(), '.roo-cli', 'checkpoints');
+
+// Checkpoints copy a whole codebase, so they are refused for these folders (as in the extension)
+const PROTECTED_DIRS = ['', 'Desktop', 'Documents', 'Downloads'].map(dir => path.join(os.homedir(), dir));
+
+// The commit before every checkpoint
+const SNAPSHOT_MESSAGE = 'snapshot';
+
+// Length of the checkpoint IDs shown (abbreviated commit hashes)
+const ID_LENGTH = 8;
+
+// Git without the GIT_* variables of a hook or script, which could point it at the codebase's own repository
+function getGitEnv() {
+  return Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('GIT_')));
+}
+
+// Where a codebase's shadow repository lives, as the extension's workspaceRepoDir
+function getShadowGitDir(codebasePath) {
+  const hash = crypto.createHash('sha256').update(codebasePath).digest('hex').slice(0, 8);
+  return path.join(CHECKPOINTS_DIR, hash, '.git');
+}
+
+// Open a codebase's shadow repository and return a git runner for it. The repository is created
+// the first time, unless `create` is off; then null is returned.
+async function openShadowRepo(codebasePath, { create = true } = {}) {
+  const workTree = path.resolve(codebasePath);
+  if (PROTECTED_DIRS.includes(workTree)) {
+    throw new Error(`Checkpoints can't be used in ${workTree}`);
+  }
+  const gitDir = getShadowGitDir(workTree);
+  const git = async (args) => {
+    const { stdout } = await execFileAsync('git', [`--git-dir=${gitDir}`, `--work-tree=${workTree}`, ...args], {
+      cwd: workTree,
+      env: getGitEnv(),
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  };
+
+  let exists = true;
+  try {
+    await fs.access(path.join(gitDir, 'HEAD'));
+  } catch (error) {
+    exists = false;
+  }
+
+  if (!exists && !create) {
+    return null;
+  }
+  if (exists) {
+    const worktree = (await git(['config', '--get', 'core.worktree']).catch(() => '')).trim();
+    if (worktree !== workTree) {
+      throw new Error(`The checkpoints in ${path.dirname(gitDir)} belong to ${worktree || 'another codebase'}`);
+    }
+  } else {
+    await fs.mkdir(gitDir, { recursive: true });
+    await git(['init', '--quiet']);
+    await git(['config', 'core.worktree', workTree]);
+    await git(['config', 'commit.gpgSign', 'false']);
+    await git(['config', 'user.name', 'Roo CLI']);
+    await git(['config', 'user.email', 'noreply@example.com']);
+    // Hooks set up globally (core.hooksPath) are not for these commits
+    await git(['config', 'core.hooksPath', path.join(gitDir, 'hooks')]);
+  }
+
+  // The codebase's .gitignore files apply as they are; the extension's excludes are added on top
+  const { getExcludePatterns } = await loadProviderLayer();
+  await fs.mkdir(path.join(gitDir, 'info'), { recursive: true });
+  await fs.writeFile(path.join(gitDir, 'info', 'exclude'), (await getExcludePatterns(workTree)).join('\n'));
+
+  return { git, gitDir, workTree };
+}
+
+// Stage the whole codebase and commit it. Nested git repositories are left out (by the .git/ exclude).
+async function commitAll(repo, message) {
+  await repo.git(['add', '--all', '.']);
+  await repo.git(['commit', '--quiet', '--allow-empty', '--no-verify', '-m', message]);
+  return (await repo.git(['rev-parse', 'HEAD'])).trim();
+}
+
+// A checkpoint's full commit hash, from its ID or any unique start of it
+async function resolveCheckpoint(repo, id) {
+  if (!repo) {
+    throw new Error(`No checkpoint "${id}": there are no checkpoints for this codebase yet`);
+  }
+  let hash;
+  try {
+    hash = (await repo.git(['rev-parse', '--verify', '--quiet', `${id}^{commit}`])).trim();
+  } catch (error) {
+    throw new Error(`No checkpoint "${id}" (see --checkpoints)`);
+  }
+  const subject = (await repo.git(['log', '-1', '--format=%s', hash])).trim();
+  if (!/^(edit|restore): /.test(subject)) {
+    throw new Error(`No checkpoint "${id}" (see --checkpoints)`);
+  }
+  return hash;
+}
+
+/**
+ * Snapshot the codebase, run change() and save what it did as a checkpoint, even when it fails
+ * part way (so a half-written change can still be rolled back; the error then has the ID as
+ * `checkpoint`). Resolves to the checkpoint's ID.
+ * `files` are the paths (relative to the codebase) change() is going to write. If the checkpoint
+ * can't hold one of them, because it is ignored or excluded, change() is not run and the error
+ * lists them as `untrackedFiles`.
+ */
+export async function saveCheckpoint(codebasePath, message, change, { files = [] } = {}) {
+  const repo = await openShadowRepo(codebasePath);
+  await commitAll(repo, SNAPSHOT_MESSAGE);
+  if (files.length > 0) {
+    const tracked = new Set((await repo.git(['--literal-pathspecs', 'ls-files', '-z', '--', ...files])).split('\0'));
+    const untrackedFiles = files.filter(file => !tracked.has(file));
+    if (untrackedFiles.length > 0) {
+      throw Object.assign(new Error(`Checkpoints leave out ${untrackedFiles.join(', ')} (ignored files, build output, media, logs and other large files), so the changes could not be undone; nothing was written`), { untrackedFiles });
+    }
+  }
+  let failure = null;
+  try {
+    await change();
+  } catch (error) {
+    failure = error;
+  }
+  const id = (await commitAll(repo, message)).slice(0, ID_LENGTH);
+  if (failure) {
+    throw Object.assign(failure, { checkpoint: id });
+  }
+  return id;
+}
+
+/**
+ * The checkpoints of a codebase, newest first:
+ * [{ id, type: 'edit' | 'restore', description, files, createdAt }].
+ */
+export async function listCheckpoints(codebasePath) {
+  const repo = await openShadowRepo(codebasePath, { create: false });
+  if (!repo) {
+    return [];
+  }
+  let log;
+  try {
+    log = await repo.git(['log', '--format=%x1e%H%x1f%ct%x1f%s', '--name-only', '--no-renames']);
+  } catch (error) {
+    // No commits yet
+    return [];
+  }
+  return log.split('\x1e').filter(Boolean).flatMap((record) => {
+    const [header, ...files] = record.trim().split('\n');
+    const [hash, time, subject] = header.split('\x1f');
+    const match = subject.match(/^(edit|restore): (.*)$/);
+    return match ? [{
+      id: hash.slice(0, ID_LENGTH),
+      type: match[1],
+      description: match[2],
+      files: files.filter(Boolean),
+      createdAt: new Date(Number(time) * 1000).toISOString()
+    }] : [];
+  });
+}
+
+// What a checkpoint changed, as a unified diff
+export async function getCheckpointDiff(codebasePath, id) {
+  const repo = await openShadowRepo(codebasePath, { create: false });
+  const hash = await resolveCheckpoint(repo, id);
+  return repo.git(['diff', '--no-color', '--no-ext-diff', `${hash}^`, hash]);
+}
+
+/**
+ * Undo a checkpoint: the files it changed go back to how they were just before it, and the files
+ * it created are deleted. Other files, including ones changed since, are left as they are.
+ * The restore is a checkpoint of its own, so restoring that one undoes it.
+ * Resolves to { id, files }: the new checkpoint's ID and the files that changed.
+ */
+export async function restoreCheckpoint(codebasePath, id) {
+  const repo = await openShadowRepo(codebasePath, { create: false });
+  const hash = await resolveCheckpoint(repo, id);
+  const changes = (await repo.git(['diff', '--name-status', '--no-renames', '-z', `${hash}^`, hash])).split('\0').filter(Boolean);
+  const created = [];
+  const changed = [];
+  for (let i = 0; i < changes.length; i += 2) {
+    (changes[i] === 'A' ? created : changed).push(changes[i + 1]);
+  }
+
+  const restoredId = await saveCheckpoint(codebasePath, `restore: ${hash.slice(0, ID_LENGTH)}`, async () => {
+    if (changed.length > 0) {
+      await repo.git(['--literal-pathspecs', 'checkout', `${hash}^`, '--', ...changed]);
+    }
+    for (const file of created) {
+      await fs.rm(path.join(repo.workTree, file), { force: true });
+    }
+  });
+  const files = (await repo.git(['diff', '--name-only', '--no-renames', 'HEAD^', 'HEAD'])).split('\n').filter(Boolean);
+  return { id: restoredId, files };
+}
@@ -0,0 +1,673 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ignore from 'ignore';
+
+import { rankFiles, selectSnippet } from './ranking.js';
+import { getCodeMap } from './codemap.js';
+import { countTokens } from './tokens.js';
+
+// Code file extensions to include
+export const CODE_EXTENSIONS = [
+  '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', '.php',
+  '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', '.css', '.scss',
+  '.json', '.yaml', '.yml', '.toml', '.md', '.txt', '.sh', '.bash', '.zsh'
+];
+
+// Directories that are never worth descending into, whatever the ignore files say
+const ALWAYS_SKIPPED = ['.git', 'node_modules'];
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Part of a glob before its first wildcard, cut back to a directory boundary
+function getLiteralPrefix(pattern) {
+  const normalized = pattern.replace(/^\.?\//, '');
+  const wildcard = normalized.search(/[*?[{]/);
+  const literal = wildcard === -1 ? normalized : normalized.slice(0, wildcard);
+  return literal.slice(0, literal.lastIndexOf('/') + 1);
+}
+
+// The git repository a folder is in, from the nearest .git up the tree, as { root, gitDir }
+// (gitDir being the directory shared by all worktrees), or null
+async function findRepository(dirPath) {
+  for (let dir = dirPath; ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, '.git');
+    try {
+      let gitDir = dotGit;
+      if (!(await fs.stat(dotGit)).isDirectory()) {
+        // Worktrees and submodules have a .git file that points at their git directory
+        const match = (await fs.readFile(dotGit, 'utf8')).match(/^gitdir: (.+)$/m);
+        gitDir = path.resolve(dir, match[1].trim());
+      }
+      const commonDir = await fs.readFile(path.join(gitDir, 'commondir'), 'utf8').catch(() => null);
+      return { root: dir, gitDir: commonDir ? path.resolve(gitDir, commonDir.trim()) : gitDir };
+    } catch (error) {
+      // No repository here
+    }
+    if (path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Decides which files under a codebase are sent to the model.
+ * Honors .git/info/exclude, the .gitignore files from the repository's root down (those above
+ * the codebase included) and the root .rooignore using the 'ignore' library, the same gitignore
+ * semantics as the extension's RooIgnoreController.
+ * --include globs bring back files that .gitignore or the dotfile rule would skip,
+ * --exclude globs drop more files. Nothing brings back a file denied by .rooignore.
+ */
+export class CodebaseFilter {
+  constructor(rootPath, { include = [], exclude = [] } = {}) {
+    this.rootPath = path.resolve(rootPath);
+    this.realRootPath = this.rootPath;
+    this.includePatterns = include;
+    this.includeMatcher = include.length > 0 ? ignore().add(include) : null;
+    this.excludeMatcher = exclude.length > 0 ? ignore().add(exclude) : null;
+    this.rooIgnoreMatcher = null;
+    // Where the .gitignore rules start: the repository's root, or the codebase outside a repository
+    this.ignoreRoot = this.rootPath;
+    this.infoExcludeMatcher = null;
+    // Directory path -> matcher for its .gitignore (null when it has none)
+    this.gitignoreMatchers = new Map();
+  }
+
+  // Load the root ignore files. Must be called before the filter is used.
+  async initialize() {
+    this.realRootPath = await fs.realpath(this.rootPath).catch(() => this.rootPath);
+    try {
+      const content = await fs.readFile(path.join(this.rootPath, '.rooignore'), 'utf8');
+      this.rooIgnoreMatcher = ignore().add(content).add('.rooignore');
+    } catch (error) {
+      this.rooIgnoreMatcher = null;
+    }
+
+    const repository = await findRepository(this.rootPath);
+    if (repository) {
+      this.ignoreRoot = repository.root;
+      try {
+        this.infoExcludeMatcher = ignore().add(await fs.readFile(path.join(repository.gitDir, 'info', 'exclude'), 'utf8'));
+      } catch (error) {
+        this.infoExcludeMatcher = null;
+      }
+      for (let dir = this.rootPath; dir !== repository.root;) {
+        dir = path.dirname(dir);
+        await this.loadDirectory(dir);
+      }
+      // A codebase the repository ignores (such as a build folder) was picked on purpose:
+      // only the rules inside it apply
+      if (this.rootPath !== repository.root && this.isGitIgnored(this.rootPath, true)) {
+        this.ignoreRoot = this.rootPath;
+        this.infoExcludeMatcher = null;
+      }
+    }
+    await this.loadDirectory(this.rootPath);
+    return this;
+  }
+
+  // Read a directory's .gitignore; call before checking the directory's children
+  async loadDirectory(dirPath) {
+    if (this.gitignoreMatchers.has(dirPath)) {
+      return;
+    }
+    try {
+      const content = await fs.readFile(path.join(dirPath, '.gitignore'), 'utf8');
+      this.gitignoreMatchers.set(dirPath, ignore().add(content));
+    } catch (error) {
+      this.gitignoreMatchers.set(dirPath, null);
+    }
+  }
+
+  /**
+   * Whether a path stays inside the codebase once symlinks are resolved. A path that doesn't
+   * exist yet is checked through the nearest folder above it that does; a dangling symlink is outside.
+   */
+  async containsRealPath(fullPath) {
+    let target = path.resolve(this.rootPath, fullPath);
+    let rest = '';
+    while (true) {
+      try {
+        const relativePath = path.relative(this.realRootPath, path.join(await fs.realpath(target), rest));
+        return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT' || await fs.lstat(target).then(() => true, () => false) || path.dirname(target) === target) {
+          return false;
+        }
+        rest = path.join(path.basename(target), rest);
+        target = path.dirname(target);
+      }
+    }
+  }
+
+  relative(fullPath, isDirectory = false) {
+    const relativePath = toPosix(path.relative(this.rootPath, fullPath));
+    return isDirectory ? `${relativePath}/` : relativePath;
+  }
+
+  // Whether .gitignore files (deepest rule wins) or the default skips hide this path
+  isHiddenByDefault(fullPath, isDirectory) {
+    const name = path.basename(fullPath);
+    if (ALWAYS_SKIPPED.includes(name) || name.startsWith('.')) {
+      return true;
+    }
+    return this.isGitIgnored(fullPath, isDirectory);
+  }
+
+  // Whether .git/info/exclude or the .gitignore files from the repository's root down ignore a path
+  isGitIgnored(fullPath, isDirectory) {
+    const suffix = isDirectory ? '/' : '';
+    let ignored = this.infoExcludeMatcher?.ignores(toPosix(path.relative(this.ignoreRoot, fullPath)) + suffix) || false;
+
+    let dir = path.dirname(fullPath);
+    const chain = [];
+    while (dir.startsWith(this.ignoreRoot)) {
+      chain.unshift(dir);
+      if (dir === this.ignoreRoot) {
+        break;
+      }
+      dir = path.dirname(dir);
+    }
+
+    for (const base of chain) {
+      const matcher = this.gitignoreMatchers.get(base);
+      if (!matcher) {
+        continue;
+      }
+      const result = matcher.test(toPosix(path.relative(base, fullPath)) + suffix);
+      if (result.ignored) {
+        ignored = true;
+      } else if (result.unignored) {
+        ignored = false;
+      }
+    }
+    return ignored;
+  }
+
+  // Whether .rooignore denies access to a path. Paths outside the codebase aren't covered by it.
+  isRooIgnored(fullPath, isDirectory = false) {
+    const relativePath = this.relative(fullPath, isDirectory);
+    if (!this.rooIgnoreMatcher || !relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    return this.rooIgnoreMatcher.ignores(relativePath);
+  }
+
+  // Whether a file should be read and sent to the model
+  includesFile(fullPath) {
+    const relativePath = this.relative(fullPath);
+    if (this.rooIgnoreMatcher?.ignores(relativePath)) {
+      return false;
+    }
+    if (this.excludeMatcher?.ignores(relativePath)) {
+      return false;
+    }
+    if (this.includeMatcher?.ignores(relativePath)) {
+      return true;
+    }
+    return !this.isHiddenByDefault(fullPath, false);
+  }
+
+  // Whether a directory should be walked
+  includesDirectory(fullPath) {
+    const relativePath = this.relative(fullPath, true);
+    if (this.rooIgnoreMatcher?.ignores(relativePath)) {
+      return false;
+    }
+    if (this.excludeMatcher?.ignores(relativePath)) {
+      return false;
+    }
+    if (!this.isHiddenByDefault(fullPath, true)) {
+      return true;
+    }
+    // A hidden directory is still walked when an --include glob reaches into it
+    return this.includePatterns.some(pattern => {
+      const prefix = getLiteralPrefix(pattern);
+      if (!prefix) {
+        return !ALWAYS_SKIPPED.includes(path.basename(fullPath));
+      }
+      return prefix.startsWith(relativePath) || relativePath.startsWith(prefix);
+    });
+  }
+
+  /**
+   * Whether walking the codebase reaches a path: every folder on the way is walked and the path
+   * itself is included. The .gitignore files on the way must be loaded first (see loadDirectory).
+   */
+  includesPath(fullPath, isDirectory = false) {
+    const relativePath = path.relative(this.rootPath, fullPath);
+    if (!relativePath) {
+      return true;
+    }
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    let dir = this.rootPath;
+    for (const part of relativePath.split(path.sep).slice(0, -1)) {
+      dir = path.join(dir, part);
+      if (!this.includesDirectory(dir)) {
+        return false;
+      }
+    }
+    return isDirectory ? this.includesDirectory(fullPath) : this.includesFile(fullPath);
+  }
+}
+
+// Create and initialize the filter for a codebase
+export async function createCodebaseFilter(rootPath, options = {}) {
+  return new CodebaseFilter(rootPath, options).initialize();
+}
+
+/**
+ * What a directory entry is when walking the codebase: 'directory', 'file' or null for anything
+ * else. A symlink counts as the file it points to when that is inside the codebase; symlinked
+ * directories are not followed, as git doesn't.
+ */
+export async function getEntryType(filter, fullPath) {
+  const stats = await fs.lstat(fullPath);
+  if (stats.isDirectory()) {
+    return 'directory';
+  }
+  if (stats.isFile()) {
+    return 'file';
+  }
+  if (stats.isSymbolicLink() && await filter.containsRealPath(fullPath) && (await fs.stat(fullPath)).isFile()) {
+    return 'file';
+  }
+  return null;
+}
+
+// Files worth reading first, shown in full under "Key Files"
+const KEY_FILES = [
+  'package.json', 'README.md', 'requirements.txt', 'Cargo.toml', 'go.mod',
+  'pom.xml', 'build.gradle', 'Gemfile', 'composer.json', 'pyproject.toml'
+];
+
+// Files bigger than this are left out of ranking (bundles, fixtures, lockfiles)
+const MAX_RANKED_FILE_SIZE = 256 * 1024;
+
+// Upper bound on files read for ranking, to keep huge repositories responsive
+const MAX_RANKED_FILES = 5000;
+
+// Default selection: up to 10 files. The token budget normally comes from the model's
+// context window (see getContextBudget in models.js); this is the fallback.
+export const DEFAULT_CONTEXT_OPTIONS = {
+  maxFiles: 10,
+  budget: 8000
+};
+
+// Share of the budget the directory structure and the key files may each take.
+// Whatever they leave unused goes to code files.
+const STRUCTURE_BUDGET_SHARE = 0.15;
+const KEY_FILES_BUDGET_SHARE = 0.15;
+
+// Share of the budget set aside for the code map (when enabled) before code files are picked.
+// Code files that come in under their share leave the rest to the code map.
+const CODE_MAP_BUDGET_SHARE = 0.3;
+
+// Keep whole lines from the start of text until maxTokens is reached
+export async function truncateToTokens(text, maxTokens) {
+  if (await countTokens(text) <= maxTokens) {
+    return { text, truncated: false };
+  }
+  const kept = [];
+  let used = 0;
+  for (const line of text.split('\n')) {
+    const tokens = await countTokens(`${line}\n`);
+    if (used + tokens > maxTokens) {
+      break;
+    }
+    kept.push(line);
+    used += tokens;
+  }
+  return { text: kept.join('\n'), truncated: true };
+}
+
+// Get key files content, within a token budget shared between them
+export async function getKeyFiles(rootPath, filter, budget = Infinity) {
+  const keyFiles = [];
+  let remaining = budget;
+
+  try {
+    const items = (await fs.readdir(rootPath)).filter(item => KEY_FILES.includes(item));
+    // Follow KEY_FILES order so manifests come before READMEs when the budget is tight
+    items.sort((a, b) => KEY_FILES.indexOf(a) - KEY_FILES.indexOf(b));
+
+    for (const [index, item] of items.entries()) {
+      if (!filter.includesFile(path.join(rootPath, item)) || remaining <= 0) {
+        continue;
+      }
+      if (await getEntryType(filter, path.join(rootPath, item)).catch(() => null) !== 'file') {
+        continue;
+      }
+      try {
+        const content = await fs.readFile(path.join(rootPath, item), 'utf8');
+        const share = Math.floor(remaining / (items.length - index));
+        const { text, truncated } = await truncateToTokens(content, share);
+        const section = `### ${item}:\n\`\`\`\n${text}${truncated ? '\n...' : ''}\n\`\`\``;
+        remaining -= await countTokens(section);
+        keyFiles.push(section);
+      } catch (error) {
+        // Skip files that can't be read
+      }
+    }
+  } catch (error) {
+    // Directory might not exist
+  }
+
+  return keyFiles;
+}
+
+// Read the codebase's code files and rank them against the query, best first
+export async function getRankedFiles(rootPath, filter, query = '') {
+  const candidates = [];
+
+  try {
+    const allFiles = await getAllFiles(rootPath, filter);
+
+    for (const file of allFiles) {
+      const relativePath = path.relative(rootPath, file);
+      if (!CODE_EXTENSIONS.includes(path.extname(file)) || KEY_FILES.includes(relativePath)) {
+        continue;
+      }
+      if (candidates.length >= MAX_RANKED_FILES) {
+        break;
+      }
+      try {
+        const stats = await fs.stat(file);
+        if (stats.size > MAX_RANKED_FILE_SIZE) {
+          continue;
+        }
+        candidates.push({ path: relativePath, content: await fs.readFile(file, 'utf8') });
+      } catch (error) {
+        // Skip files that can't be read
+      }
+    }
+  } catch (error) {
+    // Directory might not exist
+  }
+
+  return rankFiles(candidates, query);
+}
+
+/**
+ * Pick the best snippets from ranked files until maxFiles or the token budget is reached.
+ * Only files that match the query are picked; the rest are left to the code map.
+ * Each file may use an even share of what's left, so files that fit in less leave more
+ * room for the next ones.
+ * Returns [{ path, score, reasons, snippet }] in ranked order.
+ */
+export async function selectCodeFiles(rankedFiles, query = '', { maxFiles, budget } = DEFAULT_CONTEXT_OPTIONS) {
+  const selected = [];
+  let remaining = budget;
+
+  for (const file of rankedFiles) {
+    // Files are ranked best first, so the rest don't match either
+    if (selected.length >= maxFiles || remaining <= 0 || file.score <= 0) {
+      break;
+    }
+    const header = formatCodeFile({ path: file.path, snippet: { text: '', truncated: false } });
+    const headerTokens = await countTokens(header);
+    const share = Math.floor(remaining / (maxFiles - selected.length)) - headerTokens;
+    if (share <= 0) {
+      break;
+    }
+    const snippet = await selectSnippet(file.content, query, share);
+    if (!snippet.text) {
+      continue;
+    }
+    remaining -= headerTokens + snippet.tokens;
+    selected.push({ path: file.path, score: file.score, reasons: file.reasons, snippet });
+  }
+
+  return selected;
+}
+
+// "  7 | line" numbering, as the extension's addLineNumbers
+export function addLineNumbers(content, startLine = 1) {
+  if (content === '') {
+    return startLine === 1 ? '' : `${startLine} | \n`;
+  }
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  const width = String(startLine + lines.length - 1).length;
+  return `${lines.map((line, index) => `${String(startLine + index).padStart(width, ' ')} | ${line}`).join('\n')}\n`;
+}
+
+// Format a selected file as a Markdown section, optionally with line numbers
+function formatCodeFile(file, lineNumbers = false) {
+  const { snippet } = file;
+  const range = snippet.truncated ? ` (lines ${snippet.startLine}-${snippet.endLine} of ${snippet.totalLines})` : '';
+  const text = lineNumbers ? addLineNumbers(snippet.text, snippet.startLine).trimEnd() : snippet.text;
+  return `### ${file.path}${range}:\n\`\`\`${getFileExtension(file.path)}\n${text}\n\`\`\``;
+}
+
+// Get file extension for syntax highlighting
+export function getFileExtension(filePath) {
+  const ext = path.extname(filePath);
+  const extMap = {
+    '.js': 'javascript',
+    '.ts': 'typescript',
+    '.jsx': 'javascript',
+    '.tsx': 'typescript',
+    '.py': 'python',
+    '.java': 'java',
+    '.cpp': 'cpp',
+    '.c': 'c',
+    '.cs': 'csharp',
+    '.php': 'php',
+    '.rb': 'ruby',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.swift': 'swift',
+    '.kt': 'kotlin',
+    '.scala': 'scala',
+    '.html': 'html',
+    '.css': 'css',
+    '.scss': 'scss',
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+    '.md': 'markdown',
+    '.txt': 'text',
+    '.sh': 'bash',
+    '.bash': 'bash',
+    '.zsh': 'bash'
+  };
+  return extMap[ext] || 'text';
+}
+
+// Recursively get all files in directory that the filter lets through
+export async function getAllFiles(dirPath, filter, arrayOfFiles = []) {
+  try {
+    await filter.loadDirectory(dirPath);
+    const files = await fs.readdir(dirPath);
+
+    for (const file of files) {
+      const fullPath = path.join(dirPath, file);
+      const type = await getEntryType(filter, fullPath);
+
+      if (type === 'directory') {
+        if (filter.includesDirectory(fullPath)) {
+          arrayOfFiles = await getAllFiles(fullPath, filter, arrayOfFiles);
+        }
+      } else if (type === 'file' && filter.includesFile(fullPath)) {
+        arrayOfFiles.push(fullPath);
+      }
+    }
+  } catch (error) {
+    // Skip directories that can't be read
+  }
+
+  return arrayOfFiles;
+}
+
+/**
+ * Get codebase context: directory structure, key files, optionally a code map (the definitions
+ * in each file, most relevant first) and the code files most relevant to the query,
+ * packed into `budget` tokens.
+ * Returns { text, overview, details, tokens, budget, files, mappedFiles } where text is overview (the
+ * directory structure and key files, which don't depend on the query) followed by details (the code map
+ * and code files), files describes each selected code file and why it was picked, and mappedFiles counts
+ * the files in the code map. With overviewOnly, no code files are picked or mapped (for agent mode,
+ * where the model reads the files it needs itself). lineNumbers numbers the lines of code files.
+ */
+export async function getCodebaseContext(codebasePath, { include = [], exclude = [], query = '', codeMap = false, overviewOnly = false, lineNumbers = false, ...selection } = {}) {
+  const { maxFiles, budget } = { ...DEFAULT_CONTEXT_OPTIONS, ...selection };
+  const empty = { text: '', overview: '', details: '', tokens: 0, budget, files: [], mappedFiles: 0 };
+  if (!codebasePath) return empty;
+
+  try {
+    const context = [];
+    const filter = await createCodebaseFilter(codebasePath, { include, exclude });
+    let remaining = budget;
+
+    // Get directory structure
+    const structure = await getDirectoryStructure(codebasePath, filter, Math.floor(budget * STRUCTURE_BUDGET_SHARE));
+    if (structure) {
+      context.push(`## Directory Structure:\n${structure}\n`);
+      remaining -= await countTokens(context[context.length - 1]);
+    }
+
+    // Get key files content
+    const keyFiles = await getKeyFiles(codebasePath, filter, Math.floor(budget * KEY_FILES_BUDGET_SHARE));
+    if (keyFiles.length > 0) {
+      context.push(`## Key Files:\n${keyFiles.join('\n\n')}\n`);
+      remaining -= await countTokens(context[context.length - 1]);
+    }
+
+    if (overviewOnly) {
+      const overview = context.join('\n');
+      return { ...empty, text: overview, overview, tokens: await countTokens(overview) };
+    }
+
+    // Get the code files that best match the query, keeping room for the code map
+    const rankedFiles = await getRankedFiles(codebasePath, filter, query);
+    const codeMapReserve = codeMap ? Math.floor(budget * CODE_MAP_BUDGET_SHARE) : 0;
+    const codeFiles = await selectCodeFiles(rankedFiles, query, { maxFiles, budget: Math.max(0, remaining - codeMapReserve) });
+    const codeFilesSection = codeFiles.length > 0 ? `## Code Files:\n${codeFiles.map(file => formatCodeFile(file, lineNumbers)).join('\n\n')}\n` : '';
+    remaining -= await countTokens(codeFilesSection);
+
+    // Map the other files' definitions in what is left; files sent whole don't need mapping
+    let mappedFiles = [];
+    if (codeMap) {
+      const sentWhole = new Set(codeFiles.filter(file => !file.snippet.truncated).map(file => file.path));
+      const header = '## Code Map (line ranges and first line of each definition):\n';
+      const map = await getCodeMap(rankedFiles.filter(file => !sentWhole.has(file.path)), remaining - await countTokens(header));
+      if (map.text) {
+        context.push(`${header}${map.text}\n`);
+        mappedFiles = map.files;
+      }
+    }
+
+    if (codeFilesSection) {
+      context.push(codeFilesSection);
+    }
+
+    const overviewSections = (structure ? 1 : 0) + (keyFiles.length > 0 ? 1 : 0);
+    const text = context.join('\n');
+    return {
+      text,
+      overview: context.slice(0, overviewSections).join('\n'),
+      details: context.slice(overviewSections).join('\n'),
+      tokens: await countTokens(text),
+      budget,
+      files: codeFiles.map(({ path: filePath, score, reasons, snippet }) => ({
+        path: filePath,
+        score,
+        reasons,
+        lines: [snippet.startLine, snippet.endLine],
+        tokens: snippet.tokens
+      })),
+      mappedFiles: mappedFiles.length
+    };
+  } catch (error) {
+    console.warn(`Warning: Could not read codebase context: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Get the directory structure as an indented tree that fits in maxTokens.
+ * Directories are walked breadth-first, so when the budget runs out the top
+ * levels are complete and deeper ones are summarized as "… (N more)".
+ */
+export async function getDirectoryStructure(rootPath, filter, maxTokens = 1000) {
+  const root = { children: [] };
+  const queue = [{ dirPath: rootPath, node: root, depth: 0 }];
+  let used = 0;
+
+  while (queue.length > 0 && used < maxTokens) {
+    const { dirPath, node, depth } = queue.shift();
+    let items;
+    try {
+      await filter.loadDirectory(dirPath);
+      items = (await fs.readdir(dirPath)).sort();
+    } catch (error) {
+      continue;
+    }
+
+    for (const item of items) {
+      const itemPath = path.join(dirPath, item);
+      let type;
+      try {
+        type = await getEntryType(filter, itemPath);
+      } catch (error) {
+        continue;
+      }
+
+      let entry = null;
+      if (type === 'directory' && filter.includesDirectory(itemPath)) {
+        entry = { line: `${'  '.repeat(depth)}📁 ${item}/`, children: [] };
+        queue.push({ dirPath: itemPath, node: entry, depth: depth + 1 });
+      } else if (type === 'file') {
+        const ext = path.extname(item);
+        if ((CODE_EXTENSIONS.includes(ext) || item === 'package.json' || item === 'README.md') && filter.includesFile(itemPath)) {
+          entry = { line: `${'  '.repeat(depth)}📄 ${item}` };
+        }
+      }
+      if (!entry) {
+        continue;
+      }
+
+      const tokens = await countTokens(`${entry.line}\n`);
+      if (used + tokens > maxTokens) {
+        if (!node.omitted) {
+          // Room for the "… (N more)" line is taken out of the budget too
+          used += tokens;
+        }
+        node.omitted = (node.omitted || 0) + 1;
+        continue;
+      }
+      used += tokens;
+      node.children.push(entry);
+    }
+  }
+
+  // Directories that were never expanded are marked rather than left looking empty
+  for (const { node, depth } of queue) {
+    node.unexpanded = `${'  '.repeat(depth)}…`;
+  }
+
+  const lines = [];
+  const render = (node, depth) => {
+    for (const child of node.children) {
+      lines.push(child.line);
+      if (child.children) {
+        render(child, depth + 1);
+      }
+    }
+    if (node.omitted) {
+      lines.push(`${'  '.repeat(depth)}… (${node.omitted} more)`);
+    } else if (node.unexpanded && node.children.length === 0) {
+      lines.push(node.unexpanded);
+    }
+  };
+  render(root, 0);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,150 @@
+import path from 'path';
+
+import { loadProviderLayer } from './provider.js';
+import { countTokens } from './tokens.js';
+
+// "Code Map": the classes, functions and methods each file defines, one line per definition,
+// built the same way as the extension's list_code_definition_names tool
+// (src/services/tree-sitter). Grammars and queries come from the extension through the
+// provider bundle, so both stay in step.
+
+// Definitions shorter than this many lines are left out (the extension's MIN_COMPONENT_LINES)
+const MIN_COMPONENT_LINES = 4;
+
+// JSX/TSX queries also match markup; these lines aren't definitions
+const HTML_ELEMENTS = /^[^A-Z]*<\/?(?:div|span|button|input|h[1-6]|p|a|img|ul|li|form)\b/;
+
+// Markdown is outlined by the extension's own parser rather than tree-sitter; it's left out here
+const NON_CODE_EXTENSIONS = ['.md', '.markdown'];
+
+// Upper bound on files parsed for one code map, to keep huge repositories responsive
+const MAX_PARSED_FILES = 1000;
+
+// Parser and query per file extension, loaded once (null when the language can't be loaded)
+const languageParsers = new Map();
+
+async function supportsCodeMap(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const { codeDefinitionExtensions } = await loadProviderLayer();
+  return codeDefinitionExtensions.includes(extension) && !NON_CODE_EXTENSIONS.includes(extension);
+}
+
+// Get (and cache) the extension's parser and query for a file, or null if it can't be loaded
+async function getLanguageParser(filePath) {
+  if (!(await supportsCodeMap(filePath))) {
+    return null;
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (!languageParsers.has(extension)) {
+    try {
+      const { loadRequiredLanguageParsers } = await loadProviderLayer();
+      const parsers = await loadRequiredLanguageParsers([filePath]);
+      languageParsers.set(extension, parsers[extension.slice(1)] || null);
+    } catch (error) {
+      console.warn(`Warning: No code map for ${extension} files: ${error.message}`);
+      languageParsers.set(extension, null);
+    }
+  }
+
+  return languageParsers.get(extension);
+}
+
+// Turn query captures into "start--end | first line" entries, like the extension's processCaptures
+function formatDefinitions(captures, lines, extension) {
+  const filterHtml = extension === '.jsx' || extension === '.tsx';
+  const seen = new Set();
+  const definitions = [];
+
+  const add = (startRow, endRow) => {
+    const key = `${startRow}-${endRow}`;
+    if (endRow - startRow + 1 < MIN_COMPONENT_LINES || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    definitions.push(`${startRow + 1}--${endRow + 1} | ${lines[startRow]}`);
+    return true;
+  };
+
+  const sorted = [...captures].sort((a, b) => a.node.startPosition.row - b.node.startPosition.row);
+  for (const { node, name } of sorted) {
+    if (!name.includes('definition') && !name.includes('name')) {
+      continue;
+    }
+    const definitionNode = name.includes('name') ? node.parent : node;
+    if (!definitionNode) {
+      continue;
+    }
+
+    const { row: startRow } = definitionNode.startPosition;
+    const { row: endRow } = definitionNode.endPosition;
+
+    if (name.includes('name.definition')) {
+      if (node.text) {
+        add(startRow, endRow);
+      }
+    } else if (!filterHtml || !HTML_ELEMENTS.test(lines[startRow].trim())) {
+      // Also list the enclosing construct (e.g. the export or assignment wrapping a definition)
+      if (add(startRow, endRow) && node.parent?.lastChild) {
+        add(node.parent.startPosition.row, node.parent.lastChild.endPosition.row);
+      }
+    }
+  }
+
+  return definitions;
+}
+
+// List a file's definitions, or [] if its language isn't supported or it can't be parsed
+export async function getFileDefinitions(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  const languageParser = await getLanguageParser(filePath);
+  if (!languageParser) {
+    return [];
+  }
+
+  try {
+    const tree = languageParser.parser.parse(content);
+    const captures = tree ? languageParser.query.captures(tree.rootNode) : [];
+    const definitions = formatDefinitions(captures, content.split('\n'), extension);
+    tree?.delete();
+    return definitions;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Build the code map for files ({ path, content }, most relevant first) within maxTokens.
+ * Files without definitions are skipped. Returns { text, files } where files lists the paths mapped.
+ */
+export async function getCodeMap(files, maxTokens) {
+  const sections = [];
+  const mapped = [];
+  let remaining = maxTokens;
+  let parsed = 0;
+
+  for (const file of files) {
+    if (remaining <= 0 || parsed >= MAX_PARSED_FILES) {
+      break;
+    }
+    if (!(await supportsCodeMap(file.path))) {
+      continue;
+    }
+    parsed++;
+    const definitions = await getFileDefinitions(file.path, file.content);
+    if (definitions.length === 0) {
+      continue;
+    }
+    const section = `# ${file.path.split(path.sep).join('/')}\n${definitions.join('\n')}`;
+    const tokens = await countTokens(`${section}\n`);
+    if (tokens > remaining) {
+      // A smaller file further down may still fit
+      continue;
+    }
+    remaining -= tokens;
+    sections.push(section);
+    mapped.push(file.path);
+  }
+
+  return { text: sections.join('\n'), files: mapped };
+}
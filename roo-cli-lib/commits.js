@@ -0,0 +1,340 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ignore from 'ignore';
+import YAML from 'yaml';
+
+import { createCodebaseFilter, truncateToTokens } from './codebase.js';
+import { describeChanges, getChangedFiles, getDiff, getRepositoryRoot, verifyCommit } from './git.js';
+import { getUserMessage } from './personas.js';
+import { sendMessage } from './provider.js';
+import { countTokens } from './tokens.js';
+
+// Commit messages (`commit-msg`) and changesets (`changeset`) for staged changes. The model gets
+// the diff and the workspace packages it touches, which come from pnpm-workspace.yaml. Which of
+// them a changeset can release is decided by .changeset/config.json, as `changeset add` does.
+
+// Share of the context budget for the diff; the file and package lists get the rest
+const DIFF_BUDGET_SHARE = 0.9;
+
+// Conventional Commits types, as @commitlint/config-conventional has them
+const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const COMMIT_HEADER = new RegExp(`^(${COMMIT_TYPES.join('|')})(\\([^()\\s][^()]*\\))?!?: \\S`);
+
+export const BUMP_TYPES = ['major', 'minor', 'patch'];
+
+// Ground rules on top of the persona's system prompt
+const COMMIT_MESSAGE_RULES = `====
+
+COMMIT MESSAGE
+
+Write a commit message for the change in <codebase_context>, following Conventional Commits:
+
+<type>(<scope>): <description>
+
+<body>
+
+- type is one of ${COMMIT_TYPES.join(', ')}. Add "!" after the type or scope for a breaking change and explain it in a "BREAKING CHANGE: " footer.
+- scope is optional: the part of the codebase changed, such as a workspace package's short name or a folder, in lowercase.
+- The description is in the imperative mood, starts in lowercase and has no full stop; the whole first line is at most 72 characters.
+- The body is optional: what changed and why, not how, wrapped at 72 characters. Leave it out for small changes.
+- Answer with the commit message only, no code fence or other text.`;
+
+const CHANGESET_RULES = `====
+
+CHANGESET
+
+Write a changeset for the change in <codebase_context>: the version bump of each workspace package it releases and a summary for the changelog.
+
+Answer with JSON only, no other text, in this form:
+{
+  "releases": { "package-name": "patch" },
+  "summary": "Fix the session expiry check"
+}
+
+- releases has every package under "Packages to release", each with "major" (a breaking change to what the package offers), "minor" (a new feature that keeps working with existing uses) or "patch" (a fix or an internal change).
+- summary is the changelog entry: one line in the imperative mood, written for the packages' users rather than their developers. The changelog only shows the first line.`;
+
+// The folders of a pattern from pnpm-workspace.yaml, such as "packages/*", relative to root
+async function expandWorkspacePattern(root, pattern) {
+  let dirs = [''];
+  for (const segment of pattern.split('/').filter(segment => segment && segment !== '.')) {
+    const matcher = segment.includes('*')
+      ? new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*+/g, '[^/]*')}$`)
+      : null;
+    const next = [];
+    for (const dir of dirs) {
+      if (!matcher) {
+        next.push(dir ? `${dir}/${segment}` : segment);
+      } else {
+        const subdirs = await getSubdirectories(root, dir, segment === '**');
+        next.push(...(segment === '**' ? [dir, ...subdirs] : subdirs.filter(subdir => matcher.test(path.posix.basename(subdir)))));
+      }
+    }
+    dirs = next;
+  }
+  return dirs;
+}
+
+// The folders in dir (relative to root), all the way down when `recursive`; node_modules and
+// hidden folders are left out
+async function getSubdirectories(root, dir, recursive = false) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  const subdirs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+    const subdir = dir ? `${dir}/${entry.name}` : entry.name;
+    subdirs.push(subdir, ...(recursive ? await getSubdirectories(root, subdir, true) : []));
+  }
+  return subdirs;
+}
+
+/**
+ * The workspace packages pnpm-workspace.yaml lists, as [{ name, dir, version, private }] with dir
+ * relative to root. Null when root has no pnpm-workspace.yaml.
+ */
+export async function getWorkspacePackages(root) {
+  const workspacePath = path.join(root, 'pnpm-workspace.yaml');
+  let patterns;
+  try {
+    patterns = YAML.parse(await fs.readFile(workspacePath, 'utf8'))?.packages || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not parse ${workspacePath}: ${error.message}`);
+  }
+
+  const dirs = new Set();
+  for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+    (await expandWorkspacePattern(root, pattern)).forEach(dir => dirs.add(dir));
+  }
+  for (const pattern of patterns.filter(pattern => pattern.startsWith('!'))) {
+    (await expandWorkspacePattern(root, pattern.slice(1))).forEach(dir => dirs.delete(dir));
+  }
+
+  const packages = [];
+  for (const dir of [...dirs].sort()) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(root, dir, 'package.json'), 'utf8'));
+    } catch (error) {
+      continue;
+    }
+    if (manifest.name) {
+      packages.push({ name: manifest.name, dir, version: manifest.version || null, private: Boolean(manifest.private) });
+    }
+  }
+  return packages;
+}
+
+// The package a file belongs to: the one with the deepest folder holding it
+function findPackage(packages, filePath) {
+  let found = null;
+  for (const pkg of packages) {
+    if ((pkg.dir === '' || filePath.startsWith(`${pkg.dir}/`)) && (!found || pkg.dir.length > found.dir.length)) {
+      found = pkg;
+    }
+  }
+  return found;
+}
+
+/**
+ * Collect the changes for a commit message or changeset in the repository cwd is in: the staged
+ * changes, or the current branch's commits since `base` ({ base }). Files .rooignore denies or
+ * --exclude globs match are left out of the diff, but still count for the packages touched.
+ * Resolves to { root, scope, files: [{ path, status }], skipped, packages, context, tokens }, where
+ * packages are the workspace packages touched, [{ name, dir, version, private, files }] (null
+ * without a pnpm-workspace.yaml), and context is the text for <codebase_context> within `budget` tokens.
+ */
+export async function collectStagedChanges(cwd, { base = null, include = [], exclude = [], budget }) {
+  const root = await getRepositoryRoot(cwd);
+  if (base) {
+    await verifyCommit(root, base);
+  }
+  const range = { staged: !base, base };
+  const filter = await createCodebaseFilter(root, { include, exclude });
+  const excludeMatcher = exclude.length > 0 ? ignore().add(exclude) : null;
+
+  const changed = await getChangedFiles(root, range);
+  const files = [];
+  const skipped = [];
+  for (const file of changed) {
+    if (filter.isRooIgnored(path.join(root, file.path)) || excludeMatcher?.ignores(file.path)) {
+      skipped.push(file.path);
+    } else {
+      files.push(file);
+    }
+  }
+
+  const workspace = await getWorkspacePackages(root);
+  const packages = workspace && workspace.flatMap((pkg) => {
+    const packageFiles = changed.filter(file => findPackage(workspace, file.path) === pkg).map(file => file.path);
+    return packageFiles.length > 0 ? [{ ...pkg, files: packageFiles }] : [];
+  });
+
+  const scope = describeChanges(range);
+  if (files.length === 0) {
+    return { root, scope, files, skipped, packages, context: '', tokens: 0 };
+  }
+
+  const diff = await truncateToTokens((await getDiff(root, range, files.map(file => file.path))).trimEnd(), Math.floor(budget * DIFF_BUDGET_SHARE));
+  const sections = [
+    `## Files Changed (${scope}):\n${files.map(file => `${file.status} ${file.path}`).join('\n')}\n`,
+    `## Diff:\n\`\`\`diff\n${diff.text}${diff.truncated ? '\n[...diff truncated...]' : ''}\n\`\`\`\n`
+  ];
+  const context = sections.join('\n');
+  return { root, scope, files, skipped, packages, context, tokens: await countTokens(context) };
+}
+
+// A list of packages for the model: name, folder and how many of its files changed
+function formatPackages(packages) {
+  return packages.map(pkg => `- ${pkg.name} (${pkg.dir || '.'}/${pkg.version ? `, ${pkg.version}` : ''}): ${pkg.files.length} file${pkg.files.length === 1 ? '' : 's'} changed`).join('\n');
+}
+
+// Send a request about collected changes and parse the answer; an answer that can't be parsed
+// fails with the response's attempts and text
+async function requestAnswer(config, changes, request, parse, { systemPrompt, ...requestOptions }) {
+  const messages = [{ role: 'user', content: getUserMessage(changes.context, request) }];
+  const response = await sendMessage(config, messages, { ...requestOptions, systemPrompt });
+  try {
+    return { ...response, ...parse(response.text) };
+  } catch (error) {
+    throw Object.assign(error, { attempts: response.attempts, text: response.text });
+  }
+}
+
+/**
+ * Parse the model's commit message, taking it out of a code fence if it is in one.
+ * Returns { message, header }: the message with one blank line after its header and a final newline.
+ */
+export function parseCommitMessage(text) {
+  let message = text.replace(/<thinking>[\s\S]*?(?:<\/thinking>|$)/g, '').trim();
+  const fence = message.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+  if (fence) {
+    message = fence[1].trim();
+  }
+  const [header, ...body] = message.split('\n').map(line => line.trimEnd());
+  if (!COMMIT_HEADER.test(header)) {
+    throw new Error('The model\'s answer is not a conventional commit message');
+  }
+  const bodyText = body.join('\n').trim();
+  return { message: bodyText ? `${header}\n\n${bodyText}\n` : `${header}\n`, header };
+}
+
+/**
+ * Ask for a conventional commit message for collected changes (see collectStagedChanges).
+ * systemPrompt is the persona's (see getSystemPrompt, without the persona's output format);
+ * `hint` is added to the request. Other options (fallbacks, signal, onRetry, onFallback) go to
+ * sendMessage. Resolves to sendMessage's response plus { message, header }.
+ */
+export async function requestCommitMessage(config, changes, { systemPrompt, hint = '', ...requestOptions }) {
+  const packages = changes.packages?.length > 0 ? `\n\nWorkspace packages touched:\n${formatPackages(changes.packages)}` : '';
+  const request = `Write the commit message for the ${changes.scope} in <codebase_context>.${packages}${hint ? `\n\n${hint}` : ''}`;
+  return requestAnswer(config, changes, request, parseCommitMessage, {
+    ...requestOptions,
+    systemPrompt: `${systemPrompt}\n\n${COMMIT_MESSAGE_RULES}`
+  });
+}
+
+// Whether a package name matches a name or glob of .changeset/config.json's `ignore`
+function matchesPackageName(name, pattern) {
+  return new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`).test(name);
+}
+
+/**
+ * The packages a changeset can release out of those touched (see collectStagedChanges): those with
+ * a version that .changeset/config.json doesn't ignore, private ones only when its
+ * privatePackages.version allows. Fails when root isn't set up for Changesets.
+ */
+export async function getReleasablePackages(root, packages) {
+  if (!packages) {
+    throw new Error(`${root} has no pnpm-workspace.yaml to find the packages in`);
+  }
+  const configPath = path.join(root, '.changeset', 'config.json');
+  let changesetConfig;
+  try {
+    changesetConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT'
+      ? `${root} has no .changeset/config.json: set up Changesets first (npx changeset init)`
+      : `Could not parse ${configPath}: ${error.message}`);
+  }
+  const ignored = changesetConfig.ignore || [];
+  const versionPrivate = changesetConfig.privatePackages?.version ?? true;
+  return packages.filter(pkg => pkg.version
+    && !ignored.some(pattern => matchesPackageName(pkg.name, pattern))
+    && (!pkg.private || versionPrivate));
+}
+
+/**
+ * Parse the model's changeset, taking the JSON object out of any surrounding text or code fence.
+ * Every package gets a release: the model's bump type, or patch when it gave none that is valid;
+ * packages it added are dropped. Returns { releases: [{ name, type }], summary }.
+ */
+export function parseChangeset(text, packages) {
+  let changeset;
+  try {
+    changeset = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+  } catch (error) {
+    throw new Error('The model\'s changeset is not valid JSON');
+  }
+  const summary = typeof changeset.summary === 'string' ? changeset.summary.trim() : '';
+  if (!summary) {
+    throw new Error('The model\'s changeset has no summary');
+  }
+  const bumps = changeset.releases && typeof changeset.releases === 'object' ? changeset.releases : {};
+  const releases = packages.map((pkg) => {
+    const type = String(bumps[pkg.name] || '').toLowerCase();
+    return { name: pkg.name, type: BUMP_TYPES.includes(type) ? type : 'patch' };
+  });
+  return { releases, summary };
+}
+
+/**
+ * Ask for a changeset releasing `packages` (see getReleasablePackages) for collected changes.
+ * Options are as for requestCommitMessage. Resolves to sendMessage's response plus
+ * { releases, summary, content }, content being the changeset file's text.
+ */
+export async function requestChangeset(config, changes, packages, { systemPrompt, hint = '', ...requestOptions }) {
+  const request = `Write the changeset for the ${changes.scope} in <codebase_context>.\n\nPackages to release:\n${formatPackages(packages)}${hint ? `\n\n${hint}` : ''}`;
+  const parse = (text) => {
+    const changeset = parseChangeset(text, packages);
+    return { ...changeset, content: formatChangeset(changeset) };
+  };
+  return requestAnswer(config, changes, request, parse, {
+    ...requestOptions,
+    systemPrompt: `${systemPrompt}\n\n${CHANGESET_RULES}`
+  });
+}
+
+// A changeset file's text, as `changeset add` writes it
+export function formatChangeset({ releases, summary }) {
+  return `---\n${releases.map(release => `"${release.name}": ${release.type}`).join('\n')}\n---\n\n${summary}\n`;
+}
+
+/**
+ * Write a changeset file into root's .changeset folder, named after the summary's first words.
+ * Resolves to its path relative to root.
+ */
+export async function writeChangeset(root, { summary, content }) {
+  const words = summary.toLowerCase().replace(/[^a-z0-9\s-]/g, '').split(/[\s-]+/).filter(Boolean).slice(0, 6);
+  const name = words.join('-') || 'changeset';
+  for (let n = 1; ; n++) {
+    const fileName = `${name}${n > 1 ? `-${n}` : ''}.md`;
+    try {
+      await fs.writeFile(path.join(root, '.changeset', fileName), content, { encoding: 'utf8', flag: 'wx' });
+      return path.posix.join('.changeset', fileName);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,294 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { deleteKeystore, extractSecrets, getKeystoreSecret, hasPlaceholders, insertSecrets, readKeystore, writeKeystore, writePrivateFile } from './keystore.js';
+
+// Configuration shared by the CLI and the server. ROO_CLI_CONFIG points at another file (e.g. one per CI job).
+export const CONFIG_FILE = process.env.ROO_CLI_CONFIG
+  ? path.resolve(process.env.ROO_CLI_CONFIG)
+  : path.join(os.homedir(), '.roo-cli-config.json');
+
+// Settings that make up a provider profile. Everything else in the file (codebasePath,
+// qdrantUrl, ...) is shared by all profiles, and top-level values are the profiles' defaults.
+export const PROFILE_FIELDS = [
+  'provider', 'apiKey', 'baseUrl', 'model', 'providerSettings',
+  'temperature', 'maxTokens', 'contextWindow'
+];
+
+// Environment variables that override the config file, and the settings they set.
+// ROO_CLI_PROFILE picks the profile when none is named.
+export const ENV_SETTINGS = {
+  ROO_CLI_PROVIDER: { field: 'provider' },
+  ROO_CLI_API_KEY: { field: 'apiKey' },
+  ROO_CLI_BASE_URL: { field: 'baseUrl' },
+  ROO_CLI_MODEL: { field: 'model' },
+  ROO_CLI_TEMPERATURE: { field: 'temperature', type: 'number' },
+  ROO_CLI_MAX_TOKENS: { field: 'maxTokens', type: 'integer' },
+  ROO_CLI_CONTEXT_WINDOW: { field: 'contextWindow', type: 'integer' },
+  ROO_CLI_MAX_RETRIES: { field: 'maxRetries', type: 'count' },
+  ROO_CLI_FALLBACK_PROFILES: { field: 'fallbackProfiles', type: 'list' },
+  ROO_CLI_AGENT_MAX_STEPS: { field: 'agentMaxSteps', type: 'integer' },
+  ROO_CLI_CODEBASE: { field: 'codebasePath' },
+  ROO_CLI_OPENAI_API_KEY: { field: 'openaiApiKey' },
+  ROO_CLI_QDRANT_API_KEY: { field: 'qdrantApiKey' }
+};
+
+// Profile names become keys and appear in messages, so keep them to a safe character set
+export function validateProfileName(name) {
+  if (!name || !/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid profile name "${name}". Use letters, numbers, ".", "-" and "_".`);
+  }
+  return name;
+}
+
+// Read the config file as stored, or null if there isn't one
+export async function readConfigFile() {
+  let data;
+  try {
+    data = await fs.readFile(CONFIG_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not read ${CONFIG_FILE}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Could not parse ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+// Write the config file, readable only by its owner. With the keystore enabled, keys are
+// encrypted into it and the file only keeps placeholders.
+export async function writeConfigFile(fileConfig) {
+  let stored = fileConfig;
+  if (fileConfig.keystore) {
+    const { config, secrets, ids } = extractSecrets(fileConfig);
+    if (Object.keys(secrets).length > 0) {
+      // Keys that were already encrypted are carried over; ones no longer referenced are dropped
+      const existing = ids.some(id => !(id in secrets)) ? await readKeystore(fileConfig.keystore) : {};
+      await writeKeystore(Object.fromEntries(ids.map(id => [id, secrets[id] ?? existing[id]])), fileConfig.keystore);
+    }
+    stored = config;
+  }
+  await writePrivateFile(CONFIG_FILE, JSON.stringify(stored, null, 2));
+}
+
+// Names of the profiles in a config file and the one used when none is asked for.
+// A file without `profiles` is a single, unnamed configuration.
+export function getProfiles(fileConfig) {
+  const names = Object.keys(fileConfig?.profiles || {});
+  const defaultName = names.includes(fileConfig?.defaultProfile) ? fileConfig.defaultProfile : names[0] || null;
+  return { names, defaultName };
+}
+
+/**
+ * The effective configuration for a profile: the file's shared settings with the profile's
+ * settings on top, plus `profile` (its name). Without a name, the default profile is used.
+ * A profile may also be a provider profile exported from the extension (`apiProvider` plus
+ * its fields, as in packages/types/src/provider-settings.ts); it becomes `providerSettings`.
+ */
+export function resolveProfile(fileConfig, profileName = null) {
+  const { profiles = {}, defaultProfile, keystore, ...shared } = fileConfig;
+  const { names, defaultName } = getProfiles(fileConfig);
+  const name = profileName || defaultName;
+
+  if (!name) {
+    return { ...shared, profile: null };
+  }
+  if (!names.includes(name)) {
+    const available = names.length > 0 ? ` Available profiles: ${names.join(', ')}` : ' No profiles are configured.';
+    throw new Error(`Unknown profile "${name}".${available}`);
+  }
+
+  const profile = profiles[name];
+  if (profile.apiProvider) {
+    const { temperature, maxTokens, contextWindow, ...providerSettings } = profile;
+    return { ...shared, ...definedValues({ temperature, maxTokens, contextWindow }), providerSettings, profile: name };
+  }
+  return { ...shared, ...profile, profile: name };
+}
+
+function definedValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// A number from the environment or the command line: a 'number', an 'integer' (above zero) or a 'count' (zero or more)
+export function parseNumberSetting(name, value, type = 'number') {
+  const number = Number(value);
+  const valid = {
+    number: Number.isFinite(number),
+    integer: Number.isInteger(number) && number > 0,
+    count: Number.isInteger(number) && number >= 0
+  }[type];
+  if (value === '' || !valid) {
+    const expected = { number: 'a number', integer: 'a positive whole number', count: 'a whole number (0 or more)' }[type];
+    throw new Error(`${name} must be ${expected}, not "${value}"`);
+  }
+  return number;
+}
+
+// Settings from the ENV_SETTINGS variables that are set (empty counts as unset)
+export function getEnvironmentSettings(env = process.env) {
+  const settings = {};
+  for (const [name, { field, type }] of Object.entries(ENV_SETTINGS)) {
+    const value = env[name];
+    if (!value) {
+      continue;
+    }
+    if (!type) {
+      settings[field] = value;
+      continue;
+    }
+    if (type === 'list') {
+      // Comma-separated, e.g. ROO_CLI_FALLBACK_PROFILES=openrouter,local
+      settings[field] = value.split(',').map(item => item.trim()).filter(Boolean);
+      continue;
+    }
+    settings[field] = parseNumberSetting(name, value, type);
+  }
+  return settings;
+}
+
+/**
+ * Put overrides (environment variables, command-line flags) on top of a configuration.
+ * Switching to another provider drops the key, server, model and provider profile
+ * configured for the previous one.
+ */
+export function applyOverrides(config, overrides) {
+  const { apiKey, baseUrl, model, providerSettings, ...rest } = config;
+  const switchesProvider = overrides.provider && (overrides.provider !== config.provider || providerSettings);
+  return { ...(switchesProvider ? rest : config), ...definedValues(overrides) };
+}
+
+/**
+ * Load the configuration for a profile (or the default one). Later sources win:
+ * `defaults` (only used without a config file), then the config file's shared settings,
+ * then the profile, then the ROO_CLI_* variables in `env`. Command-line flags go on top
+ * of the result (see applyOverrides). Asking for a profile that doesn't exist fails.
+ * Keys in the keystore are decrypted unless `secrets` is false, which leaves placeholders.
+ */
+export async function loadConfig(profileName = null, defaults = {}, { env = process.env, secrets = true } = {}) {
+  const name = profileName || env.ROO_CLI_PROFILE || null;
+  let fileConfig = await readConfigFile();
+  if (secrets && fileConfig?.keystore && hasPlaceholders(fileConfig)) {
+    fileConfig = insertSecrets(fileConfig, await readKeystore(fileConfig.keystore));
+  }
+  let config;
+  if (fileConfig) {
+    config = resolveProfile(fileConfig, name);
+  } else {
+    config = name ? resolveProfile({}, name) : { ...defaults, profile: null };
+  }
+  return applyOverrides(config, getEnvironmentSettings(env));
+}
+
+/**
+ * The configurations to fall back on when a request with `config` keeps failing: the profiles
+ * named in its `fallbackProfiles`, in order, leaving out its own profile. ROO_CLI_* variables
+ * and command-line flags only apply to the primary configuration, not to these.
+ */
+export async function loadFallbackConfigs(config) {
+  const names = config.fallbackProfiles || [];
+  if (!Array.isArray(names)) {
+    throw new Error('fallbackProfiles must be a list of profile names');
+  }
+  const configs = [];
+  for (const name of new Set(names)) {
+    if (name !== config.profile) {
+      configs.push(await loadConfig(name, {}, { env: {} }));
+    }
+  }
+  return configs;
+}
+
+/**
+ * Save provider settings (PROFILE_FIELDS) and shared settings. With a profile name the provider
+ * settings go into that profile, creating it if needed; a file that had a single configuration
+ * keeps it as the "default" profile. Without a name, the default profile (or the single
+ * configuration) is updated.
+ */
+export async function saveConfig(settings, profileName = null) {
+  const fileConfig = await readConfigFile() || {};
+  const profileSettings = definedValues(Object.fromEntries(PROFILE_FIELDS.map(field => [field, settings[field]])));
+  const sharedSettings = Object.fromEntries(Object.entries(settings).filter(([key]) => !PROFILE_FIELDS.includes(key) && key !== 'profile'));
+  let { names, defaultName } = getProfiles(fileConfig);
+
+  if (profileName && names.length === 0 && fileConfig.provider) {
+    // Keep the existing single configuration as the "default" profile
+    const existing = definedValues(Object.fromEntries(PROFILE_FIELDS.map(field => [field, fileConfig[field]])));
+    PROFILE_FIELDS.forEach(field => delete fileConfig[field]);
+    fileConfig.profiles = { default: existing };
+    fileConfig.defaultProfile = 'default';
+    defaultName = 'default';
+  }
+
+  const name = profileName ? validateProfileName(profileName) : defaultName;
+  if (name) {
+    fileConfig.profiles = { ...fileConfig.profiles, [name]: profileSettings };
+    fileConfig.defaultProfile = defaultName || name;
+    Object.assign(fileConfig, sharedSettings);
+  } else {
+    PROFILE_FIELDS.forEach(field => delete fileConfig[field]);
+    Object.assign(fileConfig, sharedSettings, profileSettings);
+  }
+
+  await writeConfigFile(fileConfig);
+  return name;
+}
+
+// Make a profile the default, returning false if it doesn't exist
+export async function setDefaultProfile(name) {
+  const fileConfig = await readConfigFile();
+  if (!getProfiles(fileConfig).names.includes(name)) {
+    return false;
+  }
+  fileConfig.defaultProfile = name;
+  await writeConfigFile(fileConfig);
+  return true;
+}
+
+// Delete a profile, returning false if it doesn't exist. The default moves to the first remaining profile.
+export async function deleteProfile(name) {
+  const fileConfig = await readConfigFile();
+  if (!getProfiles(fileConfig).names.includes(name)) {
+    return false;
+  }
+  delete fileConfig.profiles[name];
+  if (fileConfig.defaultProfile === name) {
+    fileConfig.defaultProfile = Object.keys(fileConfig.profiles)[0];
+  }
+  await writeConfigFile(fileConfig);
+  return true;
+}
+
+/**
+ * Move the config file's keys into the encrypted keystore. `keystoreSetting` is true to unlock
+ * it with a passphrase, or { keyFile } to use a key file. Returns false if it is already enabled.
+ */
+export async function enableKeystore(keystoreSetting = true) {
+  const fileConfig = await readConfigFile();
+  if (!fileConfig) {
+    throw new Error(`${CONFIG_FILE} doesn't exist yet. Run --setup first.`);
+  }
+  if (fileConfig.keystore) {
+    return false;
+  }
+  // Settle the new passphrase (asking twice) before anything is written
+  await getKeystoreSecret(keystoreSetting, { confirm: true });
+  await writeConfigFile({ ...fileConfig, keystore: keystoreSetting });
+  return true;
+}
+
+// Put the keys back in the config file and delete the keystore. Returns false if it isn't enabled.
+export async function disableKeystore() {
+  const fileConfig = await readConfigFile();
+  if (!fileConfig?.keystore) {
+    return false;
+  }
+  const { keystore, ...plainConfig } = insertSecrets(fileConfig, await readKeystore(fileConfig.keystore));
+  await writeConfigFile(plainConfig);
+  await deleteKeystore();
+  return true;
+}
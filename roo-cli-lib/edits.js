@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { getSkippedPathError, resolveToolPath } from './agent.js';
+import { createCodebaseFilter } from './codebase.js';
+import { isBinaryFile } from './mentions.js';
+import { loadProviderLayer, sendMessage } from './provider.js';
+
+// Edit mode: the model answers with the extension's apply_diff tool (SEARCH/REPLACE blocks, see
+// src/core/diff/strategies/multi-search-replace.ts) and the edits are worked out with the same
+// strategy before anything is written. A file whose blocks don't all apply is reported as failed
+// and none of its blocks are kept, so a file is never left half edited.
+
+// Folders never edited, whatever --include says: git's own files (hooks, config) and installed packages
+const PROTECTED_FOLDERS = ['.git', 'node_modules'];
+
+// Ground rules on top of the persona's system prompt and the apply_diff description
+const EDIT_RULES = `====
+
+EDIT MODE
+
+Answer the request by editing the files in <codebase_context>. Their lines are numbered ("12 | code"); the numbers are not part of the files, so leave them out of SEARCH blocks and use them for :start_line:.
+
+- Start with a short explanation of the changes, then use apply_diff once for each file you change, with one SEARCH/REPLACE block for each change.
+- Copy every SEARCH block exactly from the file, whitespace and indentation included, and keep each one as short as it can be while still matching a single place.
+- Only edit files whose content you were given; you can't create, rename or delete files.
+- If the request needs no edits, or you can't make them safely, say so instead of using apply_diff.`;
+
+// The system prompt for edit mode: the persona's system prompt, then apply_diff as the extension describes it
+function getEditSystemPrompt(strategy, systemPrompt, codebasePath) {
+  return `${systemPrompt}\n\n# Tools\n\n${strategy.getToolDescription({ cwd: codebasePath })}\n\n${EDIT_RULES}`;
+}
+
+/**
+ * The explanation and the edits in a reply: every apply_diff as { path, diffs }, the diffs for one
+ * file in the order they were given. Other tool uses are ignored.
+ */
+export function parseEdits(layer, text) {
+  const blocks = layer.parseAssistantMessage(text);
+  const explanation = blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.content.replace(/<thinking>[\s\S]*?(?:<\/thinking>|$)/g, '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+
+  const edits = new Map();
+  for (const block of blocks) {
+    if (block.type !== 'tool_use' || block.name !== 'apply_diff' || !block.params.path || !block.params.diff) {
+      continue;
+    }
+    const edit = edits.get(block.params.path) || { path: block.params.path, diffs: [] };
+    edit.diffs.push(block.params.diff);
+    edits.set(block.params.path, edit);
+  }
+  return { explanation, edits: [...edits.values()] };
+}
+
+// The first paragraph of a diff error, which says what failed and where; the rest is debug detail
+function getDiffError(result) {
+  const messages = result.error ? [result.error] : (result.failParts || []).map(part => part.error);
+  return messages.map(message => (message || 'The diff could not be applied').split(/\n\s*\n/)[0].trim()).join('; ');
+}
+
+// Work out one file's edit: 'ready' with the new content and its diff, 'unchanged', or 'failed' with the reason
+async function prepareEdit(layer, strategy, filter, { path: filePath, diffs }) {
+  const failed = (error) => ({ path: filePath, status: 'failed', diff: '', error });
+
+  let fullPath;
+  try {
+    fullPath = await resolveToolPath(filter, filePath);
+  } catch (error) {
+    return failed(error.message);
+  }
+  const folder = path.relative(filter.rootPath, fullPath).split(path.sep).slice(0, -1)
+    .find(part => PROTECTED_FOLDERS.includes(part.toLowerCase()));
+  if (folder) {
+    return failed(`Files in ${folder}/ can't be edited`);
+  }
+  if (filter.isRooIgnored(fullPath)) {
+    return failed(layer.formatResponse.rooIgnoreError(filePath));
+  }
+  if (!filter.includesPath(fullPath)) {
+    return failed(getSkippedPathError(filePath));
+  }
+
+  let original;
+  let realPath;
+  try {
+    if (await isBinaryFile(fullPath)) {
+      return failed('Binary files can\'t be edited');
+    }
+    original = await fs.readFile(fullPath, 'utf8');
+    realPath = await fs.realpath(fullPath);
+  } catch (error) {
+    return failed(error.code === 'ENOENT' ? 'File does not exist' : error.message);
+  }
+
+  let content = original;
+  for (const [index, diff] of diffs.entries()) {
+    const result = await strategy.applyDiff(content, diff);
+    if (!result.success || result.failParts?.length > 0) {
+      const which = diffs.length > 1 ? `apply_diff ${index + 1} of ${diffs.length}: ` : '';
+      return failed(`${which}${getDiffError(result)}`);
+    }
+    content = result.content;
+  }
+
+  const relativePath = filter.relative(fullPath);
+  if (content === original) {
+    return { path: relativePath, fullPath, realPath, status: 'unchanged', diff: '', original, content };
+  }
+  const patch = layer.formatResponse.createPrettyPatch(relativePath, original, content);
+  return { path: relativePath, fullPath, realPath, status: 'ready', diff: `--- a/${relativePath}\n+++ b/${relativePath}\n${patch.trimEnd()}\n`, original, content };
+}
+
+/**
+ * Ask for edits and work them out, without writing anything (see applyEdits).
+ * systemPrompt is the persona's (see getSystemPrompt); apply_diff is described after it. Other
+ * options (fallbacks, signal, onRetry, onFallback) go to sendMessage.
+ * Resolves to sendMessage's response, with text being the model's explanation, plus the edits:
+ * [{ path, status, diff, error }], status being 'ready', 'unchanged' or 'failed' and diff a
+ * unified diff of the file.
+ */
+export async function proposeEdits(config, messages, { codebasePath, include = [], exclude = [], systemPrompt, ...requestOptions }) {
+  const layer = await loadProviderLayer();
+  const filter = await createCodebaseFilter(codebasePath, { include, exclude });
+  const strategy = new layer.MultiSearchReplaceDiffStrategy();
+  const response = await sendMessage(config, messages, { ...requestOptions, systemPrompt: getEditSystemPrompt(strategy, systemPrompt, filter.rootPath) });
+
+  const { explanation, edits } = parseEdits(layer, response.text);
+  const prepared = [];
+  for (const edit of edits) {
+    prepared.push(await prepareEdit(layer, strategy, filter, edit));
+  }
+  return { ...response, text: explanation, edits: prepared };
+}
+
+/**
+ * Write the edits that are ready, marking them 'applied'. Nothing is written if any of the files
+ * changed, or was swapped for a symlink to somewhere else, since the edits were worked out.
+ */
+export async function applyEdits(edits) {
+  const ready = edits.filter(edit => edit.status === 'ready');
+  for (const edit of ready) {
+    if (await fs.realpath(edit.fullPath) !== edit.realPath || await fs.readFile(edit.realPath, 'utf8') !== edit.original) {
+      throw new Error(`${edit.path} changed while the edits were prepared; nothing was written`);
+    }
+  }
+  for (const edit of ready) {
+    await fs.writeFile(edit.realPath, edit.content, 'utf8');
+    edit.status = 'applied';
+  }
+}
+
+// Color a unified diff for the terminal: additions green, removals red, hunk headers cyan
+export function colorizeDiff(diff) {
+  return diff.split('\n').map((line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      return `\x1b[1m${line}\x1b[0m`;
+    }
+    if (line.startsWith('+')) {
+      return `\x1b[32m${line}\x1b[0m`;
+    }
+    if (line.startsWith('-')) {
+      return `\x1b[31m${line}\x1b[0m`;
+    }
+    if (line.startsWith('@@')) {
+      return `\x1b[36m${line}\x1b[0m`;
+    }
+    return line;
+  }).join('\n');
+}
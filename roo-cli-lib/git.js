@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Git helpers, after the extension's src/utils/git.ts: the working state and commits for
+// @-mentions, and the changes that `review`, `commit-msg` and `changeset` work on.
+
+// Git output longer than this is cut in the middle (the extension's GIT_OUTPUT_LINE_LIMIT)
+const GIT_OUTPUT_LINE_LIMIT = 500;
+
+// Keep the first 20% and last 80% of the allowed lines
+function truncateLines(content, lineLimit) {
+  const lines = content.split('\n');
+  if (lines.length <= lineLimit) {
+    return content;
+  }
+  const before = Math.floor(lineLimit * 0.2);
+  const after = lineLimit - before;
+  return [
+    ...lines.slice(0, before),
+    `[...${lines.length - lineLimit} lines omitted...]`,
+    ...lines.slice(-after)
+  ].join('\n');
+}
+
+// Run git in cwd and return its output
+export async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+export async function checkGitRepo(cwd) {
+  if (!cwd) {
+    return false;
+  }
+  try {
+    await git(['rev-parse', '--git-dir'], cwd);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Staged and unstaged changes against HEAD, as the extension's getWorkingState
+export async function getWorkingState(cwd) {
+  if (!(await checkGitRepo(cwd))) {
+    return 'Not a git repository';
+  }
+  const status = await git(['status', '--short'], cwd);
+  if (!status.trim()) {
+    return 'No changes in working directory';
+  }
+  const diff = await git(['diff', 'HEAD'], cwd);
+  return truncateLines(`Working directory changes:\n\n${status}\n\n${diff}`.trim(), GIT_OUTPUT_LINE_LIMIT);
+}
+
+// A commit's message, stats and diff, as the extension's getCommitInfo
+export async function getCommitInfo(hash, cwd) {
+  if (!(await checkGitRepo(cwd))) {
+    return 'Not a git repository';
+  }
+  const info = await git(['show', '--format=%H%n%h%n%s%n%an%n%ad%n%b', '--no-patch', hash], cwd);
+  const [fullHash, shortHash, subject, author, date, ...body] = info.trim().split('\n');
+  const stats = await git(['show', '--stat', '--format=', hash], cwd);
+  const diff = await git(['show', '--format=', hash], cwd);
+
+  const summary = [
+    `Commit: ${shortHash} (${fullHash})`,
+    `Author: ${author}`,
+    `Date: ${date}`,
+    `\nMessage: ${subject}`,
+    body.length > 0 ? `\nDescription:\n${body.join('\n')}` : '',
+    '\nFiles Changed:',
+    stats.trim(),
+    '\nFull Changes:'
+  ].join('\n');
+
+  return truncateLines(`${summary}\n\n${diff.trim()}`, GIT_OUTPUT_LINE_LIMIT);
+}
+
+// Which changes a command works on: the working tree against HEAD (the default), the staged
+// changes ({ staged: true }) or the commits of the current branch since it left `base` ({ base })
+function getDiffRange({ staged = false, base = null } = {}) {
+  if (base) {
+    // Git would take it for an option
+    if (base.startsWith('-')) {
+      throw new Error(`"${base}" is not a branch, tag or commit`);
+    }
+    return [`${base}...HEAD`];
+  }
+  return staged ? ['--cached'] : ['HEAD'];
+}
+
+// A description of the changes picked by { staged, base }
+export function describeChanges({ staged = false, base = null } = {}) {
+  if (base) {
+    return `changes since ${base}`;
+  }
+  return staged ? 'staged changes' : 'working tree changes';
+}
+
+// The top folder of the repository cwd is in
+export async function getRepositoryRoot(cwd) {
+  if (!(await checkGitRepo(cwd))) {
+    throw new Error(`${cwd} is not in a git repository`);
+  }
+  return (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+}
+
+// Fail unless ref names a commit, such as the base of a branch
+export async function verifyCommit(cwd, ref) {
+  const notACommit = new Error(`"${ref}" is not a branch, tag or commit in ${cwd}`);
+  // Git would take it for an option
+  if (ref.startsWith('-')) {
+    throw notACommit;
+  }
+  try {
+    await git(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], cwd);
+  } catch (error) {
+    throw notACommit;
+  }
+}
+
+// Working tree and branch changes are compared with HEAD, which a repository without commits lacks
+async function verifyHead(cwd) {
+  try {
+    await git(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], cwd);
+  } catch (error) {
+    throw new Error(`The repository in ${cwd} has no commits yet, so there is no HEAD to compare with. Stage your files and use --staged, or make a first commit.`);
+  }
+}
+
+// Files that are neither tracked nor ignored, relative to the repository root
+async function getUntrackedFiles(cwd) {
+  const output = await git(['ls-files', '--others', '--exclude-standard', '--full-name', '-z', '--', ':/'], cwd);
+  return output.split('\0').filter(Boolean);
+}
+
+// An untracked file as a diff that adds it
+async function getUntrackedFileDiff(root, filePath) {
+  try {
+    return await git(['diff', '--no-index', '--no-color', '--no-ext-diff', '--', '/dev/null', filePath], root);
+  } catch (error) {
+    // --no-index exits with 1 when the files differ, which they always do here
+    if (error.code === 1) {
+      return error.stdout;
+    }
+    throw error;
+  }
+}
+
+/**
+ * The files changed, as [{ path, status }] with paths relative to the repository root and status
+ * being git's letter (A added, M modified, D deleted, T type changed). Renames count as a deletion
+ * and an addition. Working tree changes include untracked files (that aren't ignored) as added.
+ */
+export async function getChangedFiles(cwd, options = {}) {
+  if (!options.staged) {
+    await verifyHead(cwd);
+  }
+  const output = await git(['diff', '--name-status', '--no-renames', '-z', ...getDiffRange(options)], cwd);
+  const fields = output.split('\0').filter(Boolean);
+  const files = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    files.push({ status: fields[i], path: fields[i + 1] });
+  }
+  if (!options.staged && !options.base) {
+    for (const filePath of await getUntrackedFiles(cwd)) {
+      files.push({ status: 'A', path: filePath });
+    }
+  }
+  return files;
+}
+
+// The unified diff of the changes, optionally of some files only (paths relative to the repository root).
+// Working tree changes include the untracked files.
+export async function getDiff(cwd, options = {}, paths = null) {
+  const pathspec = paths ? ['--', ...paths.map(filePath => `:(top,literal)${filePath}`)] : [];
+  let diff = await git(['diff', '--no-color', '--no-ext-diff', '--no-renames', ...getDiffRange(options), ...pathspec], cwd);
+  if (!options.staged && !options.base) {
+    const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    for (const filePath of await getUntrackedFiles(cwd)) {
+      if (!paths || paths.includes(filePath)) {
+        diff += await getUntrackedFileDiff(root, filePath);
+      }
+    }
+  }
+  return diff;
+}
+
+// A changed file's new content: the staged version, HEAD's version for branch changes or the
+// file on disk for working tree changes. Null for deleted files.
+export async function getChangedFileContent(root, filePath, { staged = false, base = null } = {}) {
+  try {
+    if (staged || base) {
+      return await git(['show', `${base ? 'HEAD' : ''}:${filePath}`], root);
+    }
+    return await fs.readFile(path.join(root, filePath), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// The tree the staged changes would commit, to tell whether the staging area changed
+export async function getStagedTree(cwd) {
+  return (await git(['write-tree'], cwd)).trim();
+}
+
+// Commit the staged changes with a message, as long as they are still the ones in `tree` (see
+// getStagedTree). The repository's hooks run as for any commit. Resolves to the commit's short hash.
+export async function commitStaged(cwd, message, tree) {
+  if (await getStagedTree(cwd) !== tree) {
+    throw new Error('The staged changes changed while the message was written; nothing was committed');
+  }
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roo-cli-'));
+  const messageFile = path.join(dir, 'COMMIT_MSG');
+  try {
+    await fs.writeFile(messageFile, message, 'utf8');
+    await git(['commit', '--quiet', `--file=${messageFile}`, '--cleanup=strip'], cwd);
+  } catch (error) {
+    // A hook that refused the commit says why on stderr
+    throw new Error(`git commit failed: ${(error.stderr || error.message).trim()}`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  return (await git(['rev-parse', '--short', 'HEAD'], cwd)).trim();
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// Encrypted-at-rest storage for the keys in the config file. When the config file has
+// `"keystore": true` (or `{ "keyFile": "/path" }`), each key is replaced by a placeholder
+// ("@keystore:<id>") and the values live here, encrypted with AES-256-GCM under a key derived
+// (scrypt) from a passphrase or the contents of a key file. Placeholders carry their own ID, so
+// settings can move (e.g. into a profile) without losing their key.
+export const KEYSTORE_FILE = process.env.ROO_CLI_KEYSTORE
+  ? path.resolve(process.env.ROO_CLI_KEYSTORE)
+  : path.join(os.homedir(), '.roo-cli', 'keystore.json');
+
+const PLACEHOLDER_PREFIX = '@keystore:';
+
+function isPlaceholder(value) {
+  return typeof value === 'string' && value.startsWith(PLACEHOLDER_PREFIX);
+}
+
+// Settings that hold credentials: apiKey, openaiApiKey, qdrantApiKey and, inside
+// providerSettings, fields such as openRouterApiKey, awsSecretKey or awsSessionToken
+const SECRET_FIELD = /(key|secret|token|password|credentials|authorization)$/i;
+
+// Custom request headers (openAiHeaders and the like), whose values often carry credentials
+// under any name (Authorization, X-Api-Key, Cookie, ...). All of their values count as keys.
+const HEADERS_FIELD = /headers$/i;
+
+let promptForPassphrase = null;
+let unlockedSecret = null;
+
+// Let an interactive tool ask for the passphrase when no variable or key file provides it.
+// `prompt({ confirm })` resolves to the passphrase; confirm is set when choosing a new one.
+export function setPassphrasePrompt(prompt) {
+  promptForPassphrase = prompt;
+}
+
+// `parentKey` is the setting the field is nested in, if any
+export function isSecretField(key, value, parentKey = null) {
+  return typeof value === 'string' && value !== '' && !isPlaceholder(value)
+    && (SECRET_FIELD.test(key) || HEADERS_FIELD.test(parentKey || ''));
+}
+
+// Write a file only its owner can read. It is written under a temporary name created with
+// mode 0600 and then renamed over the file, so its contents are never readable by others,
+// even for a moment when an older file had looser permissions.
+export async function writePrivateFile(file, data) {
+  const target = await fs.realpath(file).catch(() => file);
+  const tempFile = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.writeFile(tempFile, data, { mode: 0o600, flag: 'wx' });
+  try {
+    await fs.rename(tempFile, target);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * The passphrase or key file contents that unlock the keystore, from (in order)
+ * ROO_CLI_KEYSTORE_PASSPHRASE, ROO_CLI_KEYSTORE_KEY_FILE, the config's `keystore.keyFile`
+ * or the passphrase prompt. Remembered for the rest of the process.
+ */
+export async function getKeystoreSecret(keystoreSetting, { confirm = false } = {}) {
+  if (unlockedSecret) {
+    return unlockedSecret;
+  }
+
+  const keyFile = process.env.ROO_CLI_KEYSTORE_KEY_FILE || keystoreSetting?.keyFile;
+  let secret = process.env.ROO_CLI_KEYSTORE_PASSPHRASE;
+  if (!secret && keyFile) {
+    try {
+      secret = (await fs.readFile(keyFile.replace(/^~(?=$|\/)/, os.homedir()), 'utf8')).trim();
+    } catch (error) {
+      throw new Error(`Could not read the keystore key file ${keyFile}: ${error.message}`);
+    }
+  }
+  if (!secret && promptForPassphrase) {
+    secret = await promptForPassphrase({ confirm });
+  }
+  if (!secret) {
+    throw new Error('The keystore is locked. Set ROO_CLI_KEYSTORE_PASSPHRASE or ROO_CLI_KEYSTORE_KEY_FILE to unlock it.');
+  }
+
+  unlockedSecret = secret;
+  return secret;
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+// The stored keys as { "<id>": value }. Empty if there is no keystore file yet.
+export async function readKeystore(keystoreSetting) {
+  let stored;
+  try {
+    stored = JSON.parse(await fs.readFile(KEYSTORE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Could not read ${KEYSTORE_FILE}: ${error.message}`);
+  }
+
+  const secret = await getKeystoreSecret(keystoreSetting);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, Buffer.from(stored.salt, 'base64')), Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    unlockedSecret = null;
+    throw new Error('Could not unlock the keystore: wrong passphrase or key file.');
+  }
+}
+
+export async function writeKeystore(secrets, keystoreSetting, { confirm = false } = {}) {
+  const secret = await getKeystoreSecret(keystoreSetting, { confirm });
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  const stored = {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  await fs.mkdir(path.dirname(KEYSTORE_FILE), { recursive: true });
+  await writePrivateFile(KEYSTORE_FILE, JSON.stringify(stored, null, 2));
+}
+
+export async function deleteKeystore() {
+  await fs.rm(KEYSTORE_FILE, { force: true });
+}
+
+// Call visit(object, key, value, parentKey) for every setting in a config, nested objects
+// included; parentKey is the key of the object the setting is in (null at the top)
+function walk(object, visit, parentKey = null) {
+  for (const [key, value] of Object.entries(object)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      walk(value, visit, key);
+    } else {
+      visit(object, key, value, parentKey);
+    }
+  }
+}
+
+/**
+ * Move the keys out of a config: returns a copy with each key replaced by a placeholder,
+ * the keys that were in it (as readKeystore returns them) and the IDs of all placeholders.
+ */
+export function extractSecrets(fileConfig) {
+  const config = structuredClone(fileConfig);
+  const secrets = {};
+  const ids = [];
+  walk(config, (object, key, value, parentKey) => {
+    if (isPlaceholder(value)) {
+      ids.push(value.slice(PLACEHOLDER_PREFIX.length));
+    } else if (isSecretField(key, value, parentKey)) {
+      const id = crypto.randomBytes(6).toString('hex');
+      secrets[id] = value;
+      object[key] = `${PLACEHOLDER_PREFIX}${id}`;
+      ids.push(id);
+    }
+  });
+  return { config, secrets, ids };
+}
+
+// Put the keystore's values back in place of the placeholders
+export function insertSecrets(fileConfig, secrets) {
+  const config = structuredClone(fileConfig);
+  walk(config, (object, key, value) => {
+    if (isPlaceholder(value)) {
+      object[key] = secrets[value.slice(PLACEHOLDER_PREFIX.length)] ?? null;
+    }
+  });
+  return config;
+}
+
+export function hasPlaceholders(fileConfig) {
+  let found = false;
+  walk(fileConfig, (object, key, value) => {
+    found = found || isPlaceholder(value);
+  });
+  return found;
+}
+
+// A copy of a config that is safe to print: keys keep their last four characters
+export function maskSecrets(config) {
+  const masked = structuredClone(config);
+  walk(masked, (object, key, value, parentKey) => {
+    if (isPlaceholder(value)) {
+      object[key] = '(in keystore)';
+    } else if (isSecretField(key, value, parentKey)) {
+      object[key] = value.length >= 12 ? `${'*'.repeat(8)}${value.slice(-4)}` : '*'.repeat(8);
+    }
+  });
+  return masked;
+}
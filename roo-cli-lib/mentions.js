@@ -0,0 +1,257 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { addLineNumbers, createCodebaseFilter } from './codebase.js';
+import { getCommitInfo, getWorkingState } from './git.js';
+
+// @-mentions in prompts, with the same syntax and output as the extension's src/core/mentions:
+// @/path/to/file, @/path/to/folder/, @https://url, @problems, @git-changes, @<commit hash> and @terminal.
+// Same pattern as mentionRegex in src/shared/context-mentions.ts
+const MENTION_PATTERN = /(?<!\\)@((?:\/|\w+:\/\/)(?:[^\s\\]|\\ )+?|[a-f0-9]{7,40}\b|problems\b|git-changes\b|terminal\b)(?=[.,;:!?]?(?=[\s\r\n]|$))/g;
+
+const COMMIT_HASH = /^[a-f0-9]{7,40}$/;
+
+// Web pages are cut to this many characters
+const URL_CONTENT_LIMIT = 50000;
+
+const URL_FETCH_TIMEOUT_MS = 15000;
+
+const LOCK_SYMBOL = '🔒';
+
+// Files with a NUL byte near the start are treated as binary and never inlined
+export async function isBinaryFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(8000), 0, 8000, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readTextFile(filePath) {
+  if (await isBinaryFile(filePath)) {
+    throw new Error('Cannot read text for file type: binary');
+  }
+  return addLineNumbers(await fs.readFile(filePath, 'utf8'));
+}
+
+// Whether a path stays inside cwd once symlinks on either side are resolved
+async function isInsideRealPath(absPath, cwd) {
+  const relativePath = path.relative(await fs.realpath(cwd), await fs.realpath(absPath));
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+// A mentioned file or folder inlined verbatim. Folders list their entries and inline
+// the text files directly inside them. Nothing denied by .rooignore is read.
+async function getFileOrFolderContent(mentionPath, cwd, filter, confine) {
+  if (!cwd) {
+    throw new Error('No codebase to resolve the path against');
+  }
+  const unescapedPath = mentionPath.replace(/\\ /g, ' ');
+  const absPath = path.resolve(cwd, unescapedPath);
+  const relativePath = path.relative(cwd, absPath);
+  if (confine && (relativePath.startsWith('..') || path.isAbsolute(relativePath))) {
+    throw new Error(`Path "${mentionPath}" is outside the codebase`);
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(absPath);
+  } catch (error) {
+    throw new Error(`Failed to access path "${mentionPath}": ${error.message}`);
+  }
+  if (confine && !(await isInsideRealPath(absPath, cwd))) {
+    throw new Error(`Path "${mentionPath}" is outside the codebase`);
+  }
+
+  if (stats.isFile()) {
+    if (filter.isRooIgnored(absPath)) {
+      return `(File ${mentionPath} is ignored by .rooignore)`;
+    }
+    try {
+      return await readTextFile(absPath);
+    } catch (error) {
+      return `(Failed to read contents of ${mentionPath}): ${error.message}`;
+    }
+  }
+
+  if (!stats.isDirectory()) {
+    return `(Failed to read contents of ${mentionPath})`;
+  }
+
+  const entries = await fs.readdir(absPath, { withFileTypes: true });
+  const listing = [];
+  const fileContents = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const linePrefix = index === entries.length - 1 ? '└── ' : '├── ';
+    const entryPath = path.join(absPath, entry.name);
+    const isIgnored = filter.isRooIgnored(entryPath, entry.isDirectory());
+    const displayName = isIgnored ? `${LOCK_SYMBOL} ${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      listing.push(`${linePrefix}${displayName}/`);
+      continue;
+    }
+    listing.push(`${linePrefix}${displayName}`);
+    if (entry.isFile() && !isIgnored) {
+      try {
+        const content = await readTextFile(entryPath);
+        fileContents.push(`<file_content path="${path.posix.join(unescapedPath.split(path.sep).join('/'), entry.name)}">\n${content}\n</file_content>`);
+      } catch (error) {
+        // Binary or unreadable files are only listed
+      }
+    }
+  }
+
+  return `${listing.join('\n')}\n\n${fileContents.join('\n\n')}`.trim();
+}
+
+/**
+ * Read a file or folder given on the command line (--attach) into a <file_content> or
+ * <folder_content> block, the same format as an @-mention. Throws if the path can't be read.
+ */
+export async function readAttachment(attachPath, cwd = process.cwd()) {
+  const stats = await fs.stat(path.resolve(cwd, attachPath));
+  const filter = await createCodebaseFilter(cwd);
+  const content = await getFileOrFolderContent(attachPath, cwd, filter, false);
+  const tag = stats.isDirectory() ? 'folder_content' : 'file_content';
+  return `<${tag} path="${attachPath}">\n${content}\n</${tag}>`;
+}
+
+// Fetch a web page as text. Markup is stripped; there is no browser to render scripts.
+async function getUrlContent(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(URL_FETCH_TIMEOUT_MS), redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  let text = await response.text();
+  if ((response.headers.get('content-type') || '').includes('html')) {
+    text = text
+      .replace(/<(script|style|noscript|svg)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<\/(p|div|section|article|h[1-6]|li|tr|pre|br)>|<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n+/g, '\n\n')
+      .trim();
+  }
+
+  return text.length > URL_CONTENT_LIMIT ? `${text.slice(0, URL_CONTENT_LIMIT)}\n[...content truncated...]` : text;
+}
+
+// Text that replaces a mention inside the prompt
+function describeMention(mention) {
+  if (mention.startsWith('http')) {
+    return `'${mention}' (see below for site content)`;
+  }
+  if (mention.startsWith('/')) {
+    const mentionPath = mention.slice(1);
+    return mentionPath.endsWith('/')
+      ? `'${mentionPath}' (see below for folder content)`
+      : `'${mentionPath}' (see below for file content)`;
+  }
+  if (mention === 'problems') {
+    return 'Workspace Problems (see below for diagnostics)';
+  }
+  if (mention === 'git-changes') {
+    return 'Working directory changes (see below for details)';
+  }
+  if (COMMIT_HASH.test(mention)) {
+    return `Git commit '${mention}' (see below for commit info)`;
+  }
+  return 'Terminal Output (see below for output)';
+}
+
+// The block appended to the prompt for a mention. Failures are reported to the model inline.
+async function resolveMention(mention, cwd, filter, confine) {
+  // Prompts from the server's clients may only read the codebase: no fetching URLs for them,
+  // no commits from the repository's history
+  if (confine && (mention.startsWith('http') || COMMIT_HASH.test(mention))) {
+    const error = new Error('URL and commit mentions are not available through the server');
+    const block = mention.startsWith('http')
+      ? `<url_content url="${mention}">\n${error.message}\n</url_content>`
+      : `<git_commit hash="${mention}">\n${error.message}\n</git_commit>`;
+    return { block, error };
+  }
+
+  if (mention.startsWith('http')) {
+    try {
+      return { block: `<url_content url="${mention}">\n${await getUrlContent(mention)}\n</url_content>` };
+    } catch (error) {
+      return { block: `<url_content url="${mention}">\nError fetching content: ${error.message}\n</url_content>`, error };
+    }
+  }
+
+  if (mention.startsWith('/')) {
+    const mentionPath = mention.slice(1);
+    const tag = mention.endsWith('/') ? 'folder_content' : 'file_content';
+    try {
+      return { block: `<${tag} path="${mentionPath}">\n${await getFileOrFolderContent(mentionPath, cwd, filter, confine)}\n</${tag}>` };
+    } catch (error) {
+      return { block: `<${tag} path="${mentionPath}">\nError fetching content: ${error.message}\n</${tag}>`, error };
+    }
+  }
+
+  if (mention === 'problems') {
+    // Diagnostics come from VS Code's language servers, which the CLI doesn't run
+    const error = new Error('Workspace diagnostics are only available in the VS Code extension');
+    return { block: `<workspace_diagnostics>\n${error.message}\n</workspace_diagnostics>`, error };
+  }
+
+  if (mention === 'git-changes') {
+    try {
+      return { block: `<git_working_state>\n${await getWorkingState(cwd)}\n</git_working_state>` };
+    } catch (error) {
+      return { block: `<git_working_state>\nError fetching working state: ${error.message}\n</git_working_state>`, error };
+    }
+  }
+
+  if (COMMIT_HASH.test(mention)) {
+    try {
+      return { block: `<git_commit hash="${mention}">\n${await getCommitInfo(mention, cwd)}\n</git_commit>` };
+    } catch (error) {
+      return { block: `<git_commit hash="${mention}">\nError fetching commit info: ${error.message}\n</git_commit>`, error };
+    }
+  }
+
+  const error = new Error('Terminal output is only available in the VS Code extension');
+  return { block: `<terminal_output>\n${error.message}\n</terminal_output>`, error };
+}
+
+/**
+ * Expand @-mentions in a prompt. Each mention is replaced by a short reference and its
+ * content is appended below the text, in the same tags the extension uses. Paths are
+ * relative to cwd (the codebase). With `confine`, for prompts from elsewhere, paths that
+ * lead outside it (also through symlinks) are refused, and so are URL and commit mentions.
+ * Returns { text, mentions } where mentions lists { mention, error } for each distinct
+ * mention (error is null when it resolved).
+ */
+export async function parseMentions(text, cwd, { confine = false } = {}) {
+  const mentions = new Set();
+  let parsedText = text.replace(MENTION_PATTERN, (match, mention) => {
+    mentions.add(mention);
+    return describeMention(mention);
+  });
+
+  if (mentions.size === 0) {
+    return { text, mentions: [] };
+  }
+
+  const filter = cwd ? await createCodebaseFilter(cwd) : null;
+  const resolved = [];
+  for (const mention of mentions) {
+    const { block, error = null } = await resolveMention(mention, cwd, filter, confine);
+    parsedText += `\n\n${block}`;
+    resolved.push({ mention, error: error?.message || null });
+  }
+
+  return { text: parsedText, mentions: resolved };
+}
@@ -0,0 +1,34 @@
+// Context budgets, worked out from the model info the provider layer reports
+// (context window, output limit)
+
+// Share of the context window the prompt may fill by default
+export const DEFAULT_CONTEXT_WINDOW_FRACTION = 0.25;
+
+/**
+ * Tokens available for codebase context. The whole prompt may use up to `fraction`
+ * of the model's context window, and always leaves room for `maxTokens` of output;
+ * `usedTokens` (history, instructions, the question) comes off the top.
+ */
+export function getContextBudget(modelInfo, { maxTokens, fraction = DEFAULT_CONTEXT_WINDOW_FRACTION, usedTokens = 0 }) {
+  const promptLimit = Math.min(
+    Math.floor(modelInfo.contextWindow * fraction),
+    modelInfo.contextWindow - maxTokens
+  );
+  return Math.max(0, promptLimit - usedTokens);
+}
+
+// Budget for a CLI/server config: an explicit `contextBudget` (tokens) wins, otherwise it is
+// worked out from the configured model, `contextWindowFraction` and `maxTokens`.
+// `modelInfo` is the provider's own (getProviderModelInfo in provider.js).
+export function getConfiguredContextBudget(config, usedTokens, modelInfo) {
+  if (config.contextBudget) {
+    return config.contextBudget;
+  }
+  return getContextBudget(modelInfo, {
+    // A maxTokens as big as the context window means "no limit" (as in the extension's getModelMaxOutputTokens)
+    maxTokens: config.maxTokens
+      || (modelInfo.maxTokens !== modelInfo.contextWindow ? Math.max(modelInfo.maxTokens || 0, 0) : 0),
+    fraction: config.contextWindowFraction || DEFAULT_CONTEXT_WINDOW_FRACTION,
+    usedTokens
+  });
+}
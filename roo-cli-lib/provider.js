@@ -0,0 +1,470 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+// Requests go through the extension's provider layer (`buildApiHandler` in src/api), so every
+// provider the extension supports works here too, with the same ApiStream chunks and usage.
+// The layer is loaded from its standalone build, made by `pnpm --filter roo-cline bundle`.
+const STANDALONE_BUNDLE = fileURLToPath(new URL('../src/dist/standalone.js', import.meta.url));
+
+// Where the providers cache the model lists they fetch (OpenRouter, LiteLLM, Ollama, ...)
+const STORAGE_DIR = path.join(os.homedir(), '.roo-cli');
+
+// Providers need a system prompt (Anthropic rejects an empty one)
+export const DEFAULT_SYSTEM_PROMPT = 'You are Roo, a knowledgeable software engineer and helpful assistant.';
+
+// Tag around the codebase context at the start of a user message (see getUserMessage in personas.js)
+export const CONTEXT_TAG = 'codebase_context';
+
+// Providers the CLI configures itself (`provider` in the config, --setup), with the settings
+// fields that hold their key, model and server URL. "openai" is OpenAI's own API, while
+// "openai-compatible" is any server with an OpenAI-style API (the extension's "openai").
+const CLI_PROVIDERS = {
+  anthropic: { apiProvider: 'anthropic', keyField: 'apiKey', modelField: 'apiModelId' },
+  openai: { apiProvider: 'openai-native', keyField: 'openAiNativeApiKey', modelField: 'apiModelId' },
+  openrouter: { apiProvider: 'openrouter', keyField: 'openRouterApiKey', modelField: 'openRouterModelId' },
+  ollama: { apiProvider: 'ollama', modelField: 'ollamaModelId', baseUrlField: 'ollamaBaseUrl' },
+  lmstudio: { apiProvider: 'lmstudio', modelField: 'lmStudioModelId', baseUrlField: 'lmStudioBaseUrl' },
+  'openai-compatible': { apiProvider: 'openai', keyField: 'openAiApiKey', modelField: 'openAiModelId', baseUrlField: 'openAiBaseUrl', keyOptional: true }
+};
+
+// Servers on your own machine, where a model's context window depends on how it was loaded
+const LOCAL_PROVIDERS = ['ollama', 'lmstudio'];
+
+// For self-hosted models the server doesn't describe: a context window most local setups can serve
+const LOCAL_MODEL_INFO = {
+  contextWindow: 8192,
+  maxTokens: 2048,
+  supportsImages: false,
+  supportsPromptCache: false,
+  inputPrice: 0,
+  outputPrice: 0
+};
+
+// Providers that only exist inside the editor
+const VSCODE_ONLY_PROVIDERS = ['vscode-lm', 'human-relay'];
+
+let providerLayer;
+
+// Load the standalone build once. It also carries the extension's tool prompts (see agent.js).
+export async function loadProviderLayer() {
+  if (!providerLayer) {
+    if (!fs.existsSync(STANDALONE_BUNDLE)) {
+      throw new Error([
+        `The provider layer is not built: ${STANDALONE_BUNDLE} is missing.`,
+        'Talking to a model, counting tokens for the codebase context, the code map, --agent, --edit and --models all use the',
+        'extension\'s provider code from that bundle. Build it once from the repository root (and again after pulling changes):',
+        '  pnpm install && pnpm --filter roo-cline bundle'
+      ].join('\n'));
+    }
+    const require = createRequire(import.meta.url);
+    let bundle;
+    // Loading logs which translations were found; keep that out of the CLI's output.
+    // The require is synchronous, so nothing else can log while console is swapped
+    const { log, info } = console;
+    console.log = console.info = () => {};
+    try {
+      bundle = require(STANDALONE_BUNDLE);
+    } finally {
+      Object.assign(console, { log, info });
+    }
+    await bundle.initializeStorage(STORAGE_DIR);
+    providerLayer = bundle;
+  }
+  return providerLayer;
+}
+
+// Settings fields that hold a model ID (the extension's MODEL_ID_KEYS, less the LM Studio draft model)
+const MODEL_ID_FIELD = /^(?!lmStudioDraft)\w*ModelId$/;
+
+// The CLI provider a config uses, unless `providerSettings` picks the provider itself
+function getCliProvider(config) {
+  return config.providerSettings?.apiProvider ? null : CLI_PROVIDERS[config.provider];
+}
+
+/**
+ * The extension's ProviderSettings for a CLI/server config.
+ * `providerSettings` takes any provider profile as the extension stores it (apiProvider plus
+ * its fields). `provider`, `apiKey` and `baseUrl` cover the CLI's own providers, and `model`,
+ * `maxTokens` and `temperature` apply to any provider.
+ */
+export function toProviderSettings(config) {
+  const cliProvider = getCliProvider(config);
+  const settings = {
+    apiProvider: cliProvider ? cliProvider.apiProvider : config.provider,
+    modelMaxTokens: config.maxTokens,
+    modelTemperature: config.temperature,
+    ...(cliProvider?.keyField && config.apiKey ? { [cliProvider.keyField]: config.apiKey } : {}),
+    ...(cliProvider?.baseUrlField && config.baseUrl ? { [cliProvider.baseUrlField]: config.baseUrl } : {}),
+    ...config.providerSettings
+  };
+  if (config.model) {
+    // The model goes in whichever model ID field the provider uses
+    const modelField = cliProvider?.modelField || Object.keys(settings).find(key => MODEL_ID_FIELD.test(key)) || 'apiModelId';
+    settings[modelField] = config.model;
+  }
+  return settings;
+}
+
+// Provider and model names to show for a config
+export function getProviderLabel(config) {
+  const settings = toProviderSettings(config);
+  const modelField = Object.keys(settings).find(key => MODEL_ID_FIELD.test(key) && settings[key]);
+  return {
+    provider: config.providerSettings?.apiProvider || config.provider,
+    model: modelField ? settings[modelField] : 'default model'
+  };
+}
+
+// Whether a config has what its provider needs to authenticate (the extension's own check)
+export async function hasProviderCredentials(config) {
+  const { checkExistKey } = await loadProviderLayer();
+  const settings = toProviderSettings(config);
+  const cliProvider = getCliProvider(config);
+  // OpenAI-compatible servers on your own machine usually take any key, or none
+  return checkExistKey(settings) || !!(cliProvider?.keyOptional && settings[cliProvider.modelField]);
+}
+
+// Build the extension's ApiHandler for a config
+export async function createApiHandler(config) {
+  const settings = toProviderSettings(config);
+  if (!settings.apiProvider) {
+    throw new Error('No provider configured');
+  }
+  if (VSCODE_ONLY_PROVIDERS.includes(settings.apiProvider)) {
+    throw new Error(`The ${settings.apiProvider} provider is only available inside VS Code`);
+  }
+
+  const { buildApiHandler, providerNames } = await loadProviderLayer();
+  if (!providerNames.includes(settings.apiProvider)) {
+    throw new Error(`Unsupported provider: ${settings.apiProvider}`);
+  }
+  return buildApiHandler(settings);
+}
+
+/**
+ * Models the configured server offers, from its model list endpoint, as [{ id, info }] sorted by ID.
+ * Ollama and LM Studio describe each model (info has its context window); OpenAI-compatible
+ * servers only list IDs (info is null).
+ */
+export async function listModels(config) {
+  const settings = toProviderSettings(config);
+  const { getModels, getOpenAiModels } = await loadProviderLayer();
+  let models;
+  switch (settings.apiProvider) {
+    case 'ollama':
+      models = Object.entries(await getModels({ provider: 'ollama', baseUrl: settings.ollamaBaseUrl }));
+      break;
+    case 'lmstudio':
+      models = Object.entries(await getModels({ provider: 'lmstudio', baseUrl: settings.lmStudioBaseUrl }));
+      break;
+    case 'openai':
+      models = (await getOpenAiModels(settings.openAiBaseUrl, settings.openAiApiKey, settings.openAiHeaders)).map(id => [id, null]);
+      break;
+    default:
+      throw new Error(`Model discovery is not available for ${settings.apiProvider}`);
+  }
+  return models.map(([id, info]) => ({ id, info })).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Info (context window, output limit, prices) of the model a config uses, as its handler reports it.
+ * Local models are described by their server instead, falling back to LOCAL_MODEL_INFO, and
+ * `contextWindow` in the config overrides the window for any model.
+ */
+export async function getProviderModelInfo(config) {
+  const handler = await createApiHandler(config);
+  // Router providers (OpenRouter, LiteLLM, Ollama, ...) look their models up first
+  const model = typeof handler.fetchModel === 'function' ? await handler.fetchModel() : handler.getModel();
+  let info = model.info;
+
+  const settings = toProviderSettings(config);
+  if (LOCAL_PROVIDERS.includes(settings.apiProvider)) {
+    const models = await listModels(config);
+    info = models.find(({ id }) => id === model.id)?.info || LOCAL_MODEL_INFO;
+  } else if (getCliProvider(config)?.keyOptional && !settings.openAiCustomModelInfo) {
+    info = LOCAL_MODEL_INFO;
+  }
+
+  return config.contextWindow ? { ...info, contextWindow: config.contextWindow } : info;
+}
+
+function createAbortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Iterate an ApiStream until it ends or `signal` aborts. Handlers don't take a signal,
+// so cancelling stops reading and closes the stream once its pending chunk arrives.
+async function* readStream(stream, signal) {
+  const aborted = new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+    }
+    signal?.addEventListener('abort', () => reject(createAbortError()), { once: true });
+  });
+  aborted.catch(() => {});
+
+  try {
+    while (true) {
+      const { value, done } = await Promise.race([stream.next(), aborted]);
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    stream.return().catch(() => {});
+  }
+}
+
+// The text of a message, whose content is a string or a list of text blocks
+export function getMessageText(content) {
+  return typeof content === 'string' ? content : content.map(block => block.text ?? '').join('\n\n');
+}
+
+// Messages that start with the codebase context: every block but the last (the question) is context
+function isContextMessage({ content }) {
+  return Array.isArray(content) && content.length > 1 && content[0].text?.startsWith(`<${CONTEXT_TAG}>`);
+}
+
+// The API allows four cache breakpoints per request
+const MAX_CACHE_BREAKPOINTS = 4;
+
+/**
+ * Messages as handlers take them, without bookkeeping fields such as `ts` that sessions keep.
+ * With `cacheContext`, the blocks of the latest codebase context get cache breakpoints of their
+ * own, the most stable first, so later requests about the same codebase read them from the cache
+ * whatever the question. The Anthropic handler already marks the system prompt and the last two
+ * user messages, which leaves two breakpoints for a first question and one after that. Without
+ * `cacheContext`, text blocks are joined into a single string.
+ */
+function toProviderMessages(messages, cacheContext) {
+  const contextMessage = cacheContext ? messages.findLastIndex(isContextMessage) : -1;
+  const userMessages = messages.filter(({ role }) => role === 'user').length;
+  const breakpoints = MAX_CACHE_BREAKPOINTS - 1 - Math.min(userMessages, 2);
+  return messages.map(({ role, content }, index) => {
+    if (typeof content === 'string') {
+      return { role, content };
+    }
+    if (!cacheContext) {
+      return { role, content: getMessageText(content) };
+    }
+    return {
+      role,
+      content: content.map((block, blockIndex) => index === contextMessage && blockIndex < Math.min(breakpoints, content.length - 1)
+        ? { ...block, cache_control: { type: 'ephemeral' } }
+        : block)
+    };
+  });
+}
+
+/**
+ * The estimated price of a request in USD, for handlers that don't report one: the extension's
+ * cost functions with the model's prices. Anthropic-style APIs count cached tokens apart from
+ * the input tokens, OpenAI-style ones include them (the extension's getApiProtocol decides).
+ */
+async function estimateCost(config, handler, usage) {
+  const { calculateApiCostAnthropic, calculateApiCostOpenAI, getApiProtocol } = await loadProviderLayer();
+  const { id, info } = handler.getModel();
+  const calculateCost = getApiProtocol(toProviderSettings(config).apiProvider, id) === 'anthropic'
+    ? calculateApiCostAnthropic
+    : calculateApiCostOpenAI;
+  return calculateCost(info, usage.inputTokens, usage.outputTokens, usage.cacheWriteTokens, usage.cacheReadTokens);
+}
+
+// Retries of a failed request, per profile: how many after the first attempt, and the first
+// and longest delay between them in seconds. Config fields of the same names override them.
+export const DEFAULT_RETRY_SETTINGS = { maxRetries: 3, retryBaseDelay: 1, retryMaxDelay: 60 };
+
+// Network failures worth another try (the SDKs report them without an HTTP status)
+const TRANSIENT_NETWORK_ERROR = /connection error|timed? ?out|socket hang up|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE/i;
+
+// The HTTP status of a failed request. Some handlers wrap the SDK's error in their own,
+// keeping only its message ("OpenAI completion error: 429 Rate limit reached ...").
+function getErrorStatus(error) {
+  const status = error.status ?? error.cause?.status;
+  if (status) {
+    return Number(status);
+  }
+  const match = error.message?.match(/(?:^|: )([45]\d\d)\b/);
+  return match ? Number(match[1]) : null;
+}
+
+// A short description of a failed request: the status and the API's own message rather than the
+// raw response body the SDKs put in `message` ('529 {"type":"error","error":{...}}')
+function describeError(error) {
+  const status = getErrorStatus(error);
+  const detail = error.error?.error?.message ?? error.error?.message;
+  return status && typeof detail === 'string' ? `${status} ${detail}` : error.message;
+}
+
+// Rate limits (429), overloaded or failing servers (5xx, Anthropic's 529), timeouts and dropped connections
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_NETWORK_ERROR.test(`${error.code || ''} ${error.message || ''}`);
+}
+
+// How long the server asked us to wait, in seconds, or null if it didn't say
+function getRetryAfter(error) {
+  const headers = error.headers || error.response?.headers;
+  const header = name => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+
+  const milliseconds = Number(header('retry-after-ms'));
+  if (milliseconds > 0) {
+    return milliseconds / 1000;
+  }
+  const retryAfter = header('retry-after');
+  if (retryAfter) {
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds;
+    }
+    if (!Number.isNaN(date)) {
+      return Math.max(0, (date - Date.now()) / 1000);
+    }
+  }
+  // Gemini sends it in the error details, as the extension's Task reads it
+  const retryInfo = error.errorDetails?.find(detail => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo');
+  const match = retryInfo?.retryDelay?.match(/^(\d+(?:\.\d+)?)s$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Seconds to wait before retry number `retry` (1 for the first), or null to give up on this profile.
+ * Delays double from retryBaseDelay up to retryMaxDelay, with random jitter so parallel jobs
+ * don't retry in lockstep. A retry-after from the server is honored unless it is longer than
+ * retryMaxDelay, in which case the next fallback profile is tried instead.
+ */
+function getRetryDelay(config, retry, error) {
+  const maxRetries = config.maxRetries ?? DEFAULT_RETRY_SETTINGS.maxRetries;
+  const baseDelay = config.retryBaseDelay ?? DEFAULT_RETRY_SETTINGS.retryBaseDelay;
+  const maxDelay = config.retryMaxDelay ?? DEFAULT_RETRY_SETTINGS.retryMaxDelay;
+  if (retry > maxRetries || !isRetryableError(error)) {
+    return null;
+  }
+
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) {
+    return retryAfter <= maxDelay ? retryAfter : null;
+  }
+  const backoff = Math.min(maxDelay, baseDelay * 2 ** (retry - 1));
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+// Wait, unless `signal` aborts first
+function sleep(seconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(resolve, seconds * 1000);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  });
+}
+
+// One request to one provider. Failures are thrown as the handler reports them.
+async function requestOnce(config, messages, { systemPrompt, onText, signal }) {
+  const handler = await createApiHandler(config);
+  let text = '';
+  const usage = { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, reasoningTokens: 0, totalCost: undefined };
+
+  // Anthropic prompt caching, for the models that support it (as the handler decides)
+  const cacheContext = toProviderSettings(config).apiProvider === 'anthropic' && !!handler.getModel().info.supportsPromptCache;
+
+  const stream = handler.createMessage(systemPrompt, toProviderMessages(messages, cacheContext));
+  for await (const chunk of readStream(stream, signal)) {
+    switch (chunk.type) {
+      case 'text':
+        text += chunk.text;
+        onText(chunk.text);
+        break;
+      case 'usage':
+        // Providers may report usage in several chunks (e.g. input at the start, output at the end)
+        usage.inputTokens += chunk.inputTokens || 0;
+        usage.outputTokens += chunk.outputTokens || 0;
+        usage.cacheWriteTokens += chunk.cacheWriteTokens || 0;
+        usage.cacheReadTokens += chunk.cacheReadTokens || 0;
+        usage.reasoningTokens += chunk.reasoningTokens || 0;
+        usage.totalCost = chunk.totalCost ?? usage.totalCost;
+        break;
+      case 'error':
+        throw new Error(chunk.message || chunk.error);
+    }
+  }
+
+  usage.totalCost = usage.totalCost ?? await estimateCost(config, handler, usage);
+  return { text, usage };
+}
+
+/**
+ * Send a conversation through the provider layer, passing text through onText as it streams.
+ * Failed requests are retried with backoff (see getRetryDelay), then each config in `fallbacks`
+ * (e.g. from loadFallbackConfigs) is tried in turn. Only failures before the first streamed text
+ * are retried, since text already passed on can't be taken back. onRetry({ error, message, retry,
+ * delay, profile, provider, model }) is called before each wait and onFallback({ error, config })
+ * before switching to a fallback.
+ * Resolves to the full text, the usage totals of the stream's usage chunks
+ * ({ inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, reasoningTokens, totalCost }),
+ * every attempt made ([{ profile, provider, model, error }], error being null for the one that
+ * answered) and the config that answered. totalCost is the price the provider reports or,
+ * failing that, the estimate from the model's prices.
+ * A failure carries the attempts too (`error.attempts`).
+ */
+export async function sendMessage(config, messages, { systemPrompt = DEFAULT_SYSTEM_PROMPT, onText = () => {}, onRetry = () => {}, onFallback = () => {}, fallbacks = [], signal } = {}) {
+  const configs = [config, ...fallbacks];
+  const attempts = [];
+  let lastError;
+
+  for (const [index, attemptConfig] of configs.entries()) {
+    if (index > 0) {
+      onFallback({ error: lastError, config: attemptConfig });
+    }
+    for (let retry = 1; ; retry++) {
+      const attempt = { profile: attemptConfig.profile ?? null, ...getProviderLabel(attemptConfig), error: null };
+      attempts.push(attempt);
+      let streamed = false;
+      try {
+        const { text, usage } = await requestOnce(attemptConfig, messages, {
+          systemPrompt,
+          signal,
+          onText: (text) => {
+            streamed = true;
+            onText(text);
+          }
+        });
+        return { text, usage, attempts, config: attemptConfig };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+        attempt.error = describeError(error);
+        lastError = error;
+        if (streamed) {
+          throw Object.assign(new Error(`AI request failed: ${attempt.error}`), { attempts });
+        }
+        const delay = getRetryDelay(attemptConfig, retry, error);
+        if (delay === null) {
+          break;
+        }
+        onRetry({ error, message: attempt.error, retry, delay, profile: attempt.profile, provider: attempt.provider, model: attempt.model });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  const tries = attempts.length > 1 ? ` (${attempts.length} attempts)` : '';
+  throw Object.assign(new Error(`AI request failed${tries}: ${attempts[attempts.length - 1].error}`), { attempts });
+}
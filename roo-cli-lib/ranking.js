@@ -0,0 +1,277 @@
+import { countTokens } from './tokens.js';
+
+// Offline relevance ranking of codebase files against a prompt.
+// Scores combine BM25 over file contents with boosts for query terms that
+// appear in the file path or in identifiers the file defines.
+
+// BM25 tuning (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of a query term found in the path / in a defined identifier, relative to BM25
+const PATH_WEIGHT = 3;
+const IDENTIFIER_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'should', 'so',
+  'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'us', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'work', 'works', 'you', 'your', 'code', 'codebase',
+  'file', 'files', 'explain', 'tell', 'about', 'show', 'use', 'used', 'using'
+]);
+
+// Declarations across the languages in CODE_EXTENSIONS: function/class/def/fn/type/const ...
+const DECLARATION_PATTERN = /\b(?:function|class|interface|type|enum|struct|trait|def|func|fn|const|let|var|module)\s+([A-Za-z_$][\w$]*)/g;
+
+// Light suffix stripping so "tokens"/"token" and "validating"/"validated"/"validate" meet
+function stem(term) {
+  let stemmed = term;
+  if (stemmed.length > 5 && stemmed.endsWith('ies')) stemmed = `${stemmed.slice(0, -3)}y`;
+  else if (stemmed.length > 5 && stemmed.endsWith('ing')) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.length > 4 && stemmed.endsWith('ed')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) stemmed = stemmed.slice(0, -1);
+  if (stemmed.length > 4 && stemmed.endsWith('e')) stemmed = stemmed.slice(0, -1);
+  return stemmed;
+}
+
+// Split text into lowercase words, breaking camelCase, snake_case and kebab-case
+function splitWords(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Split text into stemmed search terms
+export function tokenize(text) {
+  return splitWords(text).map(stem);
+}
+
+// Terms of a name plus its unsplit words, so "rooignore" meets "RooIgnoreController"
+function getNameTerms(name) {
+  const words = name.split(/[^A-Za-z0-9]+/).map(word => word.toLowerCase()).filter(word => word.length > 1);
+  return [...new Set([...tokenize(name), ...words])];
+}
+
+// "auth" should match "authentication" and vice versa, but "id" shouldn't match "idle"
+function termsMatch(queryTerm, term) {
+  if (queryTerm === term) {
+    return true;
+  }
+  const shorter = Math.min(queryTerm.length, term.length);
+  return shorter >= 4 && (term.startsWith(queryTerm) || queryTerm.startsWith(term));
+}
+
+function getIdentifiers(content) {
+  const identifiers = new Set();
+  for (const match of content.matchAll(DECLARATION_PATTERN)) {
+    identifiers.add(match[1]);
+  }
+  return [...identifiers];
+}
+
+/**
+ * Rank documents ({ path, content }) against a query.
+ * Returns every document with a score and human-readable reasons, best first.
+ * Documents keep their original order when they tie (e.g. when the query has no usable terms).
+ */
+export function rankFiles(documents, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  // Report matches with the words the user typed rather than their stems
+  const queryWords = new Map(splitWords(query).reverse().map(word => [stem(word), word]));
+
+  const indexed = documents.map((document, order) => {
+    const terms = tokenize(document.content);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { ...document, order, length: terms.length, frequencies };
+  });
+
+  const averageLength = indexed.reduce((sum, document) => sum + document.length, 0) / (indexed.length || 1);
+  const documentFrequency = new Map(queryTerms.map(term => [
+    term,
+    indexed.filter(document => document.frequencies.has(term)).length
+  ]));
+
+  const ranked = indexed.map(document => {
+    let bm25 = 0;
+    let keywordHits = 0;
+    for (const term of queryTerms) {
+      const frequency = document.frequencies.get(term) || 0;
+      if (!frequency) {
+        continue;
+      }
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (indexed.length - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * (document.length / (averageLength || 1));
+      bm25 += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      keywordHits += frequency;
+    }
+
+    const pathTerms = getNameTerms(document.path);
+    const pathMatches = queryTerms.filter(queryTerm => pathTerms.some(term => termsMatch(queryTerm, term)));
+
+    const identifiers = getIdentifiers(document.content).filter(identifier => {
+      const identifierTerms = getNameTerms(identifier);
+      return queryTerms.some(queryTerm => identifierTerms.some(term => termsMatch(queryTerm, term)));
+    });
+    const identifierMatches = queryTerms.filter(queryTerm =>
+      identifiers.some(identifier => getNameTerms(identifier).some(term => termsMatch(queryTerm, term)))
+    );
+
+    const reasons = [];
+    if (pathMatches.length > 0) {
+      reasons.push(`path matches ${pathMatches.map(term => `"${queryWords.get(term)}"`).join(', ')}`);
+    }
+    if (identifiers.length > 0) {
+      reasons.push(`defines ${identifiers.slice(0, 3).join(', ')}${identifiers.length > 3 ? ', …' : ''}`);
+    }
+    if (keywordHits > 0) {
+      reasons.push(`${keywordHits} keyword hit${keywordHits === 1 ? '' : 's'}`);
+    }
+
+    return {
+      path: document.path,
+      content: document.content,
+      order: document.order,
+      score: bm25 + PATH_WEIGHT * pathMatches.length + IDENTIFIER_WEIGHT * identifierMatches.length,
+      reasons
+    };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+// Lines that start a top-level block: declarations, decorators and exports at column 0
+const TOP_LEVEL_BOUNDARY = /^(?:export\s+|async\s+|public\s+|private\s+|protected\s+|static\s+|pub\s+)*(?:function|class|interface|type|enum|struct|impl|trait|def|func|fn|const|let|var|module|namespace)\b|^@\w/;
+
+// Nested declarations (methods, inner functions) are boundaries when a top-level block is too big
+const NESTED_BOUNDARY = /^\s+(?:(?:public|private|protected|static|async|override|pub)\s+)*(?:function\b|def\b|func\b|fn\b|[A-Za-z_$][\w$]*\s*\([^)]*\)\s*(?::[^{]*)?\{\s*$)/;
+
+// Doc comments, line comments and decorators directly above a declaration
+const LEADING_COMMENT = /^\s*(?:\/\*\*?|\*|\/\/|#|@)/;
+
+// Indices of lines where a snippet may start or end without splitting a block,
+// from the best places to cut (top-level declarations) to the least good (any line after a blank one)
+function findBoundaries(lines) {
+  const topLevel = [];
+  const nested = [];
+  const paragraphs = [];
+  // A declaration's block starts at the doc comment or decorators above it
+  const withLeadingComments = index => {
+    while (index > 0 && LEADING_COMMENT.test(lines[index - 1])) {
+      index--;
+    }
+    return index;
+  };
+  lines.forEach((line, index) => {
+    const previousBlank = index === 0 || lines[index - 1].trim() === '';
+    if (TOP_LEVEL_BOUNDARY.test(line) || (previousBlank && /^\S/.test(line))) {
+      topLevel.push(withLeadingComments(index));
+    } else if (NESTED_BOUNDARY.test(line)) {
+      nested.push(withLeadingComments(index));
+    } else if (previousBlank && line.trim() !== '') {
+      paragraphs.push(index);
+    }
+  });
+  const sorted = list => [...new Set(list)].sort((a, b) => a - b);
+  const declarations = sorted([...topLevel, ...nested]);
+  return [sorted(topLevel), declarations, sorted([...declarations, ...paragraphs])];
+}
+
+/**
+ * Pick the part of a file most relevant to the query, within maxTokens.
+ * Small files are returned whole. Otherwise the window of lines with the most
+ * query-term hits is kept, widened or trimmed so that it starts and ends on
+ * function/class boundaries where possible and never in the middle of a line.
+ * Returns { text, startLine, endLine, totalLines, tokens, truncated }.
+ */
+export async function selectSnippet(content, query, maxTokens) {
+  const lines = content.split('\n');
+  const totalTokens = await countTokens(content);
+
+  if (totalTokens <= maxTokens) {
+    return { text: content, startLine: 1, endLine: lines.length, totalLines: lines.length, tokens: totalTokens, truncated: false };
+  }
+
+  const queryTerms = new Set(tokenize(query));
+  const hits = lines.map(line => tokenize(line).filter(term => queryTerms.has(term)).length);
+  const lineTokens = [];
+  for (const line of lines) {
+    lineTokens.push(await countTokens(`${line}\n`));
+  }
+  const tokensBetween = (start, end) => lineTokens.slice(start, end + 1).reduce((sum, tokens) => sum + tokens, 0);
+
+  // Slide a window that fits in maxTokens and keep the one with the most hits
+  let best = { start: 0, end: -1, hits: -1 };
+  let start = 0;
+  let tokens = 0;
+  let windowHits = 0;
+  for (let end = 0; end < lines.length; end++) {
+    tokens += lineTokens[end];
+    windowHits += hits[end];
+    while (tokens > maxTokens && start <= end) {
+      tokens -= lineTokens[start];
+      windowHits -= hits[start];
+      start++;
+    }
+    // Ties keep growing the current best window rather than jumping to a later one
+    if (start <= end && (windowHits > best.hits || (windowHits === best.hits && start === best.start))) {
+      best = { start, end, hits: windowHits };
+    }
+  }
+
+  if (best.end < best.start) {
+    // Not even one line fits
+    return { text: '', startLine: 1, endLine: 0, totalLines: lines.length, tokens: 0, truncated: true };
+  }
+
+  // Start at the enclosing block if the window still fits from there,
+  // otherwise at the first block that starts inside the window
+  const boundaries = findBoundaries(lines);
+  const enclosing = list => list.filter(index => index <= best.start).pop();
+  const firstInside = list => list.find(index => index > best.start && index <= best.end);
+  const blockStart = boundaries.map(enclosing).find(index => index !== undefined && tokensBetween(index, best.end) <= maxTokens)
+    ?? boundaries.map(firstInside).find(index => index !== undefined);
+  if (blockStart !== undefined) {
+    best.start = blockStart;
+  }
+
+  // Use the rest of the budget, then end just before the last block that doesn't fit whole
+  let end = best.start;
+  let used = lineTokens[end];
+  while (end + 1 < lines.length && used + lineTokens[end + 1] <= maxTokens) {
+    end++;
+    used += lineTokens[end];
+  }
+  if (end + 1 < lines.length) {
+    // Any block after the last matching line can go
+    let lastHit = best.end;
+    while (lastHit > best.start && hits[lastHit] === 0) {
+      lastHit--;
+    }
+    const lastBoundary = list => list.filter(index => index > lastHit && index <= end + 1).pop();
+    const cut = boundaries.map(lastBoundary).find(index => index !== undefined);
+    if (cut !== undefined) {
+      end = cut - 1;
+    }
+  }
+
+  // Don't end on trailing blank lines
+  while (end > best.start && lines[end].trim() === '') {
+    end--;
+  }
+
+  return {
+    text: lines.slice(best.start, end + 1).join('\n'),
+    startLine: best.start + 1,
+    endLine: end + 1,
+    totalLines: lines.length,
+    tokens: tokensBetween(best.start, end),
+    truncated: true
+  };
+}
@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import ignore from 'ignore';
+
+import { resolveToolPath } from './agent.js';
+import { addLineNumbers, createCodebaseFilter, getFileExtension, truncateToTokens } from './codebase.js';
+import { getCodeMap } from './codemap.js';
+import { describeChanges, getChangedFileContent, getChangedFiles, getDiff, getRepositoryRoot, verifyCommit } from './git.js';
+import { isBinaryFile } from './mentions.js';
+import { getUserMessage } from './personas.js';
+import { sendMessage } from './provider.js';
+import { countTokens } from './tokens.js';
+
+// Code review of git changes (`review`): the diff, the changed files in full and an outline of
+// the files next to them go to the model, which answers with findings as JSON. Findings point at
+// lines of the changed files' new content and can be printed, or written as JSON or SARIF.
+
+// Finding severities, which are also SARIF's result levels
+export const REVIEW_SEVERITIES = ['error', 'warning', 'note'];
+
+// Other words models use for severities
+const SEVERITY_ALIASES = {
+  critical: 'error', high: 'error', major: 'error', bug: 'error',
+  medium: 'warning', moderate: 'warning', minor: 'note', low: 'note', info: 'note', suggestion: 'note', nit: 'note'
+};
+
+// Shares of the context budget: the diff comes first, then the changed files, and the outline of
+// their neighbors gets what is left
+const DIFF_BUDGET_SHARE = 0.4;
+const CHANGED_FILES_BUDGET_SHARE = 0.75;
+
+// Files next to the changed ones that are outlined, and the biggest one read
+const MAX_NEIGHBOR_FILES = 30;
+const MAX_NEIGHBOR_FILE_SIZE = 256 * 1024;
+
+// Ground rules on top of the persona's system prompt
+const REVIEW_RULES = `====
+
+CODE REVIEW
+
+You are reviewing a change. <codebase_context> has its diff, the new content of the changed files with line numbers, and an outline of the files next to them. Look for bugs, security problems, missing error handling, performance problems and code that is hard to maintain. Only report problems in the change itself, with the line of the new content they are on; don't comment on code the change didn't touch, and don't praise.
+
+Answer with JSON only, no other text, in this form:
+{
+  "summary": "One or two sentences on what the change does and how it holds up",
+  "findings": [
+    {
+      "file": "path/as/in/the/diff.ts",
+      "line": 42,
+      "endLine": 44,
+      "severity": "error",
+      "category": "bug",
+      "message": "What is wrong and why it matters",
+      "suggestion": "How to fix it (optional)"
+    }
+  ]
+}
+
+- severity is "error" (a bug or security problem to fix before merging), "warning" (a likely problem or risk) or "note" (a smaller improvement).
+- category is one word: bug, security, performance, error-handling, maintainability, style or tests.
+- Use an empty findings list when there is nothing to report.`;
+
+// The review's system prompt: the persona's system prompt, then the review rules
+function getReviewSystemPrompt(systemPrompt) {
+  return `${systemPrompt}\n\n${REVIEW_RULES}`;
+}
+
+// Read the files in the folders of the changed files, for the outline
+async function getNeighborFiles(filter, changedPaths) {
+  const changed = new Set(changedPaths);
+  const dirs = [...new Set(changedPaths.map(filePath => path.posix.dirname(filePath)))];
+  const neighbors = [];
+  for (const dir of dirs) {
+    let entries;
+    try {
+      const dirPath = await resolveToolPath(filter, dir);
+      await filter.loadDirectory(dirPath);
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // The folder went with the change
+      continue;
+    }
+    for (const entry of entries) {
+      const relativePath = dir === '.' ? entry.name : `${dir}/${entry.name}`;
+      const fullPath = path.join(filter.rootPath, relativePath);
+      if (!entry.isFile() || changed.has(relativePath) || !filter.includesFile(fullPath)) {
+        continue;
+      }
+      try {
+        const stats = await fs.stat(fullPath);
+        if (stats.size > MAX_NEIGHBOR_FILE_SIZE || await isBinaryFile(fullPath)) {
+          continue;
+        }
+        neighbors.push({ path: relativePath, content: await fs.readFile(fullPath, 'utf8') });
+      } catch (error) {
+        continue;
+      }
+      if (neighbors.length >= MAX_NEIGHBOR_FILES) {
+        return neighbors;
+      }
+    }
+  }
+  return neighbors;
+}
+
+/**
+ * Collect the changes to review in the repository cwd is in: the working tree against HEAD, the
+ * staged changes ({ staged }) or the current branch's commits since `base` ({ base }).
+ * Files .rooignore denies or --exclude globs match are left out, diff included.
+ * Resolves to { root, scope, files: [{ path, status, included }], skipped, outlined, context, tokens },
+ * where context is the text for <codebase_context> within `budget` tokens, `included` says whether
+ * a file was sent in full and outlined lists the nearby files in the outline.
+ */
+export async function collectReviewChanges(cwd, { staged = false, base = null, include = [], exclude = [], budget }) {
+  const root = await getRepositoryRoot(cwd);
+  if (base) {
+    await verifyCommit(root, base);
+  }
+  const range = { staged, base };
+  const filter = await createCodebaseFilter(root, { include, exclude });
+  const excludeMatcher = exclude.length > 0 ? ignore().add(exclude) : null;
+
+  const files = [];
+  const skipped = [];
+  for (const file of await getChangedFiles(root, range)) {
+    if (filter.isRooIgnored(path.join(root, file.path)) || excludeMatcher?.ignores(file.path)) {
+      skipped.push(file.path);
+    } else {
+      files.push({ ...file, included: false });
+    }
+  }
+  const scope = describeChanges(range);
+  if (files.length === 0) {
+    return { root, scope, files, skipped, outlined: [], context: '', tokens: 0 };
+  }
+
+  const sections = [];
+  let remaining = budget;
+
+  const diff = await truncateToTokens((await getDiff(root, range, files.map(file => file.path))).trimEnd(), Math.floor(budget * DIFF_BUDGET_SHARE));
+  sections.push(`## Diff (${scope}):\n\`\`\`diff\n${diff.text}${diff.truncated ? '\n[...diff truncated...]' : ''}\n\`\`\`\n`);
+  remaining -= await countTokens(sections[0]);
+
+  // The new content of each changed file, as long as it fits
+  const changedFiles = [];
+  let filesBudget = Math.floor(remaining * CHANGED_FILES_BUDGET_SHARE);
+  for (const file of files) {
+    const content = file.status === 'D' ? null : await getChangedFileContent(root, file.path, range);
+    if (content === null || content.includes('\0')) {
+      continue;
+    }
+    const section = `### ${file.path}:\n\`\`\`${getFileExtension(file.path)}\n${addLineNumbers(content).trimEnd()}\n\`\`\``;
+    const tokens = await countTokens(section);
+    if (tokens > filesBudget) {
+      continue;
+    }
+    filesBudget -= tokens;
+    changedFiles.push(section);
+    file.included = true;
+  }
+  if (changedFiles.length > 0) {
+    sections.push(`## Changed Files (new content):\n${changedFiles.join('\n\n')}\n`);
+    remaining -= await countTokens(sections[sections.length - 1]);
+  }
+
+  // An outline of the files in the same folders, so the model knows what the changed code works with
+  const header = '## Outline of Nearby Files (line ranges and first line of each definition):\n';
+  const neighbors = await getNeighborFiles(filter, files.map(file => file.path));
+  const map = await getCodeMap(neighbors, remaining - await countTokens(header));
+  if (map.text) {
+    sections.push(`${header}${map.text}\n`);
+  }
+
+  const context = sections.join('\n');
+  return { root, scope, files, skipped, outlined: map.files, context, tokens: await countTokens(context) };
+}
+
+// A finding's path as it appears in the diff
+function normalizeFindingPath(filePath) {
+  return String(filePath).trim().replace(/^(?:[ab]\/|\.\/)/, '').replace(/\\/g, '/');
+}
+
+// A positive line number, or null
+function toLine(value) {
+  const line = Number(value);
+  return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+/**
+ * Parse the model's review, taking the JSON object out of any surrounding text or code fence.
+ * Resolves to { summary, findings: [{ file, line, endLine, severity, category, message, suggestion }] };
+ * findings without a file or message are dropped.
+ */
+export function parseReview(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let review;
+  try {
+    review = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error('The model\'s review is not valid JSON');
+  }
+
+  const findings = (Array.isArray(review.findings) ? review.findings : []).flatMap((finding) => {
+    if (!finding || !finding.file || !finding.message) {
+      return [];
+    }
+    const severity = String(finding.severity || '').toLowerCase();
+    const line = toLine(finding.line);
+    const endLine = toLine(finding.endLine);
+    return [{
+      file: normalizeFindingPath(finding.file),
+      line,
+      endLine: line && endLine && endLine > line ? endLine : null,
+      severity: REVIEW_SEVERITIES.includes(severity) ? severity : SEVERITY_ALIASES[severity] || 'warning',
+      category: String(finding.category || 'general').toLowerCase().trim().replace(/\s+/g, '-'),
+      message: String(finding.message).trim(),
+      suggestion: finding.suggestion ? String(finding.suggestion).trim() : null
+    }];
+  });
+  // Most severe first, then in file order
+  findings.sort((a, b) => REVIEW_SEVERITIES.indexOf(a.severity) - REVIEW_SEVERITIES.indexOf(b.severity)
+    || a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+  return { summary: typeof review.summary === 'string' ? review.summary.trim() : '', findings };
+}
+
+/**
+ * Ask for a review of collected changes (see collectReviewChanges).
+ * systemPrompt is the persona's (see getSystemPrompt, without the persona's output format, since
+ * the review has one of its own); `focus` is added to the request. Other options (fallbacks,
+ * signal, onRetry, onFallback) go to sendMessage.
+ * Resolves to sendMessage's response plus the parsed review: { summary, findings }.
+ */
+export async function requestReview(config, changes, { systemPrompt, focus = '', ...requestOptions }) {
+  const request = `Review the ${changes.scope} in <codebase_context>.${focus ? `\n\n${focus}` : ''}`;
+  const messages = [{ role: 'user', content: getUserMessage(changes.context, request) }];
+  const response = await sendMessage(config, messages, { ...requestOptions, systemPrompt: getReviewSystemPrompt(systemPrompt) });
+  try {
+    return { ...response, ...parseReview(response.text) };
+  } catch (error) {
+    throw Object.assign(error, { attempts: response.attempts, text: response.text });
+  }
+}
+
+/**
+ * A SARIF 2.1.0 log of a review's findings, for code scanning and annotation tools. Each category
+ * is a rule, severities are result levels and file paths are relative to the repository root.
+ */
+export function formatSarif({ findings }, { root, toolName = 'roo-cli review' }) {
+  const categories = [...new Set(findings.map(finding => finding.category))];
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName,
+          rules: categories.map(category => ({ id: category, name: category, shortDescription: { text: `Review finding: ${category}` } }))
+        }
+      },
+      originalUriBaseIds: { SRCROOT: { uri: pathToFileURL(`${root}/`).href } },
+      results: findings.map(finding => ({
+        ruleId: finding.category,
+        ruleIndex: categories.indexOf(finding.category),
+        level: finding.severity,
+        message: { text: finding.suggestion ? `${finding.message}\n\nSuggestion: ${finding.suggestion}` : finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file, uriBaseId: 'SRCROOT' },
+            ...(finding.line && { region: { startLine: finding.line, ...(finding.endLine && { endLine: finding.endLine }) } })
+          }
+        }]
+      }))
+    }]
+  };
+}
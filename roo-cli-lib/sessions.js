@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// Sessions live next to the other CLI state, one directory per session
+export const SESSIONS_DIR = path.join(os.homedir(), '.roo-cli', 'sessions');
+
+// File names inside a session directory. The conversation history uses the same
+// name and message shape as the extension's task persistence (api_conversation_history.json)
+const SESSION_FILES = {
+  apiConversationHistory: 'api_conversation_history.json',
+  transcript: 'transcript.json',
+  metadata: 'session.json'
+};
+
+// Session names become directory names, so keep them to a safe character set
+export function validateSessionName(name) {
+  if (!name || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid session name "${name}". Use letters, numbers, ".", "-" and "_".`);
+  }
+  return name;
+}
+
+function getSessionDir(name) {
+  return path.join(SESSIONS_DIR, validateSessionName(name));
+}
+
+// Write JSON through a temporary file so an interrupted write never leaves a truncated session
+async function writeJson(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+// Create an empty, unsaved session. Without a name the session is never written to disk.
+export function createSession(name, { persona, codebasePath, profile = null, provider, model }) {
+  const now = Date.now();
+  return {
+    name: name ? validateSessionName(name) : null,
+    createdAt: now,
+    ts: now,
+    persona,
+    codebasePath,
+    profile,
+    provider,
+    model,
+    tokensIn: 0,
+    tokensOut: 0,
+    cacheWrites: 0,
+    cacheReads: 0,
+    totalCost: 0,
+    history: [],
+    transcript: []
+  };
+}
+
+// Load a session from disk, or return null if it doesn't exist
+export async function loadSession(name) {
+  const sessionDir = getSessionDir(name);
+  const metadata = await readJson(path.join(sessionDir, SESSION_FILES.metadata), null);
+
+  if (!metadata) {
+    return null;
+  }
+
+  return {
+    ...metadata,
+    history: await readJson(path.join(sessionDir, SESSION_FILES.apiConversationHistory), []),
+    transcript: await readJson(path.join(sessionDir, SESSION_FILES.transcript), [])
+  };
+}
+
+// Persist a session's history, transcript and metadata
+export async function saveSession(session) {
+  const sessionDir = getSessionDir(session.name);
+  const metadata = {
+    name: session.name,
+    createdAt: session.createdAt,
+    ts: Date.now(),
+    persona: session.persona,
+    codebasePath: session.codebasePath,
+    profile: session.profile,
+    provider: session.provider,
+    model: session.model,
+    tokensIn: session.tokensIn,
+    tokensOut: session.tokensOut,
+    cacheWrites: session.cacheWrites,
+    cacheReads: session.cacheReads,
+    totalCost: session.totalCost
+  };
+
+  await fs.mkdir(sessionDir, { recursive: true });
+  await writeJson(path.join(sessionDir, SESSION_FILES.apiConversationHistory), session.history);
+  await writeJson(path.join(sessionDir, SESSION_FILES.transcript), session.transcript);
+  await writeJson(path.join(sessionDir, SESSION_FILES.metadata), metadata);
+}
+
+// List the metadata of all saved sessions, most recently used first
+export async function listSessions() {
+  let entries;
+  try {
+    entries = await fs.readdir(SESSIONS_DIR, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const metadata = await readJson(path.join(SESSIONS_DIR, entry.name, SESSION_FILES.metadata), null).catch(() => null);
+    if (metadata) {
+      const transcript = await readJson(path.join(SESSIONS_DIR, entry.name, SESSION_FILES.transcript), []).catch(() => []);
+      sessions.push({ ...metadata, turns: transcript.filter(message => message.role === 'user').length });
+    }
+  }
+
+  return sessions.sort((a, b) => b.ts - a.ts);
+}
+
+// Delete a session, returning false if it didn't exist
+export async function deleteSession(name) {
+  const sessionDir = getSessionDir(name);
+  try {
+    await fs.access(sessionDir);
+  } catch (error) {
+    return false;
+  }
+  await fs.rm(sessionDir, { recursive: true, force: true });
+  return true;
+}
@@ -0,0 +1,14 @@
+import { loadProviderLayer } from './provider.js';
+
+// Count the tokens in a piece of text with the extension's counter
+// (src/utils/tiktoken.ts), so the CLI budgets context the way the extension counts it
+export async function countTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  // The extension's encoder rejects special tokens such as <|endoftext|>;
+  // a file that mentions one is counted as ordinary text instead
+  const { tiktoken } = await loadProviderLayer();
+  return tiktoken([{ type: 'text', text: text.replace(/<\|(\w+)\|>/g, '<| $1 |>') }]);
+}
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    globals: true,
+    watch: false,
+    setupFiles: ['./__tests__/setup.js'],
+    testTimeout: 20_000
+  }
+});
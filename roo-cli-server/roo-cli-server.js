@@ -1,20 +1,23 @@
 #!/usr/bin/env node
 
 import express from 'express';
-import { Anthropic } from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { QdrantClient } from '@qdrant/js-client-rest';
 import crypto from 'crypto';
+import { CODE_EXTENSIONS, DEFAULT_CONTEXT_OPTIONS, createCodebaseFilter, getAllFiles, getCodebaseContext, getFileExtension } from '../roo-cli-lib/codebase.js';
+import { loadConfig as loadProfileConfig, loadFallbackConfigs, readConfigFile, getProfiles } from '../roo-cli-lib/config.js';
+import { parseMentions } from '../roo-cli-lib/mentions.js';
+import { DEFAULT_PERSONA, getPersona, getSystemPrompt, getUserMessage, loadPersonas } from '../roo-cli-lib/personas.js';
+import { getConfiguredContextBudget } from '../roo-cli-lib/models.js';
+import { sendMessage as sendToProvider, getProviderLabel, getProviderModelInfo, hasProviderCredentials } from '../roo-cli-lib/provider.js';
+import { countTokens } from '../roo-cli-lib/tokens.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configuration
-const CONFIG_FILE = path.join(os.homedir(), '.roo-cli-config.json');
-
 // Default models (same as Roo Code)
 const DEFAULT_MODELS = {
   anthropic: 'claude-3-5-sonnet-20241022',
@@ -22,13 +25,6 @@ const DEFAULT_MODELS = {
   openrouter: 'anthropic/claude-3-5-sonnet-20241022'
 };
 
-// Code file extensions to include
-const CODE_EXTENSIONS = [
-  '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', '.php', 
-  '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', '.css', '.scss',
-  '.json', '.yaml', '.yml', '.toml', '.md', '.txt', '.sh', '.bash', '.zsh'
-];
-
 // Indexing configuration
 const INDEXING_CONFIG = {
   qdrantUrl: process.env.QDRANT_URL || 'http://localhost:6333',
@@ -45,24 +41,30 @@ let openaiClient = null;
 let isIndexing = false;
 let indexedCodebases = new Set();
 
-// Load configuration
-async function loadConfig() {
-  try {
-    const configData = await fs.readFile(CONFIG_FILE, 'utf8');
-    return JSON.parse(configData);
-  } catch (error) {
-    // Return default config if file doesn't exist
-    return {
-      provider: 'anthropic',
-      apiKey: null,
-      model: DEFAULT_MODELS.anthropic,
-      temperature: 0.7,
-      maxTokens: 4096,
-      codebasePath: null,
-      openaiApiKey: null, // For embeddings
-      qdrantUrl: INDEXING_CONFIG.qdrantUrl
-    };
-  }
+// Token usage and spending per day and profile, kept across restarts so the daily budget holds
+const USAGE_FILE = path.join(os.homedir(), '.roo-cli', 'server-usage.json');
+const USAGE_HISTORY_DAYS = 30;
+let usageLedger = null;
+
+// Cost (USD) reserved per profile for requests still in progress, so parallel requests
+// can't all pass the daily budget check on the same spending
+const reservedCost = new Map();
+
+// Budget checks and usage file updates run one at a time, in this queue
+let usageUpdates = Promise.resolve();
+
+// Load configuration (shared with the CLI) for a profile, or the default profile
+async function loadConfig(profileName = null) {
+  return loadProfileConfig(profileName, {
+    provider: 'anthropic',
+    apiKey: null,
+    model: DEFAULT_MODELS.anthropic,
+    temperature: 0.7,
+    maxTokens: 4096,
+    codebasePath: null,
+    openaiApiKey: null, // For embeddings
+    qdrantUrl: INDEXING_CONFIG.qdrantUrl
+  });
 }
 
 // Initialize Qdrant client
@@ -211,34 +213,8 @@ async function indexFile(filePath, codebasePath) {
   }
 }
 
-// Recursively get all files in directory
-async function getAllFiles(dirPath, arrayOfFiles = []) {
-  try {
-    const files = await fs.readdir(dirPath);
-    
-    for (const file of files) {
-      if (file.startsWith('.') || file === 'node_modules' || file === '.git') {
-        continue;
-      }
-      
-      const fullPath = path.join(dirPath, file);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isDirectory()) {
-        arrayOfFiles = await getAllFiles(fullPath, arrayOfFiles);
-      } else {
-        arrayOfFiles.push(fullPath);
-      }
-    }
-  } catch (error) {
-    // Skip directories that can't be read
-  }
-  
-  return arrayOfFiles;
-}
-
 // Index entire codebase
-async function indexCodebase(codebasePath) {
+async function indexCodebase(codebasePath, { include = [], exclude = [] } = {}) {
   if (isIndexing) {
     throw new Error('Indexing already in progress');
   }
@@ -256,8 +232,9 @@ async function indexCodebase(codebasePath) {
     await initializeQdrant();
     await initializeOpenAI(config);
     
-    // Get all files
-    const allFiles = await getAllFiles(codebasePath);
+    // Get all files that .gitignore, .rooignore and the include/exclude globs let through
+    const filter = await createCodebaseFilter(codebasePath, { include, exclude });
+    const allFiles = await getAllFiles(codebasePath, filter);
     const codeFiles = allFiles.filter(file => {
       const ext = path.extname(file);
       return CODE_EXTENSIONS.includes(ext);
@@ -352,129 +329,6 @@ async function searchCodebase(query, codebasePath = null, limit = 10) {
   }
 }
 
-// Get key files content
-async function getKeyFiles(rootPath) {
-  const keyFiles = [];
-  const importantFiles = [
-    'package.json', 'README.md', 'requirements.txt', 'Cargo.toml', 'go.mod',
-    'pom.xml', 'build.gradle', 'Gemfile', 'composer.json', 'pyproject.toml'
-  ];
-  
-  try {
-    const items = await fs.readdir(rootPath);
-    
-    for (const item of items) {
-      if (importantFiles.includes(item)) {
-        try {
-          const content = await fs.readFile(path.join(rootPath, item), 'utf8');
-          keyFiles.push(`### ${item}:\n\`\`\`\n${content.slice(0, 1000)}${content.length > 1000 ? '\n...' : ''}\n\`\`\``);
-        } catch (error) {
-          // Skip files that can't be read
-        }
-      }
-    }
-  } catch (error) {
-    // Directory might not exist
-  }
-  
-  return keyFiles;
-}
-
-// Get relevant code files content
-async function getCodeFiles(rootPath, maxFiles = 10) {
-  const codeFiles = [];
-  
-  try {
-    const allFiles = await getAllFiles(rootPath);
-    const relevantFiles = allFiles
-      .filter(file => {
-        const ext = path.extname(file);
-        return CODE_EXTENSIONS.includes(ext) && !file.includes('node_modules') && !file.includes('.git');
-      })
-      .slice(0, maxFiles);
-    
-    for (const file of relevantFiles) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const relativePath = path.relative(rootPath, file);
-        codeFiles.push(`### ${relativePath}:\n\`\`\`${getFileExtension(file)}\n${content.slice(0, 2000)}${content.length > 2000 ? '\n...' : ''}\n\`\`\``);
-      } catch (error) {
-        // Skip files that can't be read
-      }
-    }
-  } catch (error) {
-    // Directory might not exist
-  }
-  
-  return codeFiles;
-}
-
-// Get file extension for syntax highlighting
-function getFileExtension(filePath) {
-  const ext = path.extname(filePath);
-  const extMap = {
-    '.js': 'javascript',
-    '.ts': 'typescript',
-    '.jsx': 'javascript',
-    '.tsx': 'typescript',
-    '.py': 'python',
-    '.java': 'java',
-    '.cpp': 'cpp',
-    '.c': 'c',
-    '.cs': 'csharp',
-    '.php': 'php',
-    '.rb': 'ruby',
-    '.go': 'go',
-    '.rs': 'rust',
-    '.swift': 'swift',
-    '.kt': 'kotlin',
-    '.scala': 'scala',
-    '.html': 'html',
-    '.css': 'css',
-    '.scss': 'scss',
-    '.json': 'json',
-    '.yaml': 'yaml',
-    '.yml': 'yaml',
-    '.toml': 'toml',
-    '.md': 'markdown',
-    '.txt': 'text',
-    '.sh': 'bash',
-    '.bash': 'bash',
-    '.zsh': 'bash'
-  };
-  return extMap[ext] || 'text';
-}
-
-// Get codebase context
-async function getCodebaseContext(codebasePath) {
-  if (!codebasePath) return '';
-  
-  try {
-    const context = [];
-    
-    // Get directory structure
-    const structure = await getDirectoryStructure(codebasePath);
-    context.push(`## Directory Structure:\n${structure}\n`);
-    
-    // Get key files content
-    const keyFiles = await getKeyFiles(codebasePath);
-    if (keyFiles.length > 0) {
-      context.push(`## Key Files:\n${keyFiles.join('\n\n')}\n`);
-    }
-    
-    // Get actual code files content
-    const codeFiles = await getCodeFiles(codebasePath);
-    if (codeFiles.length > 0) {
-      context.push(`## Code Files:\n${codeFiles.join('\n\n')}\n`);
-    }
-    
-    return context.join('\n');
-  } catch (error) {
-    console.warn(`Warning: Could not read codebase context: ${error.message}`);
-    return '';
-  }
-}
-
 // Get indexed codebase context (using vector search)
 async function getIndexedCodebaseContext(query, codebasePath) {
   if (!codebasePath) return '';
@@ -506,226 +360,207 @@ async function getIndexedCodebaseContext(query, codebasePath) {
   }
 }
 
-// Get directory structure
-async function getDirectoryStructure(rootPath, maxDepth = 3, currentDepth = 0) {
-  if (currentDepth > maxDepth) return '';
-  
+// The day usage is recorded under, as YYYY-MM-DD in the server's time zone
+function getUsageDay(date = new Date()) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+// Usage is recorded under the profile's name; a config file without profiles counts as "default"
+function getUsageKey(config) {
+  return config.profile || 'default';
+}
+
+// The daily budget in USD for a config (`dailyBudget`, shared or per profile), or null for none
+function getDailyBudget(config) {
+  if (config.dailyBudget === undefined || config.dailyBudget === null) {
+    return null;
+  }
+  const budget = Number(config.dailyBudget);
+  if (!(budget > 0)) {
+    throw new Error(`dailyBudget must be a positive amount in USD, not "${config.dailyBudget}"`);
+  }
+  return budget;
+}
+
+async function readUsageLedger() {
   try {
-    const items = await fs.readdir(rootPath);
-    const structure = [];
-    
-    for (const item of items.slice(0, 20)) { // Limit to 20 items per directory
-      const itemPath = path.join(rootPath, item);
-      const stats = await fs.stat(itemPath);
-      
-      if (stats.isDirectory()) {
-        if (!item.startsWith('.') && !item.startsWith('node_modules')) {
-          const subStructure = await getDirectoryStructure(itemPath, maxDepth, currentDepth + 1);
-          structure.push(`${'  '.repeat(currentDepth)}📁 ${item}/`);
-          if (subStructure) {
-            structure.push(subStructure);
-          }
-        }
-      } else if (stats.isFile()) {
-        const ext = path.extname(item);
-        if (CODE_EXTENSIONS.includes(ext) || item === 'package.json' || item === 'README.md') {
-          structure.push(`${'  '.repeat(currentDepth)}📄 ${item}`);
-        }
-      }
-    }
-    
-    return structure.join('\n');
+    return JSON.parse(await fs.readFile(USAGE_FILE, 'utf8'));
   } catch (error) {
-    return '';
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: Could not read ${USAGE_FILE}: ${error.message}`);
+    }
+    return {};
   }
 }
 
-// Create AI client based on provider
-function createClient(config) {
-  switch (config.provider) {
-    case 'anthropic':
-      return new Anthropic({
-        apiKey: config.apiKey,
-      });
-    case 'openai':
-      return new OpenAI({
-        apiKey: config.apiKey,
-      });
-    case 'openrouter':
-      return new OpenAI({
-        baseURL: 'https://openrouter.ai/api/v1',
-        apiKey: config.apiKey,
-        defaultHeaders: {
-          'HTTP-Referer': 'https://roo-cli.com',
-          'X-Title': 'Roo CLI'
-        }
-      });
-    default:
-      throw new Error(`Unsupported provider: ${config.provider}`);
+// The ledger is read once; concurrent first callers share the same read
+async function loadUsageLedger() {
+  usageLedger = usageLedger || readUsageLedger();
+  return usageLedger;
+}
+
+// Run `update` with the ledger once the updates queued before it are done
+function updateUsageLedger(update) {
+  const result = usageUpdates.then(async () => update(await loadUsageLedger()));
+  usageUpdates = result.catch(() => {});
+  return result;
+}
+
+// A profile's totals for a day (today by default)
+async function getDailyUsage(key, day = getUsageDay()) {
+  const ledger = await loadUsageLedger();
+  return ledger[day]?.[key] || { requests: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, cost: 0 };
+}
+
+// Upper bound on what a request costs: a full context and the prompt in, maxTokens out
+async function estimateRequestCost(config, prompt) {
+  const modelInfo = await getProviderModelInfo(config);
+  const inputTokens = getConfiguredContextBudget(config, 0, modelInfo) + await countTokens(prompt);
+  const outputTokens = config.maxTokens || Math.max(modelInfo.maxTokens || 0, 0);
+  return (inputTokens * (modelInfo.inputPrice || 0) + outputTokens * (modelInfo.outputPrice || 0)) / 1_000_000;
+}
+
+// Today's spending for a profile plus what requests in progress have reserved
+async function getCommittedCost(key) {
+  return (await getDailyUsage(key)).cost + (reservedCost.get(key) || 0);
+}
+
+/**
+ * Reserve a request's estimated `cost` against its profile's daily budget, before it is sent.
+ * Rejects with a 429 error when the spending so far, the reservations of requests in progress
+ * and this request would go over the budget. Resolves to the reservation, which recordUsage
+ * (or releaseBudget, when the request fails) hands back.
+ */
+async function reserveBudget(config, cost) {
+  const key = getUsageKey(config);
+  const budget = getDailyBudget(config);
+  return updateUsageLedger(async () => {
+    const spent = (await getDailyUsage(key)).cost;
+    const inProgress = reservedCost.get(key) || 0;
+    if (budget !== null && spent >= budget) {
+      throw Object.assign(new Error(`The daily budget of $${budget} for profile "${key}" is used up ($${spent.toFixed(4)} spent today). Requests are accepted again tomorrow.`), { status: 429 });
+    }
+    if (budget !== null && spent + inProgress + cost > budget) {
+      throw Object.assign(new Error(`The daily budget of $${budget} for profile "${key}" doesn't cover this request: $${spent.toFixed(4)} spent today, $${inProgress.toFixed(4)} reserved for requests in progress and up to $${cost.toFixed(4)} for this one.`), { status: 429 });
+    }
+    reservedCost.set(key, inProgress + cost);
+    return { key, cost };
+  });
+}
+
+function cancelReservation({ key, cost }) {
+  const remaining = (reservedCost.get(key) || 0) - cost;
+  if (remaining > 0) {
+    reservedCost.set(key, remaining);
+  } else {
+    reservedCost.delete(key);
   }
 }
 
-// Get persona-specific prompt
-function getPersonaPrompt(persona, codebaseContext, userPrompt) {
-  const basePrompt = codebaseContext ? 
-    `You are an AI assistant helping with a codebase. Here is the context about the codebase:
+// Give back a failed request's reservation
+async function releaseBudget(reservation) {
+  return updateUsageLedger(() => cancelReservation(reservation));
+}
 
-${codebaseContext}
-
-Now, please answer this question about the codebase:
+// Add a request's usage to today's totals for a profile and give back its reservation,
+// in one update of the usage file. Resolves to the profile's new totals.
+async function recordUsage(key, usage, reservation) {
+  return updateUsageLedger(async ledger => {
+    cancelReservation(reservation);
+    const day = getUsageDay();
+    const totals = { ...(await getDailyUsage(key, day)) };
+    totals.requests += 1;
+    totals.inputTokens += usage.inputTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.cacheWriteTokens += usage.cacheWriteTokens;
+    totals.cacheReadTokens += usage.cacheReadTokens;
+    totals.cost += usage.totalCost || 0;
+    ledger[day] = { ...ledger[day], [key]: totals };
+    
+    // Keep the last USAGE_HISTORY_DAYS days
+    for (const oldDay of Object.keys(ledger).sort().slice(0, -USAGE_HISTORY_DAYS)) {
+      delete ledger[oldDay];
+    }
+    try {
+      await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+      await fs.writeFile(USAGE_FILE, JSON.stringify(ledger, null, 2));
+    } catch (error) {
+      console.warn(`Warning: Could not save usage to ${USAGE_FILE}: ${error.message}`);
+    }
+    return totals;
+  });
+}
 
-${userPrompt}` : userPrompt;
-
-  switch (persona) {
-    case 'salesperson':
-      return `${basePrompt}
-
-IMPORTANT: Respond like a professional salesperson trying to sell this product to a potential customer:
-1. Focus on business value, benefits, and ROI
-2. Use persuasive, enthusiastic language
-3. Highlight key features and competitive advantages
-4. Address potential customer pain points
-5. Include specific benefits and use cases
-6. Be conversational and engaging
-7. Reference specific features from the codebase when relevant
-8. Avoid overly technical jargon unless explaining benefits
-
-Make it sound like you're genuinely excited about this product and its value to the customer.`;
-
-    case 'executive':
-      return `${basePrompt}
-
-IMPORTANT: Respond like a business executive presenting to stakeholders:
-1. Focus on strategic value and business impact
-2. Use high-level, strategic language
-3. Emphasize ROI, market position, and competitive advantages
-4. Address business challenges and solutions
-5. Include market opportunities and growth potential
-6. Be confident and authoritative
-7. Reference business metrics and outcomes when possible
-
-Present this as a strategic business opportunity.`;
-
-    case 'developer':
-      return `${basePrompt}
-
-IMPORTANT: Respond like a senior developer explaining to another developer:
-1. Focus on technical architecture and implementation details
-2. Use technical terminology and code examples
-3. Explain design patterns, best practices, and technical decisions
-4. Include code snippets and technical explanations
-5. Address technical challenges and solutions
-6. Be precise and technically accurate
-7. Reference specific code patterns and implementations
-
-Provide detailed technical insights and code-level explanations.`;
-
-    case 'demo':
-      return `${basePrompt}
-
-IMPORTANT: You are a product demo specialist. Always structure your response with:
-
-1. **Short Blurb** (2-3 energetic sentences): Concise, benefit-focused summary
-2. **Demo Steps**: Numbered, actionable steps with UI element references in parentheses
-3. **Summary Table**: Table mapping each step to its UI selector
-
-Example format:
----
-**Short Blurb:**
-[Energetic, benefit-focused description]
-
-**Demo Steps:**
-1. Open the sidebar (.sidebar)
-2. Click the feature tab (.feature-tab)
-3. [Continue with specific steps]
-
-| Step | UI Element | Selector |
-|------|------------|----------|
-| 1    | Sidebar    | .sidebar |
-| 2    | Feature tab| .feature-tab |
----
-
-Focus on user actions and UI elements. Make steps executable and include real or plausible CSS selectors.`;
-
-    case 'technical':
-    default:
-      return `${basePrompt}
-
-IMPORTANT: Structure your response in this format:
-
-1. **Short Blurb** (2-3 sentences): Give a concise, energetic summary of the feature/concept
-2. **Step-by-Step Guide**: Provide actionable steps with UI element references in parentheses
-3. **Summary Table**: Include a table mapping steps to UI selectors
-
-Example format:
----
-**Short Blurb:**
-[Concise, punchy description]
-
-**Demo Steps:**
-1. Open the sidebar (.sidebar)
-2. Click the feature tab (.feature-tab)
-3. [Continue with specific steps and element references]
-
-| Step | UI Element | Selector |
-|------|------------|----------|
-| 1    | Sidebar    | .sidebar |
-| 2    | Feature tab| .feature-tab |
----
-
-When answering questions about the codebase:
-1. Reference specific code snippets and file names from the provided context
-2. Show actual code examples from the files when relevant
-3. Explain how the code works with concrete examples
-4. Point to specific functions, classes, or methods in the code
-5. Provide detailed, technical explanations with code references
-6. Always include UI element references in parentheses for any user interface components
-
-Please provide detailed, helpful answers about the code structure, functionality, and include relevant code examples from the actual files.`;
+// The codebase a request works on: the one configured on the server (`codebasePath` in the config
+// file or ROO_CLI_CODEBASE), or a folder inside it that the request names. Requests can't point the
+// server at any other folder, symlinks included. Null when neither names a codebase.
+async function resolveRequestCodebase(config, requestedPath) {
+  if (!requestedPath) {
+    return config.codebasePath || null;
+  }
+  if (!config.codebasePath) {
+    throw Object.assign(new Error('This server has no codebasePath configured, so requests can\'t name one'), { status: 400 });
   }
+  const codebasePath = path.resolve(config.codebasePath, requestedPath);
+  let relativePath;
+  try {
+    relativePath = path.relative(await fs.realpath(config.codebasePath), await fs.realpath(codebasePath));
+  } catch (error) {
+    throw Object.assign(new Error(`Codebase path "${requestedPath}" does not exist`), { status: 400 });
+  }
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw Object.assign(new Error(`Codebase path "${requestedPath}" is outside the server's codebase`), { status: 403 });
+  }
+  return codebasePath;
 }
 
-// Send message to AI with codebase context
-async function sendMessage(config, prompt, codebasePath = null, persona = 'technical', useIndexedSearch = false) {
-  const client = createClient(config);
+// Send message to AI with codebase context. Resolves to the answer, its token usage, the code files picked
+// for the context, the @-mentions that were inlined, the request attempts made and the config that answered.
+// `codebasePath` comes from resolveRequestCodebase; `persona` is a persona as getPersona returns it;
+// `fallbacks` are configs to try when `config` keeps failing.
+async function sendMessage(config, prompt, codebasePath = null, persona, useIndexedSearch = false, contextOptions = {}, fallbacks = []) {
+  const systemPrompt = getSystemPrompt(persona);
+  // Expand @-mentions; mentioned paths must stay inside the codebase
+  const { text: expandedPrompt, mentions } = await parseMentions(prompt, codebasePath, { confine: true });
   
   let codebaseContext = '';
+  let contextFiles = [];
   
-  if (useIndexedSearch && (codebasePath || config.codebasePath)) {
+  if (useIndexedSearch && codebasePath) {
     // Use indexed search for more relevant context
-    codebaseContext = await getIndexedCodebaseContext(prompt, codebasePath || config.codebasePath);
+    codebaseContext = await getIndexedCodebaseContext(prompt, codebasePath);
   }
   
   // Fall back to traditional context if indexed search didn't return results
   if (!codebaseContext) {
-    codebaseContext = await getCodebaseContext(codebasePath || config.codebasePath);
+    const context = await getCodebaseContext(codebasePath, {
+      maxFiles: config.maxContextFiles || DEFAULT_CONTEXT_OPTIONS.maxFiles,
+      budget: getConfiguredContextBudget(
+        config,
+        await countTokens(systemPrompt) + await countTokens(expandedPrompt),
+        await getProviderModelInfo(config)
+      ),
+      ...contextOptions,
+      query: prompt
+    });
+    codebaseContext = [context.overview, context.details];
+    contextFiles = context.files;
   }
   
-  // Build the full prompt with persona-specific instructions
-  const fullPrompt = getPersonaPrompt(persona, codebaseContext, prompt);
+  // Persona instructions go in the system prompt; the message is the context block, then the question
+  const userMessage = getUserMessage(codebaseContext, expandedPrompt);
   
-  try {
-    if (config.provider === 'anthropic') {
-      const response = await client.messages.create({
-        model: config.model,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        messages: [{ role: 'user', content: fullPrompt }]
-      });
-      return response.content[0].text;
-    } else {
-      // OpenAI and OpenRouter
-      const response = await client.chat.completions.create({
-        model: config.model,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        messages: [{ role: 'user', content: fullPrompt }]
-      });
-      return response.choices[0].message.content;
+  const { text, usage, attempts, config: answeredBy } = await sendToProvider(config, [{ role: 'user', content: userMessage }], {
+    systemPrompt,
+    fallbacks,
+    onRetry: ({ message, retry, delay, provider, model }) => {
+      console.log(`⏳ ${provider} (${model}): ${message} — retry ${retry} in ${delay.toFixed(1)}s`);
+    },
+    onFallback: ({ config: fallback }) => {
+      console.log(`↪️  Falling back to profile "${fallback.profile}"`);
     }
-  } catch (error) {
-    throw new Error(`AI request failed: ${error.message}`);
-  }
+  });
+  return { text, usage, contextFiles, mentions, attempts, answeredBy };
 }
 
 // Middleware
@@ -746,17 +581,37 @@ app.get('/', (req, res) => {
         method: 'POST',
         path: '/chat',
         body: {
-          prompt: 'Your question or prompt',
-          persona: 'salesperson|technical|executive|developer (optional, default: technical)',
-          codebasePath: 'Path to codebase (optional)',
-          useIndexedSearch: 'Use indexed search for better context (optional, default: false)'
+          prompt: 'Your question or prompt. @/path/to/file, @/folder/ and @git-changes mentions are inlined from the configured codebase',
+          persona: 'technical|salesperson|executive|developer|demo or a persona from ~/.roo-cli/personas or <codebase>/.roo/personas (optional, default: technical)',
+          codebasePath: 'A folder inside the configured codebase (optional, default: config codebasePath)',
+          useIndexedSearch: 'Use indexed search for better context (optional, default: false)',
+          include: 'Globs of files to add back even if .gitignore skips them (optional)',
+          exclude: 'Globs of files to leave out of the context (optional)',
+          codeMap: 'Add a map of the classes and functions in each file to the context (optional, default: config codeMap)',
+          profile: 'Name of the configuration profile to answer with (optional, default: the default profile)'
+        }
+      },
+      usage: {
+        method: 'GET',
+        path: '/usage',
+        query: {
+          day: 'Day to report, as YYYY-MM-DD (optional, default: today)'
+        }
+      },
+      personas: {
+        method: 'GET',
+        path: '/personas',
+        query: {
+          codebasePath: 'Also list the personas in .roo/personas of a folder inside the configured codebase (optional, default: config codebasePath)'
         }
       },
       index: {
         method: 'POST',
         path: '/index',
         body: {
-          codebasePath: 'Path to codebase to index'
+          codebasePath: 'A folder inside the configured codebase to index (optional, default: config codebasePath)',
+          include: 'Globs of files to add back even if .gitignore skips them (optional)',
+          exclude: 'Globs of files to leave out of the index (optional)'
         }
       },
       search: {
@@ -764,7 +619,7 @@ app.get('/', (req, res) => {
         path: '/search',
         body: {
           query: 'Search query',
-          codebasePath: 'Path to codebase (optional)',
+          codebasePath: 'Only search the index of this folder inside the configured codebase (optional)',
           limit: 'Maximum results (optional, default: 10)'
         }
       },
@@ -792,39 +647,133 @@ app.get('/', (req, res) => {
 
 app.post('/chat', async (req, res) => {
   try {
-    const { prompt, persona = 'technical', codebasePath, useIndexedSearch = false } = req.body;
+    const { prompt, persona = DEFAULT_PERSONA, codebasePath, useIndexedSearch = false, include = [], exclude = [], codeMap, profile } = req.body;
     
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
     
-    const config = await loadConfig();
+    if (profile && !getProfiles(await readConfigFile()).names.includes(profile)) {
+      return res.status(400).json({ error: `Unknown profile: ${profile}` });
+    }
     
-    if (!config.apiKey) {
+    const config = await loadConfig(profile);
+    
+    if (!(await hasProviderCredentials(config))) {
       return res.status(500).json({ error: 'No API key configured. Please run setup first.' });
     }
     
+    const codebase = await resolveRequestCodebase(config, codebasePath);
+    
+    let personaDefinition;
+    try {
+      personaDefinition = await getPersona(persona, codebase);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Fallback profiles whose daily budget is used up (counting requests in progress) are skipped
+    const fallbacks = [];
+    for (const fallback of await loadFallbackConfigs(config)) {
+      const fallbackBudget = getDailyBudget(fallback);
+      if (fallbackBudget === null || (await getCommittedCost(getUsageKey(fallback))) < fallbackBudget) {
+        fallbacks.push(fallback);
+      }
+    }
+    
+    // Refuse the request when the profile's daily budget can't cover it; its estimated
+    // cost stays reserved until the answer's actual cost is recorded
+    const reservation = await reserveBudget(config, getDailyBudget(config) === null ? 0 : await estimateRequestCost(config, prompt));
+    
     console.log(`🤖 Request: ${prompt}`);
     console.log(`🎭 Persona: ${persona}`);
     console.log(`🔍 Using indexed search: ${useIndexedSearch}`);
-    if (codebasePath) {
-      console.log(`📁 Codebase: ${codebasePath}`);
+    if (codebase) {
+      console.log(`📁 Codebase: ${codebase}`);
     }
     
-    const response = await sendMessage(config, prompt, codebasePath, persona, useIndexedSearch);
+    let result;
+    try {
+      result = await sendMessage(config, prompt, codebase, personaDefinition, useIndexedSearch, {
+        include,
+        exclude,
+        codeMap: codeMap ?? !!config.codeMap
+      }, fallbacks);
+    } catch (error) {
+      await releaseBudget(reservation);
+      throw error;
+    }
+    const { text, usage, contextFiles, mentions, attempts, answeredBy } = result;
+    // Spending counts against the profile that answered
+    const answeredKey = getUsageKey(answeredBy);
+    const today = await recordUsage(answeredKey, usage, reservation);
+    console.log(`📊 Tokens: ${usage.inputTokens} in, ${usage.outputTokens} out, cache: ${usage.cacheReadTokens} read, ${usage.cacheWriteTokens} written, $${usage.totalCost.toFixed(4)} ($${today.cost.toFixed(4)} today for ${answeredKey})`);
     
     res.json({
       success: true,
-      response,
+      response: text,
+      // Prompt cache reads and writes are counted apart from inputTokens; cost is in USD
+      usage: {
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cacheWriteTokens: usage.cacheWriteTokens,
+        cacheReadTokens: usage.cacheReadTokens,
+        cost: usage.totalCost,
+        today: { ...today, dailyBudget: getDailyBudget(answeredBy) }
+      },
       metadata: {
-        provider: config.provider,
-        model: config.model,
+        // What answered, which is a fallback profile when the requested one failed
+        profile: answeredBy.profile,
+        ...getProviderLabel(answeredBy),
+        attempts,
         persona,
-        codebasePath: codebasePath || config.codebasePath,
-        useIndexedSearch
+        codebasePath: codebase,
+        useIndexedSearch,
+        contextFiles,
+        mentions
       }
     });
     
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(error.status || 500).json({ error: error.message, ...(error.attempts ? { attempts: error.attempts } : {}) });
+  }
+});
+
+// List the personas available, including the codebase's own
+app.get('/personas', async (req, res) => {
+  try {
+    const config = await loadConfig(req.query.profile || null);
+    const personas = await loadPersonas(await resolveRequestCodebase(config, req.query.codebasePath));
+    res.json({
+      personas: [...personas.values()].map(({ name, description, outputFormat, source }) => ({ name, description, outputFormat, source }))
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Today's (or another day's) usage and spending per profile, with each profile's daily budget
+app.get('/usage', async (req, res) => {
+  try {
+    const day = req.query.day || getUsageDay();
+    const ledger = await loadUsageLedger();
+    const { names } = getProfiles(await readConfigFile());
+    const keys = [...new Set([...(names.length > 0 ? names : ['default']), ...Object.keys(ledger[day] || {})])];
+    
+    const profiles = {};
+    for (const key of keys) {
+      // Profiles deleted since then have no budget
+      let config = {};
+      if (names.includes(key)) {
+        config = await loadConfig(key);
+      } else if (names.length === 0 && key === 'default') {
+        config = await loadConfig();
+      }
+      profiles[key] = { ...(await getDailyUsage(key, day)), dailyBudget: getDailyBudget(config) };
+    }
+    res.json({ day, profiles });
   } catch (error) {
     console.error('❌ Error:', error.message);
     res.status(500).json({ error: error.message });
@@ -834,21 +783,22 @@ app.post('/chat', async (req, res) => {
 // Index a codebase
 app.post('/index', async (req, res) => {
   try {
-    const { codebasePath } = req.body;
+    const { codebasePath, include = [], exclude = [] } = req.body;
     
-    if (!codebasePath) {
+    const config = await loadConfig();
+    const codebase = await resolveRequestCodebase(config, codebasePath);
+    
+    if (!codebase) {
       return res.status(400).json({ error: 'Codebase path is required' });
     }
     
-    const config = await loadConfig();
-    
     if (!config.openaiApiKey) {
       return res.status(500).json({ error: 'OpenAI API key is required for indexing. Please set openaiApiKey in config.' });
     }
     
-    console.log(`🚀 Indexing request for: ${codebasePath}`);
+    console.log(`🚀 Indexing request for: ${codebase}`);
     
-    const result = await indexCodebase(codebasePath);
+    const result = await indexCodebase(codebase, { include, exclude });
     
     res.json({
       success: true,
@@ -858,7 +808,7 @@ app.post('/index', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Indexing error:', error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -877,19 +827,21 @@ app.post('/search', async (req, res) => {
       return res.status(500).json({ error: 'OpenAI API key is required for search. Please set openaiApiKey in config.' });
     }
     
+    const codebase = codebasePath ? await resolveRequestCodebase(config, codebasePath) : null;
+    
     console.log(`🔍 Search request: ${query}`);
-    if (codebasePath) {
-      console.log(`📁 Codebase: ${codebasePath}`);
+    if (codebase) {
+      console.log(`📁 Codebase: ${codebase}`);
     }
     
-    const results = await searchCodebase(query, codebasePath, limit);
+    const results = await searchCodebase(query, codebase, limit);
     
     res.json({
       success: true,
       query,
       results,
       metadata: {
-        codebasePath,
+        codebasePath: codebase,
         limit,
         totalResults: results.length
       }
@@ -897,7 +849,7 @@ app.post('/search', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Search error:', error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
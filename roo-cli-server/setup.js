@@ -1,45 +1,77 @@
 #!/usr/bin/env node
 
-import fs from 'fs/promises';
-import path from 'path';
-import os from 'os';
 import readline from 'readline';
+import { CONFIG_FILE, readConfigFile, saveConfig } from '../roo-cli-lib/config.js';
 
-const CONFIG_FILE = path.join(os.homedir(), '.roo-cli-config.json');
+// Options that answer the setup questions. With --provider, nothing is asked and
+// questions without an option take their default (for CI and provisioning scripts).
+const OPTIONS = {
+  '--provider': 'provider',
+  '--api-key-env': 'apiKeyEnv',
+  '--openai-api-key-env': 'openaiApiKeyEnv',
+  '--model': 'model',
+  '--qdrant-url': 'qdrantUrl',
+  '--codebase': 'codebasePath',
+  '--profile': 'profile'
+};
 
-const rl = readline.createInterface({
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!OPTIONS[args[i]] || i + 1 >= args.length) {
+      console.error(`❌ Unknown option or missing value: ${args[i]}`);
+      console.error(`Options: ${Object.keys(OPTIONS).join(', ')}`);
+      process.exit(1);
+    }
+    options[OPTIONS[args[i]]] = args[i + 1];
+  }
+  return options;
+}
+
+const options = parseOptions(process.argv.slice(2));
+const unattended = !!options.provider;
+
+const rl = unattended ? null : readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-function question(prompt) {
+function question(prompt, answer = '') {
+  if (unattended) {
+    return Promise.resolve(answer);
+  }
   return new Promise((resolve) => {
     rl.question(prompt, resolve);
   });
 }
 
+// Read a key from the variable an --*-env option names, so it stays out of shell history
+function readKeyFromEnv(name) {
+  if (name && !process.env[name]) {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return name ? process.env[name] : '';
+}
+
 async function setup() {
   console.log('🚀 Roo CLI Server Setup\n');
   
   try {
     // Check if config already exists
-    let existingConfig = {};
-    try {
-      const configData = await fs.readFile(CONFIG_FILE, 'utf8');
-      existingConfig = JSON.parse(configData);
+    if (await readConfigFile()) {
       console.log('📁 Found existing configuration');
-    } catch (error) {
+    } else {
       console.log('📁 Creating new configuration');
     }
     
     // Get AI provider
     console.log('\n🤖 AI Provider Configuration:');
-    const provider = await question('Choose AI provider (anthropic/openai/openrouter) [anthropic]: ') || 'anthropic';
+    const provider = await question('Choose AI provider (anthropic/openai/openrouter) [anthropic]: ', options.provider) || 'anthropic';
     
     // Get API keys
     console.log('\n🔑 API Keys:');
-    const apiKey = await question(`${provider.charAt(0).toUpperCase() + provider.slice(1)} API Key: `);
-    const openaiApiKey = await question('OpenAI API Key (for embeddings - required for indexing): ');
+    const apiKey = await question(`${provider.charAt(0).toUpperCase() + provider.slice(1)} API Key: `, readKeyFromEnv(options.apiKeyEnv));
+    const openaiApiKey = await question('OpenAI API Key (for embeddings - required for indexing): ', readKeyFromEnv(options.openaiApiKeyEnv));
     
     if (!apiKey) {
       console.error('❌ API key is required');
@@ -67,19 +99,18 @@ async function setup() {
         defaultModel = 'claude-3-5-sonnet-20241022';
     }
     
-    const model = await question(`Model [${defaultModel}]: `) || defaultModel;
+    const model = await question(`Model [${defaultModel}]: `, options.model) || defaultModel;
     
     // Get Qdrant URL
     console.log('\n🗄️  Vector Database Configuration:');
-    const qdrantUrl = await question('Qdrant URL [http://localhost:6333]: ') || 'http://localhost:6333';
+    const qdrantUrl = await question('Qdrant URL [http://localhost:6333]: ', options.qdrantUrl) || 'http://localhost:6333';
     
     // Get default codebase path
     console.log('\n📁 Codebase Configuration:');
-    const codebasePath = await question('Default codebase path (optional): ') || null;
+    const codebasePath = await question('Default codebase path (optional): ', options.codebasePath) || null;
     
     // Build config
     const config = {
-      ...existingConfig,
       provider,
       apiKey,
       openaiApiKey,
@@ -90,10 +121,10 @@ async function setup() {
       qdrantUrl
     };
     
-    // Save config
-    await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+    // Save config (into the default profile, or the one named with --profile)
+    const savedProfile = await saveConfig(config, options.profile);
     
-    console.log('\n✅ Configuration saved successfully!');
+    console.log(`\n✅ Configuration saved${savedProfile ? ` to profile "${savedProfile}"` : ''}!`);
     console.log(`📁 Config file: ${CONFIG_FILE}`);
     
     // Show next steps
@@ -111,7 +142,7 @@ async function setup() {
     console.error('❌ Setup failed:', error.message);
     process.exit(1);
   } finally {
-    rl.close();
+    rl?.close();
   }
 }
 
@@ -1,13 +1,24 @@
 #!/usr/bin/env node
 
-import { Anthropic } from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-
-// Configuration
-const CONFIG_FILE = path.join(os.homedir(), '.roo-cli-config.json');
+import readline from 'readline';
+import { DEFAULT_AGENT_MAX_STEPS, runAgent } from './roo-cli-lib/agent.js';
+import { applyEdits, colorizeDiff, proposeEdits } from './roo-cli-lib/edits.js';
+import { getCheckpointDiff, listCheckpoints, restoreCheckpoint, saveCheckpoint } from './roo-cli-lib/checkpoints.js';
+import { collectReviewChanges, formatSarif, requestReview } from './roo-cli-lib/review.js';
+import { collectStagedChanges, getReleasablePackages, requestChangeset, requestCommitMessage, writeChangeset } from './roo-cli-lib/commits.js';
+import { commitStaged, getStagedTree } from './roo-cli-lib/git.js';
+import { DEFAULT_CONTEXT_OPTIONS, getCodebaseContext } from './roo-cli-lib/codebase.js';
+import { parseMentions, readAttachment } from './roo-cli-lib/mentions.js';
+import { DEFAULT_PERSONA, USER_PERSONAS_DIR, getPersona, getSystemPrompt, getUserMessage, loadPersonas } from './roo-cli-lib/personas.js';
+import { getConfiguredContextBudget } from './roo-cli-lib/models.js';
+import { sendMessage, getMessageText, getProviderLabel, getProviderModelInfo, hasProviderCredentials, listModels } from './roo-cli-lib/provider.js';
+import { countTokens } from './roo-cli-lib/tokens.js';
+import { CONFIG_FILE, ENV_SETTINGS, applyOverrides, loadConfig as loadProfileConfig, loadFallbackConfigs, parseNumberSetting, saveConfig, readConfigFile, getProfiles, resolveProfile, setDefaultProfile, deleteProfile, enableKeystore, disableKeystore } from './roo-cli-lib/config.js';
+import { KEYSTORE_FILE, maskSecrets, setPassphrasePrompt } from './roo-cli-lib/keystore.js';
+import { SESSIONS_DIR, createSession, loadSession, saveSession, listSessions, deleteSession } from './roo-cli-lib/sessions.js';
 
 // Default models (same as Roo Code)
 const DEFAULT_MODELS = {
@@ -16,496 +27,1684 @@ const DEFAULT_MODELS = {
   openrouter: 'anthropic/claude-3-5-sonnet-20241022'
 };
 
-// Code file extensions to include
-const CODE_EXTENSIONS = [
-  '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', '.php', 
-  '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', '.css', '.scss',
-  '.json', '.yaml', '.yml', '.toml', '.md', '.txt', '.sh', '.bash', '.zsh'
-];
+// Where local model servers listen unless configured otherwise
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434',
+  lmstudio: 'http://localhost:1234'
+};
 
-// Load configuration
-async function loadConfig() {
-  try {
-    const configData = await fs.readFile(CONFIG_FILE, 'utf8');
-    return JSON.parse(configData);
-  } catch (error) {
-    // Return default config if file doesn't exist
-    return {
-      provider: 'anthropic',
-      apiKey: null,
-      model: DEFAULT_MODELS.anthropic,
-      temperature: 0.7,
-      maxTokens: 4096,
-      codebasePath: null
-    };
-  }
+// Abort controller for the response currently being generated, so Ctrl-C can cancel it
+let activeRequest = null;
+
+// Progress and status lines go to stderr, so stdout only carries the answer (or --json output)
+function status(...lines) {
+  console.error(...lines);
 }
 
-// Save configuration
-async function saveConfig(config) {
-  await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+// Defaults until --setup has written a config file
+const DEFAULT_CONFIG = {
+  provider: 'anthropic',
+  apiKey: null,
+  model: DEFAULT_MODELS.anthropic,
+  temperature: 0.7,
+  maxTokens: 4096,
+  codebasePath: null
+};
+
+// Load configuration for a profile (the default one unless named), with ROO_CLI_* variables
+// and then command-line flags (`overrides`) on top
+async function loadConfig(profileName = null, overrides = {}, options = {}) {
+  return applyOverrides(await loadProfileConfig(profileName, DEFAULT_CONFIG, options), overrides);
 }
 
-// Get key files content
-async function getKeyFiles(rootPath) {
-  const keyFiles = [];
-  const importantFiles = [
-    'package.json', 'README.md', 'requirements.txt', 'Cargo.toml', 'go.mod',
-    'pom.xml', 'build.gradle', 'Gemfile', 'composer.json', 'pyproject.toml'
-  ];
+// Setup configuration
+async function setup(profileName = null, options = {}) {
+  console.log(`🤖 Roo CLI Setup${profileName ? ` (profile "${profileName}")` : ''}\n`);
   
-  try {
-    const items = await fs.readdir(rootPath);
-    
-    for (const item of items) {
-      if (importantFiles.includes(item)) {
-        try {
-          const content = await fs.readFile(path.join(rootPath, item), 'utf8');
-          keyFiles.push(`### ${item}:\n\`\`\`\n${content.slice(0, 1000)}${content.length > 1000 ? '\n...' : ''}\n\`\`\``);
-        } catch (error) {
-          // Skip files that can't be read
-        }
+  // A new profile starts from the default profile's settings. Environment variables are
+  // left out so they don't end up in the file, and keys in the keystore stay there.
+  const isNewProfile = profileName && !getProfiles(await readConfigFile()).names.includes(profileName);
+  const config = await loadProfileConfig(isNewProfile ? null : profileName, DEFAULT_CONFIG, { env: {}, secrets: false });
+  
+  if (options.provider) {
+    await scriptedSetup(config, profileName, options);
+    return;
+  }
+  
+  console.log('Available providers:');
+  console.log('1. Anthropic (Claude) - claude-3-5-sonnet-20241022');
+  console.log('2. OpenAI (GPT) - gpt-4o');
+  console.log('3. OpenRouter (Multiple models)');
+  console.log('4. Ollama (local models)');
+  console.log('5. LM Studio (local models)');
+  console.log('6. OpenAI-compatible server (any base URL)');
+  console.log('7. Exit setup\n');
+  
+  const providerChoice = await askQuestion('Choose provider (1-7): ');
+  
+  if (providerChoice === '7') {
+    console.log('Setup cancelled.');
+    return;
+  }
+  
+  const providers = ['anthropic', 'openai', 'openrouter', 'ollama', 'lmstudio', 'openai-compatible'];
+  const provider = providers[parseInt(providerChoice) - 1];
+  
+  if (!provider) {
+    console.log('Invalid choice.');
+    return;
+  }
+  
+  let baseUrl = null;
+  let apiKey = null;
+  let model;
+  
+  if (provider in DEFAULT_MODELS) {
+    apiKey = await askQuestion(`Enter your ${provider} API key: `);
+    model = await askQuestion(`Enter model ID (or press Enter for default): `) || DEFAULT_MODELS[provider];
+  } else {
+    // Local and self-hosted servers: find out which models they offer
+    if (provider === 'openai-compatible') {
+      baseUrl = await askQuestion('Enter the server\'s base URL (e.g. http://localhost:8000/v1): ');
+      if (!baseUrl) {
+        console.log('A base URL is required.');
+        return;
       }
+      apiKey = await askQuestion('Enter the API key (or press Enter for none): ') || null;
+    } else {
+      baseUrl = await askQuestion(`Enter the server URL (or press Enter for ${DEFAULT_BASE_URLS[provider]}): `) || null;
+    }
+    model = await chooseModel({ provider, baseUrl, apiKey });
+    if (!model) {
+      console.log('A model is required.');
+      return;
     }
-  } catch (error) {
-    // Directory might not exist
   }
   
-  return keyFiles;
+  const codebasePath = await askQuestion('Enter path to your codebase (or press Enter to skip): ');
+  
+  const newConfig = {
+    ...config,
+    provider,
+    apiKey,
+    baseUrl,
+    model,
+    codebasePath: codebasePath || null,
+    // The provider chosen here replaces any provider profile from the config file
+    providerSettings: undefined
+  };
+  
+  const savedProfile = await saveConfig(newConfig, profileName);
+  console.log(`\n✅ Configuration saved${savedProfile ? ` to profile "${savedProfile}"` : ''}!`);
 }
 
-// Get relevant code files content
-async function getCodeFiles(rootPath, maxFiles = 10) {
-  const codeFiles = [];
+// Setup from --provider, --api-key-env, --model, --base-url and --codebase, without asking anything
+async function scriptedSetup(config, profileName, { provider, apiKey = null, baseUrl = null, model = null, codebasePath = null }) {
+  const providers = ['anthropic', 'openai', 'openrouter', 'ollama', 'lmstudio', 'openai-compatible'];
+  if (!providers.includes(provider)) {
+    throw new Error(`Unknown provider "${provider}". Choose one of: ${providers.join(', ')}`);
+  }
+  if (provider in DEFAULT_MODELS && !apiKey) {
+    throw new Error(`${provider} needs an API key. Pass --api-key-env with the name of the variable that holds it.`);
+  }
+  if (provider === 'openai-compatible' && !baseUrl) {
+    throw new Error('openai-compatible needs the server\'s base URL (--base-url).');
+  }
+  if (!model && !(provider in DEFAULT_MODELS)) {
+    throw new Error(`${provider} needs a model (--model). "node roo-cli.js --models --provider ${provider}" lists them.`);
+  }
   
-  try {
-    const allFiles = await getAllFiles(rootPath);
-    const relevantFiles = allFiles
-      .filter(file => {
-        const ext = path.extname(file);
-        return CODE_EXTENSIONS.includes(ext) && !file.includes('node_modules') && !file.includes('.git');
-      })
-      .slice(0, maxFiles);
-    
-    for (const file of relevantFiles) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const relativePath = path.relative(rootPath, file);
-        codeFiles.push(`### ${relativePath}:\n\`\`\`${getFileExtension(file)}\n${content.slice(0, 2000)}${content.length > 2000 ? '\n...' : ''}\n\`\`\``);
-      } catch (error) {
-        // Skip files that can't be read
-      }
-    }
-  } catch (error) {
-    // Directory might not exist
-  }
-  
-  return codeFiles;
-}
-
-// Get file extension for syntax highlighting
-function getFileExtension(filePath) {
-  const ext = path.extname(filePath);
-  const extMap = {
-    '.js': 'javascript',
-    '.ts': 'typescript',
-    '.jsx': 'javascript',
-    '.tsx': 'typescript',
-    '.py': 'python',
-    '.java': 'java',
-    '.cpp': 'cpp',
-    '.c': 'c',
-    '.cs': 'csharp',
-    '.php': 'php',
-    '.rb': 'ruby',
-    '.go': 'go',
-    '.rs': 'rust',
-    '.swift': 'swift',
-    '.kt': 'kotlin',
-    '.scala': 'scala',
-    '.html': 'html',
-    '.css': 'css',
-    '.scss': 'scss',
-    '.json': 'json',
-    '.yaml': 'yaml',
-    '.yml': 'yaml',
-    '.toml': 'toml',
-    '.md': 'markdown',
-    '.txt': 'text',
-    '.sh': 'bash',
-    '.bash': 'bash',
-    '.zsh': 'bash'
+  const newConfig = {
+    ...config,
+    provider,
+    apiKey,
+    baseUrl,
+    model: model || DEFAULT_MODELS[provider],
+    codebasePath: codebasePath ? path.resolve(codebasePath) : config.codebasePath,
+    providerSettings: undefined
   };
-  return extMap[ext] || 'text';
+  
+  const savedProfile = await saveConfig(newConfig, profileName);
+  console.log(`✅ Configuration saved${savedProfile ? ` to profile "${savedProfile}"` : ''}: ${provider} (${newConfig.model})`);
 }
 
-// Recursively get all files in directory
-async function getAllFiles(dirPath, arrayOfFiles = []) {
-  try {
-    const files = await fs.readdir(dirPath);
-    
-    for (const file of files) {
-      if (file.startsWith('.') || file === 'node_modules' || file === '.git') {
-        continue;
-      }
-      
-      const fullPath = path.join(dirPath, file);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isDirectory()) {
-        arrayOfFiles = await getAllFiles(fullPath, arrayOfFiles);
-      } else {
-        arrayOfFiles.push(fullPath);
-      }
-    }
-  } catch (error) {
-    // Skip directories that can't be read
+// Let the user pick one of the models a server offers, or type a model ID
+async function chooseModel(config) {
+  const models = await listModels(config);
+  if (models.length === 0) {
+    console.log('⚠️  The server listed no models (is it running?).');
+    return askQuestion('Enter model ID: ');
   }
   
-  return arrayOfFiles;
+  console.log('\nAvailable models:');
+  printModels(models);
+  const choice = await askQuestion(`Choose model (1-${models.length}) or enter a model ID: `);
+  const index = parseInt(choice, 10);
+  return /^\d+$/.test(choice) && models[index - 1] ? models[index - 1].id : choice;
+}
+
+// Print a numbered list of models, with their context windows when the server reports them
+function printModels(models, currentModel = null) {
+  models.forEach(({ id, info }, index) => {
+    const marker = id === currentModel ? '*' : ' ';
+    const contextWindow = info?.contextWindow ? `${info.contextWindow.toLocaleString()} tokens` : '';
+    console.log(`${marker}${String(index + 1).padStart(3)}. ${id.padEnd(40)} ${contextWindow}`);
+  });
+}
+
+// Simple question prompt
+function askQuestion(question) {
+  return new Promise((resolve) => {
+    process.stdout.write(question);
+    process.stdin.once('data', (data) => {
+      resolve(data.toString().trim());
+    });
+  });
 }
 
-// Get codebase context
-async function getCodebaseContext(codebasePath) {
-  if (!codebasePath) return '';
+// Ask for a passphrase without echoing what is typed
+function askSecret(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error('No terminal to ask for the keystore passphrase. Set ROO_CLI_KEYSTORE_PASSPHRASE or ROO_CLI_KEYSTORE_KEY_FILE.'));
+      return;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted) {
+        process.stdout.write(text);
+      }
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+// Read everything piped to stdin
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Status lines for requests that are retried or handed to a fallback profile
+const requestStatus = {
+  onRetry: ({ message, retry, delay, provider, model }) => {
+    status(`⏳ ${provider} (${model}): ${message} — retry ${retry} in ${delay.toFixed(1)}s`);
+  },
+  onFallback: ({ config: fallback }) => {
+    const { provider, model } = getProviderLabel(fallback);
+    status(`↪️  Falling back to profile "${fallback.profile}": ${provider} (${model})`);
+  }
+};
+
+// Send a conversation and print the answer to stdout, token-by-token unless streaming is off
+async function printResponse(config, messages, { systemPrompt, fallbacks = [], stream = true, header = null, print = true } = {}) {
+  activeRequest = new AbortController();
+  let headerPrinted = false;
+  let streamedText = '';
+  
+  const printHeader = () => {
+    if (!headerPrinted && header) {
+      status(header);
+    }
+    headerPrinted = true;
+  };
   
   try {
-    const context = [];
-    
-    // Get directory structure
-    const structure = await getDirectoryStructure(codebasePath);
-    context.push(`## Directory Structure:\n${structure}\n`);
+    const response = await sendMessage(config, messages, {
+      systemPrompt,
+      fallbacks,
+      signal: activeRequest.signal,
+      ...requestStatus,
+      onText: stream && print ? (text) => {
+        printHeader();
+        streamedText += text;
+        process.stdout.write(text);
+      } : undefined
+    });
     
-    // Get key files content
-    const keyFiles = await getKeyFiles(codebasePath);
-    if (keyFiles.length > 0) {
-      context.push(`## Key Files:\n${keyFiles.join('\n\n')}\n`);
+    if (!print) {
+      return response;
     }
-    
-    // Get actual code files content
-    const codeFiles = await getCodeFiles(codebasePath);
-    if (codeFiles.length > 0) {
-      context.push(`## Code Files:\n${codeFiles.join('\n\n')}\n`);
+    printHeader();
+    if (!stream) {
+      console.log(response.text);
+    } else if (streamedText && !streamedText.endsWith('\n')) {
+      // Finish the streamed answer on a clean line
+      process.stdout.write('\n');
     }
-    
-    return context.join('\n');
+    return response;
   } catch (error) {
-    console.warn(`Warning: Could not read codebase context: ${error.message}`);
-    return '';
+    if (streamedText && !streamedText.endsWith('\n')) {
+      process.stdout.write('\n');
+    }
+    throw error;
+  } finally {
+    activeRequest = null;
   }
 }
 
-// Get directory structure
-async function getDirectoryStructure(rootPath, maxDepth = 3, currentDepth = 0) {
-  if (currentDepth > maxDepth) return '';
-  
+// Answer with the agent's tool loop (see runAgent), reporting each tool use as it happens.
+// Replies are not streamed, since they are mostly tool calls; the answer is printed at the end.
+async function printAgentResponse(config, messages, { systemPrompt, fallbacks = [], header = null, print = true, codebasePath, contextOptions = {}, maxSteps }) {
+  activeRequest = new AbortController();
   try {
-    const items = await fs.readdir(rootPath);
-    const structure = [];
-    
-    for (const item of items.slice(0, 20)) { // Limit to 20 items per directory
-      const itemPath = path.join(rootPath, item);
-      const stats = await fs.stat(itemPath);
-      
-      if (stats.isDirectory()) {
-        if (!item.startsWith('.') && !item.startsWith('node_modules')) {
-          const subStructure = await getDirectoryStructure(itemPath, maxDepth, currentDepth + 1);
-          structure.push(`${'  '.repeat(currentDepth)}📁 ${item}/`);
-          if (subStructure) {
-            structure.push(subStructure);
-          }
-        }
-      } else if (stats.isFile()) {
-        const ext = path.extname(item);
-        if (CODE_EXTENSIONS.includes(ext) || item === 'package.json' || item === 'README.md') {
-          structure.push(`${'  '.repeat(currentDepth)}📄 ${item}`);
+    const response = await runAgent(config, messages, {
+      codebasePath,
+      include: contextOptions.include,
+      exclude: contextOptions.exclude,
+      systemPrompt,
+      maxSteps,
+      fallbacks,
+      signal: activeRequest.signal,
+      ...requestStatus,
+      onToolCall: ({ step, tool, summary, error }) => {
+        status(`🔧 [${step}/${maxSteps}] ${tool} ${summary}`);
+        if (error) {
+          status(`   ⚠️  ${error}`);
         }
       }
+    });
+    
+    if (print) {
+      if (response.inspectedFiles.length > 0) {
+        status(`🔍 Inspected: ${response.inspectedFiles.join(', ')}`);
+      }
+      if (header) {
+        status(header);
+      }
+      console.log(response.text);
     }
+    return response;
+  } finally {
+    activeRequest = null;
+  }
+}
+
+// Ask for edits (see proposeEdits) and print the explanation and each file's unified diff,
+// colored on a terminal. Nothing is written here; see reviewEdits.
+async function printEditResponse(config, messages, { systemPrompt, fallbacks = [], header = null, print = true, codebasePath, contextOptions = {} }) {
+  activeRequest = new AbortController();
+  try {
+    const response = await proposeEdits(config, messages, {
+      codebasePath,
+      include: contextOptions.include,
+      exclude: contextOptions.exclude,
+      systemPrompt,
+      fallbacks,
+      signal: activeRequest.signal,
+      ...requestStatus
+    });
     
-    return structure.join('\n');
-  } catch (error) {
-    return '';
+    if (print) {
+      if (header) {
+        status(header);
+      }
+      if (response.text) {
+        console.log(response.text);
+      }
+      const color = process.stdout.isTTY && !process.env.NO_COLOR;
+      for (const edit of response.edits) {
+        if (edit.status === 'ready') {
+          console.log(`\n${color ? colorizeDiff(edit.diff.trimEnd()) : edit.diff.trimEnd()}`);
+        } else if (edit.status === 'failed') {
+          status(`\n❌ ${edit.path}: ${edit.error}`);
+        } else {
+          status(`\n➖ ${edit.path}: the edit changes nothing`);
+        }
+      }
+    }
+    return response;
+  } finally {
+    activeRequest = null;
   }
 }
 
-// Setup configuration
-async function setup() {
-  console.log('🤖 Roo CLI Setup\n');
-  
-  const config = await loadConfig();
+// Apply an --edit answer's edits once confirmed, or straight away with --yes. If any file's edit
+// failed nothing is written, so a change is never applied in part. The codebase is checkpointed
+// before it is written to (see saveCheckpoint). Resolves to { ok, checkpoint }, ok being false
+// when edits failed and checkpoint the ID to roll back to.
+async function reviewEdits(edits, { codebasePath, description, yes = false, json = false }) {
+  const ready = edits.filter(edit => edit.status === 'ready');
+  const failed = edits.filter(edit => edit.status === 'failed');
   
-  console.log('Available providers:');
-  console.log('1. Anthropic (Claude) - claude-3-5-sonnet-20241022');
-  console.log('2. OpenAI (GPT) - gpt-4o');
-  console.log('3. OpenRouter (Multiple models)');
-  console.log('4. Exit setup\n');
+  if (failed.length > 0) {
+    status(`\n❌ ${failed.length} of ${edits.length} file edit${edits.length === 1 ? '' : 's'} could not be applied, so nothing was written.`);
+    return { ok: false, checkpoint: null };
+  }
+  if (ready.length === 0) {
+    status('\nℹ️  No edits to apply.');
+    return { ok: true, checkpoint: null };
+  }
   
-  const providerChoice = await askQuestion('Choose provider (1-4): ');
+  const files = `${ready.length} file${ready.length === 1 ? '' : 's'}`;
+  if (!yes) {
+    // There is nobody to ask with --json or when stdin is not a terminal
+    if (json || !process.stdin.isTTY) {
+      status(`\n✋ Edits to ${files} not applied: add --yes to apply them without asking.`);
+      return { ok: true, checkpoint: null };
+    }
+    const answer = await askQuestion(`\nApply the changes to ${files}? [y/N] `);
+    process.stdin.pause();
+    if (!/^y(es)?$/i.test(answer)) {
+      status('⏭️  Edits not applied.');
+      return { ok: true, checkpoint: null };
+    }
+  }
   
-  if (providerChoice === '4') {
-    console.log('Setup cancelled.');
+  let checkpoint = null;
+  try {
+    checkpoint = await saveCheckpoint(codebasePath, `edit: ${description}`, () => applyEdits(edits), { files: ready.map(edit => edit.path) });
+  } catch (error) {
+    // Only a checkpoint that can't be saved at all is worked around; edits the checkpoint
+    // couldn't undo are not applied
+    if (error.checkpoint || error.untrackedFiles || ready.some(edit => edit.status === 'applied')) {
+      throw error;
+    }
+    status(`⚠️  No checkpoint saved: ${error.message}`);
+    await applyEdits(edits);
+  }
+  status(`✅ Applied: ${ready.map(edit => edit.path).join(', ')}`);
+  if (checkpoint) {
+    status(`🕒 Checkpoint ${checkpoint}: undo with --restore ${checkpoint}`);
+  }
+  return { ok: true, checkpoint };
+}
+
+// A checkpoint's description: the prompt's first line, shortened
+function getEditDescription(prompt) {
+  const line = prompt.trim().split('\n')[0];
+  return line.length > 72 ? `${line.slice(0, 71)}…` : line;
+}
+
+// Cancel the in-flight response if there is one, otherwise quit
+function handleInterrupt() {
+  if (activeRequest && !activeRequest.signal.aborted) {
+    activeRequest.abort();
     return;
   }
+  console.log('\n👋 Goodbye!');
+  process.exit(0);
+}
+
+// Slash commands available in chat mode
+const CHAT_COMMANDS = [
+  ['/persona [name]', 'Show or switch the persona'],
+  ['/codebase [path]', 'Show or switch the codebase (context is gathered again)'],
+  ['/clear', 'Forget the conversation history'],
+  ['/model [id]', 'Show or switch the model for this session'],
+  ['/usage', 'Show the tokens and estimated cost of this session'],
+  ['/save [file]', 'Save the conversation as Markdown'],
+  ['/help', 'Show this help'],
+  ['/exit', 'Leave chat mode']
+];
+
+// Render a conversation transcript as Markdown
+function formatTranscript(chat) {
+  const lines = [
+    `# Roo CLI Chat${chat.name ? `: ${chat.name}` : ''}`,
+    '',
+    `- Provider: ${chat.provider} (${chat.model})${chat.profile ? ` [${chat.profile}]` : ''}`,
+    `- Persona: ${chat.persona}`,
+    `- Codebase: ${chat.codebasePath || 'none'}`,
+    `- Tokens: ${chat.tokensIn} in, ${chat.tokensOut} out, ${chat.cacheReads} cache reads, ${chat.cacheWrites} cache writes`,
+    `- Estimated cost: ${formatCost(chat.totalCost)}`,
+    `- Saved: ${new Date().toISOString()}`,
+    ''
+  ];
   
-  const providers = ['anthropic', 'openai', 'openrouter'];
-  const provider = providers[parseInt(providerChoice) - 1];
+  for (const entry of chat.transcript) {
+    lines.push(entry.role === 'user' ? '## You' : '## Roo', '', entry.content, '');
+  }
   
-  if (!provider) {
-    console.log('Invalid choice.');
-    return;
+  return lines.join('\n');
+}
+
+// Start a conversation, picking up the saved session when a session name is given
+async function openChat(config, { sessionName = null, codebasePath = null, persona = null, contextOptions = {}, fallbacks = [], agent = null, edit = false } = {}) {
+  let chat = sessionName ? await loadSession(sessionName) : null;
+  
+  if (chat) {
+    status(`📂 Resuming session "${chat.name}" (${chat.transcript.length / 2} previous questions)`);
+    // Keep answering with the session's model unless the profile or provider has changed since
+    if ((chat.profile ?? null) === config.profile && chat.provider === getProviderLabel(config).provider && chat.model) {
+      config.model = chat.model;
+    }
+  } else {
+    chat = createSession(sessionName, {
+      persona: DEFAULT_PERSONA,
+      codebasePath: config.codebasePath,
+      profile: config.profile,
+      ...getProviderLabel(config)
+    });
+    if (sessionName) {
+      status(`📂 Starting session "${sessionName}"`);
+    }
   }
   
-  const apiKey = await askQuestion(`Enter your ${provider} API key: `);
-  const model = await askQuestion(`Enter model ID (or press Enter for default): `) || DEFAULT_MODELS[provider];
-  const codebasePath = await askQuestion('Enter path to your codebase (or press Enter to skip): ');
+  const resolvedCodebasePath = codebasePath ? path.resolve(codebasePath) : chat.codebasePath;
   
-  const newConfig = {
-    ...config,
-    provider,
-    apiKey,
-    model,
-    codebasePath: codebasePath || null
-  };
+  // Resumed history already carries the codebase context, unless the codebase is different now
+  chat.contextSent = chat.history.length > 0 && resolvedCodebasePath === chat.codebasePath;
+  chat.codebasePath = resolvedCodebasePath;
+  chat.codebaseContext = null;
+  chat.contextOptions = contextOptions;
+  // Profiles to answer with when the configured one keeps failing
+  chat.fallbacks = fallbacks;
+  // Agent mode ({ maxSteps }): the model reads the codebase with tools instead of getting files up front
+  chat.agent = agent;
+  // Edit mode: the model answers with edits to the codebase, applied once confirmed (see reviewEdits)
+  chat.edit = edit;
+  // Fails with the list of personas if there is no such persona
+  chat.persona = (await getPersona(persona || chat.persona, chat.codebasePath)).name;
+  chat.profile = config.profile;
+  Object.assign(chat, getProviderLabel(config));
   
-  await saveConfig(newConfig);
-  console.log('\n✅ Configuration saved!');
+  return chat;
 }
 
-// Simple question prompt
-function askQuestion(question) {
-  return new Promise((resolve) => {
-    process.stdout.write(question);
-    process.stdin.once('data', (data) => {
-      resolve(data.toString().trim());
+// Report which code files were picked for the context and why
+function printContextFiles({ files, tokens, budget }) {
+  if (files.length === 0) {
+    return;
+  }
+  status(`📎 Context files (${files.length}, ${tokens.toLocaleString()} of ${budget.toLocaleString()} tokens):`);
+  for (const file of files) {
+    status(`   ${file.score.toFixed(1).padStart(5)}  ${file.path}:${file.lines[0]}-${file.lines[1]} (${file.tokens} tokens) — ${file.reasons.join('; ')}`);
+  }
+}
+
+// Report which @-mentions were inlined and which could not be read
+function printMentions(mentions) {
+  for (const { mention, error } of mentions) {
+    status(error ? `⚠️  @${mention}: ${error}` : `🔗 Included @${mention}`);
+  }
+}
+
+// Prices in USD, with enough decimals for requests that cost a fraction of a cent
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+// One line of token usage and cost, with prompt cache reads and writes when there were any
+function formatUsage({ inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, totalCost }, label = 'Tokens') {
+  const cache = cacheReadTokens || cacheWriteTokens
+    ? ` · cache: ${cacheReadTokens.toLocaleString()} read, ${cacheWriteTokens.toLocaleString()} written`
+    : '';
+  return `📊 ${label}: ${inputTokens.toLocaleString()} in, ${outputTokens.toLocaleString()} out${cache} · ${formatCost(totalCost)}`;
+}
+
+// Ask one question in a conversation, recording the answer and token usage (and saving named sessions).
+// Resolves to the answer, its usage, the context files sent with it, the @-mentions, the request
+// attempts made, the config that answered (a fallback profile's when the configured one failed),
+// in agent mode the tool calls and the files they inspected, and in edit mode the edits.
+async function runTurn(config, chat, question, { stream = true, header = null, print = true, attachments = [] } = {}) {
+  // @-mentions are resolved against the codebase, or the current directory without one
+  const { text: mentionedQuestion, mentions } = await parseMentions(question, chat.codebasePath || process.cwd());
+  printMentions(mentions);
+  const expandedQuestion = [mentionedQuestion, ...attachments].join('\n\n');
+  // The persona goes in the system prompt, so switching it applies from the next question on
+  const systemPrompt = getSystemPrompt(await getPersona(chat.persona, chat.codebasePath));
+  
+  // Codebase context is gathered once and only sent until the model has seen it
+  let contextFiles = [];
+  if (!chat.contextSent && chat.codebaseContext === null) {
+    // Without --context-budget, the context gets what the model's window leaves after the conversation so far
+    let usedTokens = await countTokens(systemPrompt) + await countTokens(expandedQuestion);
+    for (const message of chat.history) {
+      usedTokens += await countTokens(getMessageText(message.content));
+    }
+    const budget = chat.contextOptions.budget
+      || getConfiguredContextBudget(config, usedTokens, await getProviderModelInfo(config));
+    // In agent mode only the overview is sent; the model reads code files with its tools.
+    // In edit mode code files are numbered, for the :start_line: of the model's SEARCH blocks.
+    const context = await getCodebaseContext(chat.codebasePath, {
+      ...chat.contextOptions,
+      budget,
+      query: question,
+      overviewOnly: !!chat.agent,
+      lineNumbers: !!chat.edit
     });
-  });
+    chat.codebaseContext = [context.overview, context.details].filter(Boolean);
+    contextFiles = context.files;
+    printContextFiles(context);
+    if (context.mappedFiles > 0) {
+      status(`🗺️  Code map: ${context.mappedFiles} file${context.mappedFiles === 1 ? '' : 's'}`);
+    }
+  }
+  const context = chat.contextSent ? [] : chat.codebaseContext;
+  
+  const userMessage = { role: 'user', content: getUserMessage(context, expandedQuestion), ts: Date.now() };
+  const request = { systemPrompt, fallbacks: chat.fallbacks, stream, header, print };
+  let response;
+  if (chat.agent) {
+    response = await printAgentResponse(config, [...chat.history, userMessage], {
+      ...request,
+      codebasePath: chat.codebasePath,
+      contextOptions: chat.contextOptions,
+      maxSteps: chat.agent.maxSteps
+    });
+  } else if (chat.edit) {
+    response = await printEditResponse(config, [...chat.history, userMessage], {
+      ...request,
+      codebasePath: chat.codebasePath,
+      contextOptions: chat.contextOptions
+    });
+  } else {
+    response = await printResponse(config, [...chat.history, userMessage], request);
+  }
+  const { text, usage, attempts, config: answeredBy, toolCalls, inspectedFiles, edits } = response;
+  const answeredAt = Date.now();
+  
+  chat.history.push(userMessage, { role: 'assistant', content: text, ts: answeredAt });
+  chat.transcript.push({ role: 'user', content: question, ts: userMessage.ts }, { role: 'assistant', content: text, ts: answeredAt });
+  chat.contextSent = chat.contextSent || context.length > 0;
+  Object.assign(chat, getProviderLabel(config));
+  chat.tokensIn += usage.inputTokens;
+  chat.tokensOut += usage.outputTokens;
+  chat.cacheWrites += usage.cacheWriteTokens || 0;
+  chat.cacheReads += usage.cacheReadTokens || 0;
+  // Sessions saved before costs were tracked start from zero
+  chat.totalCost = (chat.totalCost || 0) + (usage.totalCost || 0);
+  if (print) {
+    status(formatUsage(usage));
+  }
+  
+  if (chat.name) {
+    await saveSession(chat);
+  }
+  
+  return { text, usage, contextFiles, mentions, attempts, answeredBy, toolCalls, inspectedFiles, edits };
 }
 
-// Create AI client based on provider
-function createClient(config) {
-  switch (config.provider) {
-    case 'anthropic':
-      return new Anthropic({
-        apiKey: config.apiKey,
-      });
-    case 'openai':
-      return new OpenAI({
-        apiKey: config.apiKey,
-      });
-    case 'openrouter':
-      return new OpenAI({
-        baseURL: 'https://openrouter.ai/api/v1',
-        apiKey: config.apiKey,
-        defaultHeaders: {
-          'HTTP-Referer': 'https://roo-cli.com',
-          'X-Title': 'Roo CLI'
+// Handle a slash command, returning false when the chat should end
+async function handleChatCommand(input, chat, config) {
+  const [command, ...rest] = input.split(/\s+/);
+  const argument = rest.join(' ').trim();
+  
+  switch (command) {
+    case '/exit':
+    case '/quit':
+      return false;
+    
+    case '/help':
+      console.log('Commands:');
+      for (const [usage, description] of CHAT_COMMANDS) {
+        console.log(`  ${usage.padEnd(18)} - ${description}`);
+      }
+      break;
+    
+    case '/persona':
+      if (argument) {
+        try {
+          chat.persona = (await getPersona(argument, chat.codebasePath)).name;
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+          break;
         }
-      });
+      }
+      console.log(`🎭 Persona: ${chat.persona}`);
+      break;
+    
+    case '/model':
+      if (argument) {
+        config.model = argument;
+        chat.model = argument;
+      }
+      console.log(`🧠 Model: ${chat.provider} (${chat.model})`);
+      break;
+    
+    case '/usage': {
+      const questions = chat.transcript.filter(entry => entry.role === 'user').length;
+      console.log(formatUsage({
+        inputTokens: chat.tokensIn,
+        outputTokens: chat.tokensOut,
+        cacheReadTokens: chat.cacheReads,
+        cacheWriteTokens: chat.cacheWrites,
+        totalCost: chat.totalCost
+      }, `Session (${questions} question${questions === 1 ? '' : 's'})`));
+      break;
+    }
+    
+    case '/codebase':
+      if (argument) {
+        // Context for the new codebase is gathered with the next question
+        chat.codebasePath = path.resolve(argument);
+        chat.codebaseContext = null;
+        chat.contextSent = false;
+      }
+      console.log(`📁 Codebase: ${chat.codebasePath || 'none'}`);
+      break;
+    
+    case '/clear':
+      chat.history = [];
+      chat.transcript = [];
+      chat.contextSent = false;
+      if (chat.name) {
+        await saveSession(chat);
+      }
+      console.log('🧹 Conversation cleared.');
+      break;
+    
+    case '/save': {
+      const file = path.resolve(argument || `roo-chat-${new Date().toISOString().replace(/[:.]/g, '-')}.md`);
+      await fs.writeFile(file, formatTranscript(chat));
+      console.log(`💾 Saved conversation to ${file}`);
+      break;
+    }
+    
     default:
-      throw new Error(`Unsupported provider: ${config.provider}`);
+      console.error(`❌ Unknown command: ${command}. Type /help for a list of commands.`);
   }
+  
+  return true;
 }
 
-// Get persona-specific prompt
-function getPersonaPrompt(persona, codebaseContext, userPrompt) {
-  const basePrompt = codebaseContext ? 
-    `You are an AI assistant helping with a codebase. Here is the context about the codebase:
-
-${codebaseContext}
+// Interactive multi-turn chat
+async function startChat(config, chat, { stream = true, attachments = [] } = {}) {
+  console.log('🤖 Roo CLI - Chat mode (type /help for commands, /exit to quit)');
+  console.log(`📡 ${chat.provider} (${chat.model})${chat.profile ? ` [${chat.profile}]` : ''} · 🎭 ${chat.persona}`);
+  if (chat.codebasePath) {
+    const reading = chat.agent ? `agent mode: the model reads files as it needs them, up to ${chat.agent.maxSteps} tool uses per question` : 'files are picked with your first question';
+    console.log(`🤖 Analyzing codebase: ${chat.codebasePath} (${reading})`);
+  }
+  console.log('');
+  
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'roo> ' });
+  rl.on('SIGINT', handleInterrupt);
+  rl.prompt();
+  
+  for await (const line of rl) {
+    const input = line.trim();
+    
+    if (input.startsWith('/')) {
+      if (!(await handleChatCommand(input, chat, config))) {
+        break;
+      }
+    } else if (input) {
+      try {
+        // --attach files go with the first question
+        await runTurn(config, chat, input, { stream, attachments: attachments.splice(0) });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log('⏹️  Response interrupted.');
+        } else {
+          console.error('❌ Error:', error.message);
+        }
+      }
+      console.log('');
+    }
+    
+    rl.prompt();
+  }
+  
+  rl.close();
+  console.log('👋 Goodbye!');
+}
 
-Now, please answer this question about the codebase:
+// List, show or delete saved sessions
+async function manageSessions(action = 'list', name = null) {
+  if (action === 'list') {
+    const sessions = await listSessions();
+    if (sessions.length === 0) {
+      console.log(`No saved sessions in ${SESSIONS_DIR}`);
+      return;
+    }
+    console.log('Saved sessions:');
+    for (const session of sessions) {
+      const updated = new Date(session.ts).toLocaleString();
+      console.log(`  ${session.name.padEnd(24)} ${String(session.turns).padStart(3)} questions  ${formatCost(session.totalCost).padStart(8)}  ${session.persona.padEnd(12)} ${session.model}  (${updated})`);
+    }
+    return;
+  }
+  
+  if (!name) {
+    console.error(`❌ Usage: node roo-cli.js --sessions ${action} <name>`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (action === 'show') {
+    const session = await loadSession(name);
+    if (!session) {
+      console.error(`❌ Session not found: ${name}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(formatTranscript(session));
+  } else if (action === 'delete') {
+    if (await deleteSession(name)) {
+      console.log(`🗑️  Deleted session "${name}"`);
+    } else {
+      console.error(`❌ Session not found: ${name}`);
+      process.exitCode = 1;
+    }
+  } else {
+    console.error('❌ Usage: node roo-cli.js --sessions [list|show <name>|delete <name>]');
+    process.exitCode = 1;
+  }
+}
 
-${userPrompt}` : userPrompt;
+// List a codebase's checkpoints, show what one changed (--diff) or undo it (--restore)
+async function manageCheckpoints(action, id, codebasePath) {
+  if (!codebasePath) {
+    console.error(`❌ ${action} needs a codebase: add --codebase /path/to/code (or set one with --setup).`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (action === '--checkpoints') {
+    const checkpoints = await listCheckpoints(codebasePath);
+    if (checkpoints.length === 0) {
+      console.log(`No checkpoints for ${path.resolve(codebasePath)} (they are saved when --edit applies changes)`);
+      return;
+    }
+    console.log(`Checkpoints for ${path.resolve(codebasePath)}:`);
+    for (const checkpoint of checkpoints) {
+      const created = new Date(checkpoint.createdAt).toLocaleString();
+      const files = `${checkpoint.files.length} file${checkpoint.files.length === 1 ? '' : 's'}`;
+      const description = checkpoint.type === 'restore' ? `undid ${checkpoint.description}` : checkpoint.description;
+      console.log(`  ${checkpoint.id}  ${checkpoint.type.padEnd(7)} ${files.padStart(8)}  ${description}  (${created})`);
+    }
+    return;
+  }
+  
+  if (action === '--diff') {
+    const diff = await getCheckpointDiff(codebasePath, id);
+    const color = process.stdout.isTTY && !process.env.NO_COLOR;
+    console.log(diff ? (color ? colorizeDiff(diff.trimEnd()) : diff.trimEnd()) : 'The checkpoint changed nothing.');
+    return;
+  }
+  
+  const { id: restoreId, files } = await restoreCheckpoint(codebasePath, id);
+  console.log(`⏪ Restored the files checkpoint ${id} changed in ${path.resolve(codebasePath)}`);
+  for (const file of files) {
+    console.log(`  ${file}`);
+  }
+  console.log(`🕒 Checkpoint ${restoreId}: undo the restore with --restore ${restoreId}`);
+}
 
-  switch (persona) {
-    case 'salesperson':
-      return `${basePrompt}
+// Severity markers for review findings
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', note: '💡' };
 
-IMPORTANT: Respond like a professional salesperson trying to sell this product to a potential customer:
-1. Focus on business value, benefits, and ROI
-2. Use persuasive, enthusiastic language
-3. Highlight key features and competitive advantages
-4. Address potential customer pain points
-5. Include specific benefits and use cases
-6. Be conversational and engaging
-7. Reference specific features from the codebase when relevant
-8. Avoid overly technical jargon unless explaining benefits
+// Print a review's summary and findings, grouped by file
+function printReview({ summary, findings }, changes) {
+  console.log(`Review of ${changes.scope} (${changes.files.length} file${changes.files.length === 1 ? '' : 's'}):\n`);
+  if (summary) {
+    console.log(`${summary}\n`);
+  }
+  let file = null;
+  for (const finding of findings) {
+    if (finding.file !== file) {
+      file = finding.file;
+      console.log(file);
+    }
+    const lines = finding.line ? `${finding.line}${finding.endLine ? `-${finding.endLine}` : ''}` : '-';
+    console.log(`  ${lines.padEnd(9)} ${SEVERITY_ICONS[finding.severity]} ${finding.severity.padEnd(8)} [${finding.category}] ${finding.message}`);
+    if (finding.suggestion) {
+      console.log(`  ${''.padEnd(9)}    ↳ ${finding.suggestion}`);
+    }
+  }
+  const counts = ['error', 'warning', 'note'].map((severity) => {
+    const count = findings.filter(finding => finding.severity === severity).length;
+    return `${count} ${severity}${count === 1 ? '' : 's'}`;
+  });
+  console.log(`${findings.length > 0 ? '\n' : ''}${findings.length > 0 ? counts.join(', ') : 'No findings.'}`);
+}
 
-Make it sound like you're genuinely excited about this product and its value to the customer.`;
+// The system prompt and context budget of a subcommand. Subcommands answer in a format of their
+// own, so the persona's is left out.
+async function getSubcommandPrompt(config, { cwd, persona, contextOptions, request }) {
+  const systemPrompt = getSystemPrompt({ ...(await getPersona(persona, cwd)), outputFormat: null });
+  const budget = contextOptions.budget
+    || getConfiguredContextBudget(config, await countTokens(systemPrompt) + await countTokens(request), await getProviderModelInfo(config));
+  return { systemPrompt, budget };
+}
 
-    case 'executive':
-      return `${basePrompt}
+// Send a subcommand's request (send(signal)), so Ctrl-C can cancel it
+async function sendSubcommandRequest(config, send) {
+  const { provider, model } = getProviderLabel(config);
+  status(`📡 Sending to ${provider} (${model})${config.profile ? ` [${config.profile}]` : ''}...\n`);
+  activeRequest = new AbortController();
+  try {
+    return await send(activeRequest.signal);
+  } finally {
+    activeRequest = null;
+  }
+}
 
-IMPORTANT: Respond like a business executive presenting to stakeholders:
-1. Focus on strategic value and business impact
-2. Use high-level, strategic language
-3. Emphasize ROI, market position, and competitive advantages
-4. Address business challenges and solutions
-5. Include market opportunities and growth potential
-6. Be confident and authoritative
-7. Reference business metrics and outcomes when possible
+// The model, usage, attempts and timing of a subcommand's answer, for its --json document
+function getJsonRunInfo({ config, usage, attempts }, startedAt) {
+  return {
+    ...getProviderLabel(config),
+    profile: config.profile,
+    usage: usage && {
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cacheWriteTokens: usage.cacheWriteTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      reasoningTokens: usage.reasoningTokens
+    },
+    cost: usage?.totalCost ?? null,
+    attempts,
+    timing: {
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime()
+    }
+  };
+}
 
-Present this as a strategic business opportunity.`;
+// `review`: review the working tree, staged or branch changes, printing the findings or writing
+// them as JSON or SARIF (format)
+async function runReview(config, { cwd, staged, base, focus, persona, contextOptions, fallbacks, format }) {
+  const startedAt = new Date();
+  const { systemPrompt, budget } = await getSubcommandPrompt(config, { cwd, persona, contextOptions, request: focus });
+  const changes = await collectReviewChanges(cwd, { staged, base, include: contextOptions.include, exclude: contextOptions.exclude, budget });
+  if (changes.skipped.length > 0) {
+    status(`🔒 Left out: ${changes.skipped.join(', ')}`);
+  }
+  
+  let review = { summary: '', findings: [], usage: null, attempts: [], config };
+  if (changes.files.length === 0) {
+    status(`✅ No ${changes.scope} to review in ${changes.root}`);
+  } else {
+    const sentWhole = changes.files.filter(file => file.included).length;
+    status(`🔍 Reviewing ${changes.scope} in ${changes.root}: ${changes.files.length} file${changes.files.length === 1 ? '' : 's'} (${sentWhole} in full), ${changes.outlined.length} nearby outlined, ${changes.tokens.toLocaleString()} tokens`);
+    review = await sendSubcommandRequest(config, signal => requestReview(config, changes, { systemPrompt, focus, fallbacks, signal, ...requestStatus }));
+  }
+  
+  if (format === 'sarif') {
+    console.log(JSON.stringify(formatSarif(review, { root: changes.root }), null, 2));
+  } else if (format === 'json') {
+    console.log(JSON.stringify({
+      summary: review.summary,
+      findings: review.findings,
+      scope: changes.scope,
+      root: changes.root,
+      files: changes.files,
+      skipped: changes.skipped,
+      ...getJsonRunInfo(review, startedAt)
+    }, null, 2));
+  } else if (changes.files.length > 0) {
+    printReview(review, changes);
+  }
+  if (review.usage) {
+    status(formatUsage(review.usage));
+  }
+}
 
-    case 'developer':
-      return `${basePrompt}
+// Collect the staged changes (or the branch's, with base) for commit-msg and changeset; there
+// have to be some
+async function collectSubcommandChanges(cwd, { base = null, contextOptions, budget }) {
+  const changes = await collectStagedChanges(cwd, { base, include: contextOptions.include, exclude: contextOptions.exclude, budget });
+  if (changes.skipped.length > 0) {
+    status(`🔒 Left out of the diff: ${changes.skipped.join(', ')}`);
+  }
+  if (changes.files.length === 0) {
+    throw new Error(base
+      ? `No changes since ${base} in ${changes.root}`
+      : `No staged changes in ${changes.root}${changes.skipped.length > 0 ? ' that can be sent' : ': stage them with git add first'}`);
+  }
+  return changes;
+}
 
-IMPORTANT: Respond like a senior developer explaining to another developer:
-1. Focus on technical architecture and implementation details
-2. Use technical terminology and code examples
-3. Explain design patterns, best practices, and technical decisions
-4. Include code snippets and technical explanations
-5. Address technical challenges and solutions
-6. Be precise and technically accurate
-7. Reference specific code patterns and implementations
+// `commit-msg`: write a conventional commit message for the staged changes and print it, or
+// commit with it once confirmed (write, and yes to skip asking)
+async function runCommitMessage(config, { cwd, hint, persona, contextOptions, fallbacks, json, write, yes }) {
+  const startedAt = new Date();
+  const { systemPrompt, budget } = await getSubcommandPrompt(config, { cwd, persona, contextOptions, request: hint });
+  const changes = await collectSubcommandChanges(cwd, { contextOptions, budget });
+  // What is committed has to be what the message was written for
+  const tree = write ? await getStagedTree(changes.root) : null;
+  status(`✍️  Writing a commit message for ${changes.files.length} staged file${changes.files.length === 1 ? '' : 's'} in ${changes.root}, ${changes.tokens.toLocaleString()} tokens`);
+  const response = await sendSubcommandRequest(config, signal => requestCommitMessage(config, changes, { systemPrompt, hint, fallbacks, signal, ...requestStatus }));
+  if (!json) {
+    console.log(response.message.trimEnd());
+  }
+  
+  // As with --edit, the commit is only made once confirmed, or straight away with --yes
+  let commit = null;
+  if (write) {
+    let confirmed = yes;
+    if (!yes && (json || !process.stdin.isTTY)) {
+      // There is nobody to ask with --json or when stdin is not a terminal
+      status('\n✋ Not committed: add --yes to commit with this message without asking.');
+    } else if (!yes) {
+      const answer = await askQuestion('\nCommit the staged changes with this message? [y/N] ');
+      process.stdin.pause();
+      confirmed = /^y(es)?$/i.test(answer);
+      if (!confirmed) {
+        status('⏭️  Not committed.');
+      }
+    }
+    if (confirmed) {
+      commit = await commitStaged(changes.root, response.message, tree);
+    }
+  }
+  
+  if (json) {
+    console.log(JSON.stringify({
+      message: response.message,
+      commit,
+      root: changes.root,
+      files: changes.files,
+      skipped: changes.skipped,
+      packages: (changes.packages || []).map(pkg => pkg.name),
+      ...getJsonRunInfo(response, startedAt)
+    }, null, 2));
+  }
+  if (commit) {
+    status(`\n✅ Committed ${commit}: ${response.header}`);
+    status('   Change the message with git commit --amend');
+  }
+  if (response.usage) {
+    status(formatUsage(response.usage));
+  }
+}
 
-Provide detailed technical insights and code-level explanations.`;
+// `changeset`: draft a changeset for the workspace packages the staged changes (or the branch's,
+// with base) touch and print it, or add it to .changeset (write)
+async function runChangeset(config, { cwd, base, hint, persona, contextOptions, fallbacks, json, write }) {
+  const startedAt = new Date();
+  const { systemPrompt, budget } = await getSubcommandPrompt(config, { cwd, persona, contextOptions, request: hint });
+  const changes = await collectSubcommandChanges(cwd, { base, contextOptions, budget });
+  const packages = await getReleasablePackages(changes.root, changes.packages);
+  
+  let changeset = { releases: [], summary: '', content: '', usage: null, attempts: [], config };
+  if (packages.length === 0) {
+    const touched = changes.packages.map(pkg => pkg.name);
+    status(`ℹ️  The ${changes.scope} touch no package to release${touched.length > 0 ? ` (only ${touched.join(', ')})` : ''}, so no changeset is needed.`);
+  } else {
+    status(`📦 Packages to release: ${packages.map(pkg => pkg.name).join(', ')}`);
+    status(`✍️  Writing a changeset for ${changes.files.length} changed file${changes.files.length === 1 ? '' : 's'} in ${changes.root}, ${changes.tokens.toLocaleString()} tokens`);
+    changeset = await sendSubcommandRequest(config, signal => requestChangeset(config, changes, packages, { systemPrompt, hint, fallbacks, signal, ...requestStatus }));
+  }
+  
+  const file = write && changeset.content ? await writeChangeset(changes.root, changeset) : null;
+  if (json) {
+    console.log(JSON.stringify({
+      releases: changeset.releases,
+      summary: changeset.summary,
+      content: changeset.content,
+      file,
+      scope: changes.scope,
+      root: changes.root,
+      files: changes.files,
+      skipped: changes.skipped,
+      ...getJsonRunInfo(changeset, startedAt)
+    }, null, 2));
+  } else if (changeset.content) {
+    console.log(changeset.content.trimEnd());
+  }
+  if (file) {
+    status(`\n✅ Added ${file}`);
+  }
+  if (changeset.usage) {
+    status(formatUsage(changeset.usage));
+  }
+}
 
-    case 'technical':
-    default:
-      return `${basePrompt}
+// The --json document for an answered prompt
+function formatJsonResult(chat, { text, usage, contextFiles, mentions, attempts, answeredBy, toolCalls, inspectedFiles, edits, checkpoint }, startedAt) {
+  return {
+    response: text,
+    // What answered, which is a fallback profile when the configured one failed
+    ...getProviderLabel(answeredBy),
+    profile: answeredBy.profile,
+    persona: chat.persona,
+    session: chat.name,
+    codebasePath: chat.codebasePath,
+    contextFiles: contextFiles.map(({ path: filePath, lines, tokens, score, reasons }) => ({ path: filePath, lines, tokens, score, reasons })),
+    mentions,
+    usage: {
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cacheWriteTokens: usage.cacheWriteTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      reasoningTokens: usage.reasoningTokens
+    },
+    // Estimated price in USD, as reported by the provider or worked out from the model's prices
+    cost: usage.totalCost ?? null,
+    // Every request made, failed ones with their error
+    attempts,
+    // Agent mode: each tool use, and the files read or searched
+    ...(chat.agent && { agent: { maxSteps: chat.agent.maxSteps, toolCalls, inspectedFiles } }),
+    // Edit mode: each file's edit, with status ready (not applied), applied, unchanged or failed
+    ...(chat.edit && { edits: edits.map(({ path: filePath, status: editStatus, diff, error }) => ({ path: filePath, status: editStatus, diff, error: error || null })) }),
+    // The checkpoint saved before the edits were applied (see --restore)
+    ...(chat.edit && { checkpoint: checkpoint || null }),
+    timing: {
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime()
+    }
+  };
+}
 
-IMPORTANT: When answering questions about the codebase:
-1. Reference specific code snippets and file names from the provided context
-2. Show actual code examples from the files when relevant
-3. Explain how the code works with concrete examples
-4. Point to specific functions, classes, or methods in the code
-5. Provide detailed, technical explanations with code references
+// List the personas available for a codebase, and where each one is defined
+async function showPersonas(codebasePath = null) {
+  const personas = await loadPersonas(codebasePath ? path.resolve(codebasePath) : null);
+  console.log(`Personas${codebasePath ? ` for ${path.resolve(codebasePath)}` : ''}:`);
+  for (const persona of personas.values()) {
+    console.log(`  ${persona.name.padEnd(14)} ${persona.description}`);
+    console.log(`  ${''.padEnd(14)} ${persona.source}`);
+  }
+  console.log(`\nAdd your own in ${USER_PERSONAS_DIR} or <codebase>/.roo/personas (Markdown or YAML).`);
+}
 
-Please provide detailed, helpful answers about the code structure, functionality, and include relevant code examples from the actual files.`;
+// Show the configuration a profile (or the default profile) resolves to, with keys masked unless revealed
+async function showConfig(profileName = null, overrides = {}, reveal = false) {
+  const config = await loadConfig(profileName, overrides, { secrets: reveal });
+  console.log(`Current configuration${config.profile ? ` (profile "${config.profile}")` : ''}:`);
+  console.log(JSON.stringify(reveal ? config : maskSecrets(config), null, 2));
+  const variables = Object.keys(ENV_SETTINGS).filter(name => process.env[name]);
+  if (variables.length > 0) {
+    console.log(`\nOverridden by environment: ${variables.join(', ')}`);
+  }
+  if (!reveal) {
+    console.log('\nKeys are masked; add --reveal to show them.');
+  }
+  
+  const stats = await fs.stat(CONFIG_FILE).catch(() => null);
+  if (stats && (stats.mode & 0o077)) {
+    console.log(`⚠️  ${CONFIG_FILE} is readable by other users. Run "chmod 600 ${CONFIG_FILE}" (it is also fixed the next time it is saved).`);
   }
 }
 
-// Send message to AI with codebase context
-async function sendMessage(config, prompt, codebasePath = null, persona = 'technical') {
-  const client = createClient(config);
+// Show, enable or disable the encrypted keystore for the config file's keys
+async function manageKeystore(action = 'status', options = []) {
+  const keyFileIndex = options.indexOf('--key-file');
+  const keyFile = keyFileIndex >= 0 ? options[keyFileIndex + 1] : null;
   
-  // Get codebase context if available
-  const codebaseContext = await getCodebaseContext(codebasePath || config.codebasePath);
+  if (action === 'status') {
+    const keystore = (await readConfigFile())?.keystore;
+    if (!keystore) {
+      console.log(`🔓 Keystore disabled: keys are stored unencrypted in ${CONFIG_FILE}.`);
+      console.log('   Run "node roo-cli.js --keystore enable" to encrypt them.');
+    } else {
+      console.log(`🔐 Keystore enabled: keys are encrypted in ${KEYSTORE_FILE}`);
+      console.log(`   Unlocked with ${keystore.keyFile ? `the key file ${keystore.keyFile}` : 'a passphrase'} (or ROO_CLI_KEYSTORE_PASSPHRASE / ROO_CLI_KEYSTORE_KEY_FILE).`);
+    }
+    return;
+  }
   
-  // Build the full prompt with persona-specific instructions
-  const fullPrompt = getPersonaPrompt(persona, codebaseContext, prompt);
+  if (!['enable', 'disable'].includes(action) || (keyFileIndex >= 0 && !keyFile)) {
+    console.error('❌ Usage: node roo-cli.js --keystore [status|enable [--key-file path]|disable]');
+    process.exitCode = 1;
+    return;
+  }
   
   try {
-    if (config.provider === 'anthropic') {
-      const response = await client.messages.create({
-        model: config.model,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        messages: [{ role: 'user', content: fullPrompt }]
-      });
-      return response.content[0].text;
+    if (action === 'enable') {
+      const enabled = await enableKeystore(keyFile ? { keyFile: path.resolve(keyFile) } : true);
+      console.log(enabled ? `🔐 Keys moved to the encrypted keystore ${KEYSTORE_FILE}` : 'The keystore is already enabled.');
     } else {
-      // OpenAI and OpenRouter
-      const response = await client.chat.completions.create({
-        model: config.model,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        messages: [{ role: 'user', content: fullPrompt }]
-      });
-      return response.choices[0].message.content;
+      const disabled = await disableKeystore();
+      console.log(disabled ? `🔓 Keys moved back to ${CONFIG_FILE}` : 'The keystore is not enabled.');
     }
   } catch (error) {
-    throw new Error(`AI request failed: ${error.message}`);
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
   }
 }
 
+// List the models the configured server offers, marking the one in use
+async function showModels(profileName = null, overrides = {}) {
+  const config = await loadConfig(profileName, overrides);
+  const models = await listModels(config);
+  const { provider, model } = getProviderLabel(config);
+  if (models.length === 0) {
+    console.log(`No models found for ${provider}. Is the server running?`);
+    return;
+  }
+  console.log(`Models available from ${provider}:`);
+  printModels(models, model);
+}
+
+// List profiles, or change the default profile or delete one
+async function manageProfiles(action = 'list', name = null) {
+  if (action === 'list') {
+    const fileConfig = await readConfigFile();
+    const { names, defaultName } = getProfiles(fileConfig);
+    if (names.length === 0) {
+      console.log(`No profiles in ${CONFIG_FILE}. Create one with "node roo-cli.js --setup --profile <name>".`);
+      return;
+    }
+    console.log('Profiles:');
+    for (const profileName of names) {
+      const { provider, model } = getProviderLabel(resolveProfile(fileConfig, profileName));
+      console.log(`${profileName === defaultName ? '*' : ' '} ${profileName.padEnd(20)} ${provider} (${model})`);
+    }
+    return;
+  }
+  
+  if (!name || !['default', 'delete'].includes(action)) {
+    console.error('❌ Usage: node roo-cli.js --profiles [list|default <name>|delete <name>]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const found = action === 'default' ? await setDefaultProfile(name) : await deleteProfile(name);
+  if (!found) {
+    console.error(`❌ Profile not found: ${name}`);
+    process.exitCode = 1;
+  } else if (action === 'default') {
+    console.log(`⭐ "${name}" is now the default profile`);
+  } else {
+    console.log(`🗑️  Deleted profile "${name}"`);
+  }
+}
+
+// Print usage information
+function printUsage() {
+  console.log('🤖 Roo CLI - Standalone AI Assistant\n');
+  console.log('Usage:');
+  console.log('  node roo-cli.js "your prompt"                                    - Send a prompt to AI');
+  console.log('  node roo-cli.js --codebase /path/to/code "prompt"                - Ask about specific codebase');
+  console.log('  node roo-cli.js --persona salesperson "prompt"                   - Respond as a salesperson');
+  console.log('  node roo-cli.js --codebase /path/to/code --persona salesperson "prompt" - Sales pitch about codebase');
+  console.log('  node roo-cli.js --personas [--codebase /path/to/code]            - List the personas, including your own');
+  console.log('  node roo-cli.js --include "dist/**" --exclude "**/*.test.ts" "prompt" - Adjust which files are sent (repeatable)');
+  console.log('  node roo-cli.js --max-files 20 --context-budget 40000 "prompt" - How many files / tokens of context to send');
+  console.log('  node roo-cli.js --code-map --codebase /path/to/code "prompt"     - Add a map of every file\'s classes and functions');
+  console.log('  node roo-cli.js --agent --codebase /path/to/code "prompt"        - Let the model read, search and list files itself');
+  console.log('  node roo-cli.js --agent --max-steps 20 "prompt"                  - Allow more tool uses per question (default 10)');
+  console.log('  node roo-cli.js --edit --codebase /path/to/code "prompt"         - Have the model edit files; shows the diff and asks first');
+  console.log('  node roo-cli.js --edit --yes "prompt"                            - Apply the edits without asking (for scripts)');
+  console.log('  node roo-cli.js --checkpoints [--codebase /path/to/code]         - List the checkpoints saved before edits');
+  console.log('  node roo-cli.js review [--staged | --base main] ["focus"]        - Review the working tree, staged or branch changes');
+  console.log('  node roo-cli.js review --base main --sarif > review.sarif        - Findings as SARIF (or --json) for annotation tools');
+  console.log('  node roo-cli.js commit-msg [--write [--yes]] ["hint"]            - Conventional commit message for the staged changes (--write commits)');
+  console.log('  node roo-cli.js changeset [--base main] [--write]                - Draft a changeset for the workspace packages touched (--write adds it)');
+  console.log('  node roo-cli.js --diff <id> | --restore <id>                     - Show what a checkpoint changed / undo it');
+  console.log('  node roo-cli.js "Why does @/src/auth.ts fail?"                   - Inline files (@/path), folders (@/dir/), URLs, @git-changes');
+  console.log('  git diff | node roo-cli.js "review this"                         - Send piped input along with the prompt');
+  console.log('  node roo-cli.js --prompt-file prompt.md                          - Read the prompt from a file (- for stdin)');
+  console.log('  node roo-cli.js --attach src/app.ts --attach docs/ "prompt"      - Include files or folders (repeatable)');
+  console.log('  node roo-cli.js --no-stream "prompt"                             - Wait for the full response (for scripts)');
+  console.log('  node roo-cli.js --json "prompt"                                  - Print one JSON document: answer, model, context files, usage, timing');
+  console.log('  node roo-cli.js --chat [--codebase /path/to/code]                - Interactive chat with follow-up questions');
+  console.log('  node roo-cli.js --session name ["prompt"]                        - Continue (or start) a saved session');
+  console.log('  node roo-cli.js --sessions [list|show <name>|delete <name>]      - Manage saved sessions');
+  console.log('  node roo-cli.js --setup [--profile name]                         - Configure API keys (for a named profile)');
+  console.log('  node roo-cli.js --setup --provider anthropic --api-key-env KEY_VAR - Configure without prompts (for CI); also --model, --base-url, --codebase');
+  console.log('  node roo-cli.js --profile name "prompt"                          - Use a named profile instead of the default');
+  console.log('  node roo-cli.js --provider ollama --model llama3:8b "prompt"     - Override the configured provider or model for one run');
+  console.log('  node roo-cli.js --retries 5 --fallback openrouter,local "prompt"  - Retry failed requests, then try other profiles');
+  console.log('  node roo-cli.js --profiles [list|default <name>|delete <name>]   - Manage profiles');
+  console.log('  node roo-cli.js --models                                         - List the models a local server offers');
+  console.log('  node roo-cli.js --config [--reveal]                              - Show current config (keys masked unless revealed)');
+  console.log('  node roo-cli.js --keystore [status|enable [--key-file path]|disable] - Encrypt the stored keys');
+  console.log('  node roo-cli.js --help                                           - Show this help');
+  console.log('\nBuilt-in personas (add your own in ~/.roo-cli/personas or <codebase>/.roo/personas):');
+  console.log('  technical    - Respond with technical details (default)');
+  console.log('  salesperson  - Respond like a salesperson selling the product');
+  console.log('  executive    - Respond like a business executive');
+  console.log('  developer    - Respond like a developer explaining to another dev');
+  console.log('  demo         - Write a product demo script with UI selectors');
+  console.log('\nEnvironment variables (override the config file; flags override them):');
+  console.log('  ROO_CLI_PROFILE, ROO_CLI_PROVIDER, ROO_CLI_API_KEY, ROO_CLI_BASE_URL, ROO_CLI_MODEL,');
+  console.log('  ROO_CLI_TEMPERATURE, ROO_CLI_MAX_TOKENS, ROO_CLI_CONTEXT_WINDOW, ROO_CLI_CODEBASE,');
+  console.log('  ROO_CLI_MAX_RETRIES, ROO_CLI_FALLBACK_PROFILES (comma-separated), ROO_CLI_AGENT_MAX_STEPS,');
+  console.log('  ROO_CLI_CONFIG (path of the config file)');
+}
+
 // Main CLI function
 async function main() {
   const args = process.argv.slice(2);
   
-  if (args.length === 0) {
-    console.log('🤖 Roo CLI - Standalone AI Assistant\n');
-    console.log('Usage:');
-    console.log('  node roo-cli.js "your prompt"                                    - Send a prompt to AI');
-    console.log('  node roo-cli.js --codebase /path/to/code "prompt"                - Ask about specific codebase');
-    console.log('  node roo-cli.js --persona salesperson "prompt"                   - Respond as a salesperson');
-    console.log('  node roo-cli.js --codebase /path/to/code --persona salesperson "prompt" - Sales pitch about codebase');
-    console.log('  node roo-cli.js --setup                                          - Configure API keys');
-    console.log('  node roo-cli.js --config                                         - Show current config');
-    console.log('\nAvailable personas:');
-    console.log('  salesperson  - Respond like a salesperson selling the product');
-    console.log('  technical    - Respond with technical details (default)');
-    console.log('  executive    - Respond like a business executive');
-    console.log('  developer    - Respond like a developer explaining to another dev');
+  if (args[0] === '--help' || args[0] === '-h') {
+    printUsage();
+    return;
+  }
+  
+  if (args[0] === '--sessions') {
+    await manageSessions(args[1], args[2]);
     return;
   }
   
-  if (args[0] === '--setup') {
-    await setup();
+  if (args[0] === '--profiles') {
+    await manageProfiles(args[1], args[2]);
     return;
   }
   
-  if (args[0] === '--config') {
-    const config = await loadConfig();
-    console.log('Current configuration:');
-    console.log(JSON.stringify(config, null, 2));
+  if (args[0] === '--keystore') {
+    await manageKeystore(args[1], args.slice(2));
     return;
   }
   
   // Handle flags
+  let command = null;
+  let profileName = null;
+  let apiKeyEnv = null;
+  let reveal = false;
+  let json = false;
+  const overrides = {};
   let codebasePath = null;
-  let persona = 'technical';
+  let persona = null;
+  let sessionName = null;
+  const include = [];
+  const exclude = [];
+  let maxFiles = null;
+  let budget = null;
+  let stream = true;
+  let chatMode = false;
+  let codeMap = false;
+  let agentMode = false;
+  let editMode = false;
+  let yes = false;
+  let checkpointId = null;
+  // Subcommands come first: review, commit-msg, changeset
+  const subcommand = ['review', 'commit-msg', 'changeset'].includes(args[0]) ? args[0] : null;
+  let staged = false;
+  let base = null;
+  let sarif = false;
+  let write = false;
+  let promptFile = null;
+  const attachPaths = [];
   let prompt = '';
-  let i = 0;
+  let i = subcommand ? 1 : 0;
   
   while (i < args.length) {
     if (args[i] === '--codebase') {
       if (i + 1 >= args.length) {
-        console.log('❌ Usage: node roo-cli.js --codebase /path/to/code "your prompt"');
+        console.error('❌ Usage: node roo-cli.js --codebase /path/to/code "your prompt"');
+        process.exitCode = 1;
         return;
       }
       codebasePath = args[i + 1];
       i += 2;
     } else if (args[i] === '--persona') {
       if (i + 1 >= args.length) {
-        console.log('❌ Usage: node roo-cli.js --persona [salesperson|technical|executive|developer] "your prompt"');
+        console.error('❌ Usage: node roo-cli.js --persona name "your prompt" (see --personas)');
+        process.exitCode = 1;
         return;
       }
       persona = args[i + 1];
       i += 2;
+    } else if (args[i] === '--session') {
+      if (i + 1 >= args.length) {
+        console.error('❌ Usage: node roo-cli.js --session name "your prompt"');
+        process.exitCode = 1;
+        return;
+      }
+      sessionName = args[i + 1];
+      i += 2;
+    } else if (args[i] === '--include' || args[i] === '--exclude') {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i]} "src/**/*.ts" "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      (args[i] === '--include' ? include : exclude).push(args[i + 1]);
+      i += 2;
+    } else if (args[i] === '--max-files' || args[i] === '--context-budget') {
+      const value = parseInt(args[i + 1], 10);
+      if (!(value > 0)) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i]} <number> "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      if (args[i] === '--max-files') {
+        maxFiles = value;
+      } else {
+        budget = value;
+      }
+      i += 2;
+    } else if (args[i] === '--max-steps') {
+      try {
+        overrides.agentMaxSteps = parseNumberSetting('--max-steps', args[i + 1] ?? '', 'integer');
+      } catch (error) {
+        console.error(`❌ ${error.message}. Usage: node roo-cli.js --agent --max-steps <number> "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      i += 2;
+    } else if (args[i] === '--retries' || args[i] === '--fallback') {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i] === '--retries' ? '--retries <number>' : '--fallback profile1,profile2'} "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      if (args[i] === '--retries') {
+        try {
+          overrides.maxRetries = parseNumberSetting('--retries', args[i + 1], 'count');
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+          process.exitCode = 1;
+          return;
+        }
+      } else {
+        overrides.fallbackProfiles = args[i + 1].split(',').map(name => name.trim()).filter(Boolean);
+      }
+      i += 2;
+    } else if (args[i] === '--profile') {
+      if (i + 1 >= args.length) {
+        console.error('❌ Usage: node roo-cli.js --profile name "your prompt"');
+        process.exitCode = 1;
+        return;
+      }
+      profileName = args[i + 1];
+      i += 2;
+    } else if (['--provider', '--model', '--base-url', '--api-key-env'].includes(args[i])) {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i]} value "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      if (args[i] === '--api-key-env') {
+        apiKeyEnv = args[i + 1];
+      } else {
+        overrides[{ '--provider': 'provider', '--model': 'model', '--base-url': 'baseUrl' }[args[i]]] = args[i + 1];
+      }
+      i += 2;
+    } else if (args[i] === '--restore' || args[i] === '--diff') {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i]} <checkpoint id> (see --checkpoints)`);
+        process.exitCode = 1;
+        return;
+      }
+      command = args[i];
+      checkpointId = args[i + 1];
+      i += 2;
+    } else if (['--setup', '--config', '--models', '--personas', '--checkpoints'].includes(args[i])) {
+      // Commands can be combined with --profile, before or after it
+      command = args[i];
+      i += 1;
+    } else if (args[i] === '--json') {
+      json = true;
+      i += 1;
+    } else if (args[i] === '--sarif') {
+      sarif = true;
+      i += 1;
+    } else if (args[i] === '--staged') {
+      staged = true;
+      i += 1;
+    } else if (args[i] === '--write') {
+      write = true;
+      i += 1;
+    } else if (args[i] === '--base') {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${subcommand === 'changeset' ? 'changeset' : 'review'} --base <branch or commit>`);
+        process.exitCode = 1;
+        return;
+      }
+      base = args[i + 1];
+      i += 2;
+    } else if (args[i] === '--reveal') {
+      reveal = true;
+      i += 1;
+    } else if (args[i] === '--no-stream') {
+      stream = false;
+      i += 1;
+    } else if (args[i] === '--chat') {
+      chatMode = true;
+      i += 1;
+    } else if (args[i] === '--code-map') {
+      codeMap = true;
+      i += 1;
+    } else if (args[i] === '--agent') {
+      agentMode = true;
+      i += 1;
+    } else if (args[i] === '--edit') {
+      editMode = true;
+      i += 1;
+    } else if (args[i] === '--yes' || args[i] === '-y') {
+      yes = true;
+      i += 1;
+    } else if (args[i] === '--prompt-file' || args[i] === '--attach') {
+      if (i + 1 >= args.length) {
+        console.error(`❌ Usage: node roo-cli.js ${args[i]} path/to/file "your prompt"`);
+        process.exitCode = 1;
+        return;
+      }
+      if (args[i] === '--prompt-file') {
+        promptFile = args[i + 1];
+      } else {
+        attachPaths.push(args[i + 1]);
+      }
+      i += 2;
     } else {
       prompt = args.slice(i).join(' ');
       break;
     }
   }
   
-  if (!prompt) {
-    console.log('❌ No prompt provided. Usage: node roo-cli.js "your prompt"');
+  // The key is read from a variable so it stays out of shell history and process lists
+  if (apiKeyEnv) {
+    if (!process.env[apiKeyEnv]) {
+      console.error(`❌ Environment variable ${apiKeyEnv} (from --api-key-env) is not set.`);
+      process.exitCode = 1;
+      return;
+    }
+    overrides.apiKey = process.env[apiKeyEnv];
+  }
+  
+  if (command) {
+    try {
+      if (command === '--setup') {
+        await setup(profileName, { ...overrides, codebasePath });
+      } else if (command === '--config') {
+        await showConfig(profileName, overrides, reveal);
+      } else if (command === '--personas') {
+        await showPersonas(codebasePath || (await loadConfig(profileName, overrides, { secrets: false })).codebasePath);
+      } else if (['--checkpoints', '--diff', '--restore'].includes(command)) {
+        await manageCheckpoints(command, checkpointId, codebasePath || (await loadConfig(profileName, overrides, { secrets: false })).codebasePath);
+      } else {
+        await showModels(profileName, overrides);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
+  // The prompt is --prompt-file, then the prompt words, then anything piped in.
+  // Chat mode reads its questions from stdin instead.
+  let attachments;
+  try {
+    const parts = [];
+    if (promptFile) {
+      parts.push(promptFile === '-' ? await readStdin() : await fs.readFile(promptFile, 'utf8'));
+    }
+    if (prompt) {
+      parts.push(prompt);
+    }
+    if (!chatMode && promptFile !== '-' && !process.stdin.isTTY) {
+      const input = await readStdin();
+      if (input.trim()) {
+        parts.push(parts.length > 0 ? `<stdin>\n${input.trimEnd()}\n</stdin>` : input);
+      }
+    }
+    prompt = parts.map(part => part.trim()).filter(Boolean).join('\n\n');
+    attachments = await Promise.all(attachPaths.map(attachPath => readAttachment(attachPath)));
+  } catch (error) {
+    console.error(`❌ Could not read input: ${error.message}`);
+    process.exitCode = 1;
     return;
   }
   
-  const config = await loadConfig();
+  // The subcommands' flags only apply to the subcommands that take them
+  const subcommandFlags = [
+    ['--staged', staged, ['review', 'commit-msg', 'changeset']],
+    ['--base', base, ['review', 'changeset']],
+    ['--sarif', sarif, ['review']],
+    ['--write', write, ['commit-msg', 'changeset']]
+  ];
+  for (const [flag, used, subcommands] of subcommandFlags) {
+    if (used && !subcommands.includes(subcommand)) {
+      console.error(`❌ ${flag} is for ${subcommands.join(' and ').replace(/ and (?=.* and )/, ', ')}${subcommand ? `, not ${subcommand}` : ''} (see --help).`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  if (staged && base) {
+    console.error('❌ Use either the staged changes (--staged) or a branch (--base), not both.');
+    process.exitCode = 1;
+    return;
+  }
   
-  if (!config.apiKey) {
-    console.log('❌ No API key configured. Run "node roo-cli.js --setup" to configure.');
+  if (!prompt && !chatMode && !subcommand && !process.stdin.isTTY) {
+    console.error('❌ No prompt provided. Usage: node roo-cli.js "your prompt" (or pipe it in)');
+    process.exitCode = 1;
     return;
   }
   
-  const provider = config.provider;
-  const model = config.model;
+  // Edits answer a single prompt, without the agent's tools
+  if (editMode && (agentMode || chatMode || !prompt)) {
+    console.error('❌ --edit takes a prompt and can\'t be combined with --agent or --chat. Usage: node roo-cli.js --edit --codebase /path/to/code "your prompt"');
+    process.exitCode = 1;
+    return;
+  }
   
-  if (codebasePath) {
-    console.log(`🤖 Analyzing codebase: ${codebasePath}`);
+  let config;
+  let fallbacks;
+  try {
+    config = await loadConfig(profileName, overrides);
+    if (!(await hasProviderCredentials(config))) {
+      console.error(`❌ No API key configured. Run "node roo-cli.js --setup${config.profile ? ` --profile ${config.profile}` : ''}" to configure.`);
+      process.exitCode = 1;
+      return;
+    }
+    // Fails on an unknown profile now rather than when it is needed
+    fallbacks = await loadFallbackConfigs(config);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Subcommands work on the git repository of --codebase, or of the current directory
+  if (subcommand) {
+    const format = sarif ? 'sarif' : json ? 'json' : 'text';
+    const options = {
+      cwd: path.resolve(codebasePath || process.cwd()),
+      persona,
+      contextOptions: { include, exclude, budget },
+      fallbacks
+    };
+    try {
+      if (subcommand === 'review') {
+        await runReview(config, { ...options, staged, base, focus: prompt, format });
+      } else if (subcommand === 'commit-msg') {
+        await runCommitMessage(config, { ...options, hint: prompt, json, write, yes });
+      } else {
+        await runChangeset(config, { ...options, base, hint: prompt, json, write });
+      }
+    } catch (error) {
+      process.exitCode = error.name === 'AbortError' ? 130 : 1;
+      if (format !== 'text') {
+        console.log(JSON.stringify({ error: error.message, attempts: error.attempts || [] }, null, 2));
+      } else if (error.name === 'AbortError') {
+        status('\n⏹️  Interrupted.');
+      } else {
+        console.error('❌ Error:', error.message);
+        // An answer that can't be parsed is shown as it is
+        if (error.text) {
+          status(`\nThe model answered:\n${error.text}`);
+        }
+      }
+    }
+    return;
   }
-  console.log(`🎭 Persona: ${persona}`);
-  console.log(`📡 Sending to ${provider} (${model})...\n`);
   
+  let chat;
   try {
-    const response = await sendMessage(config, prompt, codebasePath, persona);
-    console.log('AI Response:');
-    console.log(response);
+    chat = await openChat(config, {
+      sessionName,
+      codebasePath,
+      persona,
+      contextOptions: {
+        include,
+        exclude,
+        maxFiles: maxFiles || config.maxContextFiles || DEFAULT_CONTEXT_OPTIONS.maxFiles,
+        budget,
+        codeMap: codeMap || !!config.codeMap
+      },
+      fallbacks,
+      agent: agentMode ? { maxSteps: config.agentMaxSteps || DEFAULT_AGENT_MAX_STEPS } : null,
+      edit: editMode
+    });
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // The agent's tools and the edits work on a codebase
+  if ((agentMode || editMode) && !chat.codebasePath) {
+    console.error(`❌ ${agentMode ? '--agent' : '--edit'} needs a codebase: add --codebase /path/to/code (or set one with --setup).`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // No prompt on an interactive terminal opens chat mode
+  if (chatMode || !prompt) {
+    await startChat(config, chat, { stream, attachments });
+    return;
+  }
+  
+  const { provider, model } = getProviderLabel(config);
+  
+  if (codebasePath) {
+    status(`🤖 Analyzing codebase: ${codebasePath}`);
+  }
+  status(`🎭 Persona: ${chat.persona}`);
+  if (chat.agent) {
+    status(`🧰 Agent mode: up to ${chat.agent.maxSteps} tool uses`);
+  }
+  if (chat.edit) {
+    status(`✏️  Edit mode: ${yes ? 'edits are applied without asking' : 'edits are shown before they are applied'}`);
+  }
+  status(`📡 Sending to ${provider} (${model})${config.profile ? ` [${config.profile}]` : ''}...\n`);
+  
+  const startedAt = new Date();
+  try {
+    const result = await runTurn(config, chat, prompt, { stream, header: 'AI Response:', print: !json, attachments });
+    if (chat.edit) {
+      const { ok, checkpoint } = await reviewEdits(result.edits, { codebasePath: chat.codebasePath, description: getEditDescription(prompt), yes, json });
+      result.checkpoint = checkpoint;
+      if (!ok) {
+        process.exitCode = 1;
+      }
+    }
+    if (json) {
+      console.log(JSON.stringify(formatJsonResult(chat, result, startedAt), null, 2));
+    }
+  } catch (error) {
+    process.exitCode = error.name === 'AbortError' ? 130 : 1;
+    if (json) {
+      console.log(JSON.stringify({ error: error.message, provider, model, profile: config.profile, attempts: error.attempts || [] }, null, 2));
+    } else if (error.name === 'AbortError') {
+      status('\n⏹️  Response interrupted.');
+    } else {
+      console.error('❌ Error:', error.message);
+    }
   }
 }
 
-// Handle process exit
-process.on('SIGINT', () => {
-  console.log('\n👋 Goodbye!');
-  process.exit(0);
+// Handle process exit: the first Ctrl-C cancels an in-flight response, the next one quits
+process.on('SIGINT', handleInterrupt);
+
+// Ask on the terminal when the keystore needs a passphrase and no variable or key file gives one
+setPassphrasePrompt(async ({ confirm }) => {
+  const passphrase = await askSecret(confirm ? 'New keystore passphrase: ' : 'Keystore passphrase: ');
+  if (confirm && passphrase !== await askSecret('Repeat the passphrase: ')) {
+    throw new Error('The passphrases don\'t match.');
+  }
+  return passphrase;
 });
 
 // Run the CLI
-main().catch(console.error); 
\ No newline at end of file
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -112,18 +112,31 @@ async function main() {
 		outdir: "dist/workers",
 	}
 
-	const [extensionCtx, workerCtx] = await Promise.all([
+	/**
+	 * The provider layer without VS Code, for roo-cli and roo-cli-server.
+	 * Sits next to extension.js so it finds the same locales.
+	 * @type {import('esbuild').BuildOptions}
+	 */
+	const standaloneConfig = {
+		...buildOptions,
+		entryPoints: ["standalone/api.ts"],
+		outfile: "dist/standalone.js",
+		alias: { vscode: "./standalone/vscode.ts" },
+	}
+
+	const [extensionCtx, workerCtx, standaloneCtx] = await Promise.all([
 		esbuild.context(extensionConfig),
 		esbuild.context(workerConfig),
+		esbuild.context(standaloneConfig),
 	])
 
 	if (watch) {
-		await Promise.all([extensionCtx.watch(), workerCtx.watch()])
+		await Promise.all([extensionCtx.watch(), workerCtx.watch(), standaloneCtx.watch()])
 		copyLocales(srcDir, distDir)
 		setupLocaleWatcher(srcDir, distDir)
 	} else {
-		await Promise.all([extensionCtx.rebuild(), workerCtx.rebuild()])
-		await Promise.all([extensionCtx.dispose(), workerCtx.dispose()])
+		await Promise.all([extensionCtx.rebuild(), workerCtx.rebuild(), standaloneCtx.rebuild()])
+		await Promise.all([extensionCtx.dispose(), workerCtx.dispose(), standaloneCtx.dispose()])
 	}
 }
 
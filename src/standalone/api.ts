@@ -0,0 +1,100 @@
+/**
+ * Entry point of the standalone provider bundle (dist/standalone.js), which lets
+ * the roo-cli tools run the extension's `ApiHandler` implementations outside VS Code.
+ */
+
+import type { ExtensionContext } from "vscode"
+
+import type { ProviderSettings } from "@roo-code/types"
+
+import { ContextProxy } from "../core/config/ContextProxy"
+import { buildApiHandler as buildExtensionApiHandler, type ApiHandler } from "../api"
+
+// Adds String.prototype.toPosix, which formatResponse.formatFilesList uses
+import "../utils/path"
+
+export { providerNames, getApiProtocol } from "@roo-code/types"
+export type { ApiHandler } from "../api"
+export type { ApiStream, ApiStreamChunk } from "../api/transform/stream"
+export { checkExistKey } from "../shared/checkExistApiConfig"
+export { calculateApiCostAnthropic, calculateApiCostOpenAI } from "../shared/cost"
+export { getModels } from "../api/providers/fetchers/modelCache"
+export { getOpenAiModels } from "../api/providers/openai"
+
+// The CLI budgets context with the same token counter as the extension
+export { tiktoken } from "../utils/tiktoken"
+
+// The read-only tools of the CLI's agent mode are described, called and answered as in the extension
+export { parseAssistantMessage } from "../core/assistant-message/parseAssistantMessage"
+export { formatResponse } from "../core/prompts/responses"
+export { getSharedToolUseSection } from "../core/prompts/sections/tool-use"
+export { getReadFileDescription } from "../core/prompts/tools/read-file"
+export { getSearchFilesDescription } from "../core/prompts/tools/search-files"
+export { getListFilesDescription } from "../core/prompts/tools/list-files"
+export { getListCodeDefinitionNamesDescription } from "../core/prompts/tools/list-code-definition-names"
+export { getAttemptCompletionDescription } from "../core/prompts/tools/attempt-completion"
+export { parseXml } from "../utils/xml"
+
+// The CLI's code map parses files with the extension's tree-sitter grammars and queries
+export { extensions as codeDefinitionExtensions } from "../services/tree-sitter"
+export { loadRequiredLanguageParsers } from "../services/tree-sitter/languageParser"
+
+// Edits proposed with --edit are applied as the extension's apply_diff tool applies them
+export { MultiSearchReplaceDiffStrategy } from "../core/diff/strategies/multi-search-replace"
+
+// Checkpoints of --edit runs leave out what the extension's shadow repositories leave out
+export { getExcludePatterns } from "../services/checkpoints/excludes"
+
+/**
+ * Point the providers' model caches at `storagePath` instead of the extension's
+ * global storage. Settings and secrets are not read from VS Code; callers pass
+ * complete provider settings to `buildApiHandler`.
+ */
+export async function initializeStorage(storagePath: string) {
+	const emptyState = {
+		get: <T>(_key: string, defaultValue?: T) => defaultValue,
+		update: async () => {},
+		keys: () => [],
+		setKeysForSync: () => {},
+	}
+
+	const context = {
+		globalState: emptyState,
+		workspaceState: emptyState,
+		secrets: { get: async () => undefined, store: async () => {}, delete: async () => {} },
+		globalStorageUri: { fsPath: storagePath },
+	} as unknown as ExtensionContext
+
+	await ContextProxy.getInstance(context)
+}
+
+// An AWS SDK retry strategy that gives up after the first attempt
+const NO_RETRY_STRATEGY = {
+	mode: "standard",
+	acquireInitialRetryToken: async () => ({ getRetryCount: () => 0, getRetryDelay: () => 0 }),
+	refreshRetryTokenForRetry: async (_token: unknown, errorInfo: { error?: Error }) => {
+		throw errorInfo.error
+	},
+	recordSuccess: () => {},
+}
+
+/**
+ * The extension's `buildApiHandler`, with the retries of the handler's SDK client turned off.
+ * The CLI retries failed requests itself (with its own backoff, fallback profiles and a record
+ * of every attempt), so each of its attempts must be exactly one HTTP request.
+ */
+export function buildApiHandler(configuration: ProviderSettings): ApiHandler {
+	const handler = buildExtensionApiHandler(configuration)
+	const client = (handler as unknown as { client?: Record<string, any> }).client
+
+	if (typeof client?.maxRetries === "number") {
+		// Anthropic (and its Vertex client) and OpenAI, which most other handlers use
+		client.maxRetries = 0
+	} else if (typeof client?.config?.retryStrategy === "function") {
+		// Bedrock (AWS SDK)
+		client.config.maxAttempts = async () => 1
+		client.config.retryStrategy = async () => NO_RETRY_STRATEGY
+	}
+
+	return handler
+}
@@ -0,0 +1,49 @@
+/**
+ * Stand-in for the `vscode` module in the standalone bundle (see esbuild.mjs).
+ *
+ * The provider layer only touches VS Code for settings lookups, the odd message
+ * on an error path and the VS Code LM / human relay providers. Outside the
+ * editor, settings fall back to their defaults, there are no workspace folders,
+ * messages are dropped (callers report errors themselves) and there are no
+ * VS Code language models.
+ */
+
+const disposable = { dispose: () => {} }
+
+export const workspace = {
+	workspaceFolders: undefined,
+	getConfiguration: () => ({
+		get: <T>(_key: string, defaultValue?: T) => defaultValue,
+		update: async () => {},
+	}),
+	onDidChangeConfiguration: () => disposable,
+}
+
+const showMessage = async <T>(_message: string, ..._items: T[]): Promise<T | undefined> => undefined
+
+export const window = {
+	activeTextEditor: undefined,
+	showErrorMessage: showMessage,
+	showWarningMessage: showMessage,
+	showInformationMessage: showMessage,
+	showInputBox: async () => undefined,
+}
+
+export const lm = {
+	selectChatModels: async () => [],
+	onDidChangeChatModels: () => disposable,
+}
+
+export const env = {
+	clipboard: { readText: async () => "", writeText: async () => {} },
+}
+
+export const commands = {
+	executeCommand: async () => undefined,
+}
+
+export enum ConfigurationTarget {
+	Global = 1,
+	Workspace = 2,
+	WorkspaceFolder = 3,
+}